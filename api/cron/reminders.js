@@ -1,10 +1,24 @@
 /**
  * Vercel Cron Job endpoint for sending reminders
  * This runs every 3 hours automatically via Vercel Cron
- * Schedule: "0 */3 * * *" (every 3 hours)
+ * Schedule: every 3 hours (0 0/3 * * *)
  */
 
 import sendRemindersToUsers from '../../jobs/sendReminders.js'
+import runNotificationRules from '../../jobs/notificationRules.js'
+import purgeDeletedAccounts from '../../jobs/purgeDeletedAccounts.js'
+
+// Each job is isolated, so one failing does not skip the others. The account purge runs
+// first: erasing deleted accounts on time must not depend on the notification jobs.
+async function runJob(name, job, errors) {
+  try {
+    return await job()
+  } catch (error) {
+    console.error(`[Cron Reminders] ${name} failed:`, error)
+    errors[name] = error.message
+    return null
+  }
+}
 
 export default async function handler(req, res) {
   // Verify it's a cron request (Vercel adds this header)
@@ -14,24 +28,20 @@ export default async function handler(req, res) {
   //   return res.status(401).json({ error: 'Unauthorized' })
   // }
 
-  try {
-    console.log('[Cron Reminders] Starting cron job at', new Date().toISOString())
-    const results = await sendRemindersToUsers()
-    
-    console.log('[Cron Reminders] Job completed:', results)
-    
-    return res.status(200).json({
-      success: true,
-      results,
-      timestamp: new Date().toISOString(),
-    })
-  } catch (error) {
-    console.error('[Cron Reminders] Error:', error)
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString(),
-    })
-  }
-}
+  console.log('[Cron Reminders] Starting cron job at', new Date().toISOString())
+  const errors = {}
+  const accountDeletions = await runJob('accountDeletions', () => purgeDeletedAccounts(), errors)
+  const reminders = await runJob('reminders', () => sendRemindersToUsers(), errors)
+  const notifications = await runJob('notifications', () => runNotificationRules(), errors)
 
+  const results = { ...reminders, notifications, accountDeletions }
+  const success = Object.keys(errors).length === 0
+  console.log('[Cron Reminders] Job completed:', results)
+
+  return res.status(success ? 200 : 500).json({
+    success,
+    results,
+    ...(!success && { errors }),
+    timestamp: new Date().toISOString(),
+  })
+}
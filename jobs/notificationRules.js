@@ -0,0 +1,372 @@
+/**
+ * Rules engine for category notifications (PERIOD_COUNTDOWN, PHASE_UPDATE, SYMPTOM_PROMPT)
+ * Runs from the reminder cron alongside the AI reminder job.
+ *
+ * Each rule looks at the user's cycle state for today and decides whether its category
+ * applies. A category is skipped while its cooldown (from the last NotificationLog row of
+ * that category) is running, and at most one rule fires per user per run, in rule order,
+ * so a busy day spreads across cron runs instead of arriving all at once.
+ *
+ * Rules with a `viewer` function also notify the user's OTHER viewers (partners, caregivers)
+ * on their OTHER-mode devices, with their own wording and per-viewer cooldowns, unless the
+ * SELF user turned off settings.viewerNotificationsEnabled.
+ *
+ * Recipients' notification preferences apply: muted categories are never picked, and
+ * quiet hours, the daily cap and the preferred delivery time defer the send to a later run.
+ * Like the AI reminders, nothing is sent outside the recipient's local sending window
+ * (REMINDER_WINDOW_START-REMINDER_WINDOW_END); those sends are deferred too.
+ */
+
+import prisma from '../lib/prisma.js'
+import { sendPushNotification } from '../lib/pushNotifications.js'
+import { getSendingWindow, isInSendingWindow } from './sendReminders.js'
+import { getCycleState } from '../utils/cycleEngine.js'
+import {
+  fromLocalDayNumber,
+  getLocalDayNumber,
+  getLocalCalendarDate,
+  getLocalMinutes,
+  resolveTimezone,
+} from '../utils/cycleInfo.js'
+
+const HOUR_MS = 60 * 60 * 1000
+// Asking earlier in the day nags before there was a chance to log anything
+const SYMPTOM_PROMPT_FROM_HOUR = 18
+
+const PHASE_MESSAGES = {
+  Menstrual: 'Your period phase has started. Rest, stay hydrated and keep warm if cramps show up.',
+  Follicular: 'You are in your follicular phase. Energy usually rises now, a good time for new plans and workouts.',
+  Ovulation: 'You are around ovulation, your most fertile days of the cycle.',
+  Luteal: 'You are in your luteal phase. Be gentle with yourself if PMS symptoms appear.',
+}
+
+// "Sam's" for viewers; "Their" when the SELF user has no name set
+function possessive(name) {
+  const firstName = name?.trim().split(/\s+/)[0]
+  return firstName ? `${firstName}'s` : 'Their'
+}
+
+// Viewers only hear about the phases where they can help
+const VIEWER_PHASE_MESSAGES = {
+  Menstrual: 'A heat pad, a warm drink and taking a few chores off their plate can go a long way today.',
+  Luteal: 'Mood swings and fatigue are common in the days ahead. Some extra patience and check-ins help.',
+}
+
+export const NOTIFICATION_RULES = [
+  {
+    category: 'PERIOD_COUNTDOWN',
+    cooldownHours: 20,
+    evaluate({ cycle, settings }) {
+      if (cycle.isOnPeriod || cycle.isLate) return null
+      const daysBefore = settings?.reminderDaysBefore ?? 3
+      const days = cycle.daysUntilNextPeriod
+      if (days !== daysBefore && days !== 1) return null
+      return {
+        title: days === 1 ? 'Period expected tomorrow' : `Period expected in ${days} days`,
+        body: days === 1
+          ? 'Your next period is predicted for tomorrow. Keep your supplies handy.'
+          : `Your next period is predicted in ${days} days. A good time to get ready.`,
+        data: { daysUntilNextPeriod: days },
+      }
+    },
+    viewer({ cycle, settings, user }) {
+      if (cycle.isOnPeriod || cycle.isLate) return null
+      const daysBefore = settings?.reminderDaysBefore ?? 3
+      const days = cycle.daysUntilNextPeriod
+      if (days !== daysBefore && days !== 1) return null
+      const whose = possessive(user.name)
+      return {
+        title: `${whose} period is coming up`,
+        body: `${whose} period is expected ${days === 1 ? 'tomorrow' : `in ${days} days`}. Here is how to help: check supplies are stocked, keep plans flexible and be patient if PMS shows up.`,
+        data: { daysUntilNextPeriod: days },
+      }
+    },
+  },
+  {
+    category: 'PHASE_UPDATE',
+    cooldownHours: 20,
+    evaluate({ cycle, previousCycle }) {
+      if (!previousCycle || previousCycle.phase === cycle.phase) return null
+      return {
+        title: `${cycle.phase} phase`,
+        body: PHASE_MESSAGES[cycle.phase] || `You are now in your ${cycle.phase.toLowerCase()} phase.`,
+        data: { phase: cycle.phase, cycleDay: cycle.cycleDay },
+      }
+    },
+    viewer({ cycle, previousCycle, user }) {
+      if (!previousCycle || previousCycle.phase === cycle.phase) return null
+      const whose = possessive(user.name)
+      const message = VIEWER_PHASE_MESSAGES[cycle.phase]
+      if (!message) return null
+      return {
+        title: `${whose} ${cycle.phase === 'Menstrual' ? 'period has started' : 'PMS days may be starting'}`,
+        body: message,
+        data: { phase: cycle.phase },
+      }
+    },
+  },
+  {
+    category: 'SYMPTOM_PROMPT',
+    cooldownHours: 20,
+    evaluate({ loggedToday, localHour }) {
+      if (localHour < SYMPTOM_PROMPT_FROM_HOUR) return null
+      if (loggedToday.symptoms > 0 || loggedToday.moods > 0) return null
+      return {
+        title: 'How are you feeling today?',
+        body: 'Take a moment to log your symptoms and mood. It keeps your predictions and insights accurate.',
+        data: {},
+      }
+    },
+  },
+]
+
+/**
+ * Rules that apply to one user today for an audience ('SELF' | 'VIEWER'), ignoring cooldowns
+ */
+export function evaluateRules(context, audience = 'SELF') {
+  return NOTIFICATION_RULES
+    .map(rule => ({
+      rule,
+      notification: audience === 'VIEWER'
+        ? rule.viewer?.(context) ?? null
+        : rule.evaluate(context),
+    }))
+    .filter(entry => entry.notification)
+}
+
+function isMuted(rule, settings) {
+  return Boolean(settings?.mutedNotificationCategories?.includes(rule.category))
+}
+
+function isCoolingDown(rule, lastSentAt, now) {
+  if (!lastSentAt) return false
+  return now.getTime() - new Date(lastSentAt).getTime() < rule.cooldownHours * HOUR_MS
+}
+
+/**
+ * Last send per category within the longest cooldown, keyed by category for SELF
+ * and by `${viewerUserId}:${category}` for VIEWER
+ */
+async function getLastSentByCategory(userId, audience, now) {
+  const longestCooldown = Math.max(...NOTIFICATION_RULES.map(rule => rule.cooldownHours))
+  const rows = await prisma.notificationLog.groupBy({
+    by: audience === 'VIEWER' ? ['viewerUserId', 'category'] : ['category'],
+    where: {
+      userId,
+      audience,
+      category: { in: NOTIFICATION_RULES.map(rule => rule.category) },
+      sentAt: { gte: new Date(now.getTime() - longestCooldown * HOUR_MS) },
+    },
+    _max: { sentAt: true },
+  })
+  return new Map(rows.map(row => [
+    audience === 'VIEWER' ? `${row.viewerUserId}:${row.category}` : row.category,
+    row._max.sentAt,
+  ]))
+}
+
+function recordPush(results, push, key, category) {
+  if (push.skipped) {
+    results.deferred++
+  } else if (push.sent > 0) {
+    results[key]++
+    results.byCategory[category] = (results.byCategory[category] || 0) + 1
+  } else {
+    results.failed++
+  }
+}
+
+async function notifySelf(user, context, now, results) {
+  const lastSent = await getLastSentByCategory(user.id, 'SELF', now)
+  const due = evaluateRules(context, 'SELF')
+    .filter(({ rule }) => !isMuted(rule, user.settings))
+    .find(({ rule }) => !isCoolingDown(rule, lastSent.get(rule.category), now))
+  if (!due) return false
+
+  if (!isInSendingWindow(getLocalMinutes(now, context.timezone), context.sendingWindow)) {
+    results.deferred++
+    return true
+  }
+
+  const { rule, notification } = due
+  const push = await sendPushNotification({
+    userId: user.id,
+    tokens: user.pushTokens,
+    category: rule.category,
+    title: notification.title,
+    body: notification.body,
+    data: { type: 'rule', ...notification.data },
+    settings: user.settings,
+    scheduled: true,
+    now,
+  })
+
+  recordPush(results, push, 'sent', rule.category)
+  return true
+}
+
+async function notifyViewers(user, context, now, results) {
+  const viewers = user.viewers.filter(viewer => viewer.pushTokens.length > 0)
+  if (viewers.length === 0) return false
+
+  const lastSent = await getLastSentByCategory(user.id, 'VIEWER', now)
+  const applicable = evaluateRules(context, 'VIEWER')
+  let attempted = false
+
+  for (const viewer of viewers) {
+    const due = applicable
+      .filter(({ rule }) => !isMuted(rule, viewer.settings))
+      .find(({ rule }) => !isCoolingDown(rule, lastSent.get(`${viewer.id}:${rule.category}`), now))
+    if (!due) continue
+
+    attempted = true
+    // A viewer may live in another timezone than the user they follow
+    const timezone = resolveTimezone({ settings: viewer.settings, pushTokens: viewer.pushTokens })
+    if (!isInSendingWindow(getLocalMinutes(now, timezone), context.sendingWindow)) {
+      results.deferred++
+      continue
+    }
+
+    const { rule, notification } = due
+    const push = await sendPushNotification({
+      userId: user.id,
+      audience: 'VIEWER',
+      viewerUserId: viewer.id,
+      tokens: viewer.pushTokens,
+      category: rule.category,
+      title: notification.title,
+      body: notification.body,
+      data: { type: 'rule', viewedUserId: user.id, ...notification.data },
+      settings: viewer.settings,
+      scheduled: true,
+      now,
+    })
+
+    recordPush(results, push, 'viewerSent', rule.category)
+  }
+  return attempted
+}
+
+/**
+ * Build the rule context for a user: today's and yesterday's cycle state in the
+ * user's local time, and whether anything was logged today.
+ * Local time comes from the user's timezone, else their own devices, else a viewer's.
+ */
+async function buildRuleContext(user, now, sendingWindow) {
+  const timezone = resolveTimezone({
+    settings: user.settings,
+    pushTokens: user.pushTokens.length > 0
+      ? user.pushTokens
+      : user.viewers.flatMap(viewer => viewer.pushTokens),
+  })
+  const todayDayNumber = getLocalDayNumber(now, timezone)
+
+  const cycle = getCycleState(user.periods, user.settings, { date: now, timezone })
+  if (!cycle) return null
+
+  const previousCycle = getCycleState(user.periods, user.settings, {
+    date: fromLocalDayNumber(todayDayNumber - 1, timezone),
+    timezone,
+  })
+
+  const today = getLocalCalendarDate(now, timezone)
+  const [symptoms, moods] = await Promise.all([
+    prisma.symptom.count({ where: { userId: user.id, date: today } }),
+    prisma.mood.count({ where: { userId: user.id, date: today } }),
+  ])
+
+  return {
+    user,
+    settings: user.settings,
+    cycle,
+    previousCycle,
+    loggedToday: { symptoms, moods },
+    localHour: Math.floor(getLocalMinutes(now, timezone) / 60),
+    timezone,
+    sendingWindow,
+    now,
+  }
+}
+
+/**
+ * Evaluate the rules for every SELF user whose own or viewers' devices are registered,
+ * and send what applies
+ */
+export async function runNotificationRules(now = new Date()) {
+  console.log('[Notification Rules] Starting run...')
+
+  // Viewers whose access the SELF user let expire are not notified
+  const activeViewer = {
+    userType: 'OTHER',
+    OR: [{ viewerAccessExpiresAt: null }, { viewerAccessExpiresAt: { gt: now } }],
+  }
+
+  const users = await prisma.user.findMany({
+    where: {
+      userType: 'SELF',
+      deletionScheduledFor: null,
+      settings: {
+        OR: [{ reminderEnabled: true }, { viewerNotificationsEnabled: true }],
+      },
+      periods: { some: {} },
+      OR: [
+        { pushTokens: { some: { mode: 'SELF' } } },
+        { viewers: { some: { ...activeViewer, pushTokens: { some: { mode: 'OTHER' } } } } },
+      ],
+    },
+    include: {
+      settings: true,
+      periods: {
+        orderBy: { startDate: 'desc' },
+        take: 6,
+      },
+      pushTokens: {
+        where: { mode: 'SELF' },
+        orderBy: { updatedAt: 'desc' },
+      },
+      viewers: {
+        where: activeViewer,
+        select: {
+          id: true,
+          settings: true,
+          pushTokens: {
+            where: { mode: 'OTHER' },
+            orderBy: { updatedAt: 'desc' },
+          },
+        },
+      },
+    },
+  })
+
+  const sendingWindow = getSendingWindow()
+  const results = { total: users.length, sent: 0, viewerSent: 0, skipped: 0, deferred: 0, failed: 0, byCategory: {} }
+
+  for (const user of users) {
+    try {
+      const context = await buildRuleContext(user, now, sendingWindow)
+      if (!context) {
+        results.skipped++
+        continue
+      }
+
+      const notifiedSelf = user.settings?.reminderEnabled && user.pushTokens.length > 0
+        ? await notifySelf(user, context, now, results)
+        : false
+      const notifiedViewers = user.settings?.viewerNotificationsEnabled
+        ? await notifyViewers(user, context, now, results)
+        : false
+
+      if (!notifiedSelf && !notifiedViewers) {
+        results.skipped++
+      }
+    } catch (error) {
+      console.error(`[Notification Rules] Error processing user ${user.id}:`, error)
+      results.failed++
+    }
+  }
+
+  console.log('[Notification Rules] Run completed:', results)
+  return results
+}
+
+export default runNotificationRules
@@ -0,0 +1,40 @@
+/**
+ * Erases accounts whose deletion grace period is over (see lib/accountDeletion.js)
+ * Runs from the reminder cron alongside the AI reminder job.
+ *
+ * A failure leaves that account scheduled, so the next run retries it, and is counted
+ * on its erasure receipt.
+ */
+
+import prisma from '../lib/prisma.js'
+import { eraseAccount, recordErasureFailure } from '../lib/accountDeletion.js'
+
+export async function purgeDeletedAccounts(now = new Date()) {
+  console.log('[Account Purge] Starting run...')
+
+  const users = await prisma.user.findMany({
+    where: { deletionScheduledFor: { lte: now } },
+    orderBy: { deletionScheduledFor: 'asc' },
+  })
+
+  const results = { total: users.length, erased: 0, failed: 0 }
+
+  for (const user of users) {
+    try {
+      const receipt = await eraseAccount(user, now)
+      console.log(`[Account Purge] Erased user ${user.id}, receipt ${receipt.id}`)
+      results.erased++
+    } catch (error) {
+      console.error(`[Account Purge] Error erasing user ${user.id}:`, error)
+      results.failed++
+      await recordErasureFailure(user, error, now).catch((recordError) => {
+        console.error(`[Account Purge] Unable to record failure for user ${user.id}:`, recordError)
+      })
+    }
+  }
+
+  console.log('[Account Purge] Run completed:', results)
+  return results
+}
+
+export default purgeDeletedAccounts
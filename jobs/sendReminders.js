@@ -1,6 +1,9 @@
 /**
  * Scheduled job to send AI-generated reminders to users
- * This should run every 3-4 hours
+ * Sends at most one reminder per user per local day, inside the local sending window
+ * (REMINDER_WINDOW_START-REMINDER_WINDOW_END, default 08:00-21:00). Local time comes from
+ * the user's timezone setting, else the offset their devices registered with.
+ * Run it at least every 3 hours so every timezone gets a run inside its window.
  * 
  * For Vercel/serverless: Use Vercel Cron Jobs or external cron service
  * For local/dedicated server: Use node-cron or similar
@@ -9,123 +12,32 @@
 import prisma from '../lib/prisma.js'
 import { clerk } from '../lib/clerk.js'
 import { GoogleGenerativeAI } from '@google/generative-ai'
-
-const MS_PER_DAY = 1000 * 60 * 60 * 24
-
-function toUTCDate(input) {
-  if (!input) return null
-  const date = input instanceof Date ? input : new Date(input)
-  if (Number.isNaN(date.getTime())) return null
-  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
-}
-
-function addDaysUTC(date, days) {
-  const result = new Date(date.getTime())
-  result.setUTCDate(result.getUTCDate() + days)
-  return result
+import { getCycleState } from '../utils/cycleEngine.js'
+import { processPushReceipts, sendPushNotification } from '../lib/pushNotifications.js'
+import { getDeliveryBlock, formatTime } from '../lib/notificationPreferences.js'
+import { getLocalCalendarDate, getLocalDayNumber, getLocalMinutes, resolveTimezone } from '../utils/cycleInfo.js'
+
+const DEFAULT_WINDOW_START = 8 * 60
+const DEFAULT_WINDOW_END = 21 * 60
+
+// "HH:MM" from the environment as minutes after midnight
+function parseWindowTime(value, fallback) {
+  const match = typeof value === 'string' ? value.trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/) : null
+  return match ? Number(match[1]) * 60 + Number(match[2]) : fallback
 }
 
-// Helper function to calculate cycle info (same as in reminders.js)
-function calculateCycleInfo(periods, settings, todayInput) {
-  if (!periods || periods.length === 0) {
-    return null
-  }
-
-  const today = toUTCDate(todayInput || new Date())
-  if (!today) {
-    return null
-  }
-
-  const userPeriodLength = settings?.periodDuration || settings?.averagePeriodLength || 5
-  const avgCycleLength = settings?.averageCycleLength || 28
-
-  const sortedPeriods = [...periods].sort(
-    (a, b) => new Date(b.startDate).getTime() - new Date(a.startDate).getTime()
-  )
-
-  const lastPeriod = sortedPeriods[0]
-  const lastPeriodStart = toUTCDate(lastPeriod?.startDate)
-  if (!lastPeriodStart) {
-    return null
-  }
-
-  const ovulationDay = Math.max(1, Math.round(avgCycleLength / 2))
-  const fertileStart = Math.max(1, ovulationDay - 5)
-  const fertileEnd = Math.max(fertileStart, ovulationDay)
-  const nextPeriodDate = addDaysUTC(lastPeriodStart, avgCycleLength)
-  const ovulationDate = addDaysUTC(lastPeriodStart, ovulationDay - 1)
-  const fertileWindowStartDate = addDaysUTC(lastPeriodStart, fertileStart - 1)
-  const fertileWindowEndDate = addDaysUTC(lastPeriodStart, fertileEnd - 1)
-
-  let lastPeriodEnd = null
-  if (lastPeriod?.endDate) {
-    lastPeriodEnd = toUTCDate(lastPeriod.endDate)
-  } else {
-    lastPeriodEnd = addDaysUTC(lastPeriodStart, userPeriodLength - 1)
-  }
-  if (!lastPeriodEnd) {
-    return null
-  }
-
-  const activePeriod = sortedPeriods.find(period => {
-    const startUTC = toUTCDate(period.startDate)
-    if (!startUTC) return false
-    const endUTC = period.endDate
-      ? toUTCDate(period.endDate)
-      : addDaysUTC(startUTC, userPeriodLength - 1)
-    if (!endUTC) return false
-
-    return startUTC.getTime() <= today.getTime() && endUTC.getTime() >= today.getTime()
-  })
-
-  if (activePeriod) {
-    const periodStartUTC = toUTCDate(activePeriod.startDate)
-    if (!periodStartUTC) return null
-
-    const diff = Math.floor((today.getTime() - periodStartUTC.getTime()) / MS_PER_DAY)
-    const daysInPeriod = diff + 1
-
-    return {
-      cycleDay: daysInPeriod,
-      phase: 'Menstrual',
-      phaseDescription: `Day ${daysInPeriod} of period`,
-      isOnPeriod: true,
-      periodStartDate: periodStartUTC,
-      periodEndDate: lastPeriodEnd,
-      nextPeriodDate,
-      ovulationDate,
-      fertileWindowStartDate,
-      fertileWindowEndDate,
-    }
-  }
-
-  const daysSinceLastPeriodEnd = Math.floor((today.getTime() - lastPeriodEnd.getTime()) / MS_PER_DAY)
-
-  if (daysSinceLastPeriodEnd >= 0) {
-    const currentCycleDay = daysSinceLastPeriodEnd + 1 + userPeriodLength
-
-    let phase = 'Follicular'
-    if (currentCycleDay >= fertileStart && currentCycleDay <= fertileEnd) {
-      phase = 'Ovulation'
-    } else if (currentCycleDay > fertileEnd) {
-      phase = 'Luteal'
-    }
-
-    return {
-      cycleDay: currentCycleDay,
-      phase,
-      phaseDescription: `Day ${currentCycleDay} of ${avgCycleLength}-day cycle (${phase} Phase)`,
-      isOnPeriod: false,
-      periodStartDate: lastPeriodStart,
-      periodEndDate: lastPeriodEnd,
-      nextPeriodDate,
-      ovulationDate,
-      fertileWindowStartDate,
-      fertileWindowEndDate,
-    }
+export function getSendingWindow() {
+  return {
+    start: parseWindowTime(process.env.REMINDER_WINDOW_START, DEFAULT_WINDOW_START),
+    end: parseWindowTime(process.env.REMINDER_WINDOW_END, DEFAULT_WINDOW_END),
   }
+}
 
-  return null
+export function isInSendingWindow(localMinutes, { start, end }) {
+  // A window like 20:00-02:00 wraps past midnight
+  return start <= end
+    ? localMinutes >= start && localMinutes < end
+    : localMinutes >= start || localMinutes < end
 }
 
 /**
@@ -133,14 +45,13 @@ function calculateCycleInfo(periods, settings, todayInput) {
  */
 async function generateReminderForUser(userId, userData) {
   try {
-    const { settings, periods, symptoms, moods, name } = userData
+    const { settings, periods, symptoms, moods, name, timezone, now } = userData
 
     if (!periods || periods.length === 0) {
       return null
     }
 
-    const todayUTC = toUTCDate(new Date())
-    const cycleInfo = calculateCycleInfo(periods, settings, todayUTC)
+    const cycleInfo = getCycleState(periods, settings, { date: now, timezone })
 
     if (!cycleInfo) {
       return null
@@ -217,7 +128,7 @@ Generate ONLY the reminder message, no additional text or explanations.`
         message: reminderText,
         phase: cycleInfo.phase,
         cycleDay: cycleInfo.cycleDay,
-        sentAt: new Date(),
+        sentAt: now,
       },
     })
 
@@ -236,14 +147,16 @@ Generate ONLY the reminder message, no additional text or explanations.`
 /**
  * Main function to send reminders to all eligible users
  */
-export async function sendRemindersToUsers() {
+export async function sendRemindersToUsers(now = new Date()) {
   try {
     console.log('[Reminder Job] Starting reminder job...')
+    const sendingWindow = getSendingWindow()
 
     // Get all users with reminders enabled and period data
     const users = await prisma.user.findMany({
       where: {
         userType: 'SELF', // Only SELF users get reminders
+        deletionScheduledFor: null, // Accounts being deleted get no more notifications
         settings: {
           reminderEnabled: true,
         },
@@ -257,6 +170,10 @@ export async function sendRemindersToUsers() {
           orderBy: { startDate: 'desc' },
           take: 6,
         },
+        pushTokens: {
+          where: { mode: 'SELF' },
+          orderBy: { updatedAt: 'desc' },
+        },
       },
     })
 
@@ -267,62 +184,70 @@ export async function sendRemindersToUsers() {
       sent: 0,
       failed: 0,
       skipped: 0,
+      outsideWindow: 0,
+      pushed: 0,
+    }
+
+    // Receipts for pushes sent on earlier runs are ready by now
+    try {
+      results.receipts = await processPushReceipts(now)
+    } catch (error) {
+      console.error('[Reminder Job] Failed to process push receipts:', error)
     }
 
     for (const user of users) {
       try {
-        // Check if reminder was sent in last 3 hours
+        const timezone = resolveTimezone(user)
+
+        const localMinutes = getLocalMinutes(now, timezone)
+        if (!isInSendingWindow(localMinutes, sendingWindow)) {
+          results.outsideWindow++
+          continue
+        }
+
+        // One reminder per local day
         const lastReminder = await prisma.reminder.findFirst({
           where: { userId: user.id },
           orderBy: { sentAt: 'desc' },
         })
-
-        if (lastReminder) {
-          const hoursSinceLastReminder = (Date.now() - new Date(lastReminder.sentAt).getTime()) / (1000 * 60 * 60)
-          // Check if reminder was sent in last 3 hours (to allow multiple reminders per day)
-          if (hoursSinceLastReminder < 3) {
-            console.log(`[Reminder Job] Skipping user ${user.id} - reminder sent ${hoursSinceLastReminder.toFixed(1)} hours ago`)
-            results.skipped++
-            continue
-          }
+        if (
+          lastReminder &&
+          getLocalDayNumber(lastReminder.sentAt, timezone) === getLocalDayNumber(now, timezone)
+        ) {
+          console.log(`[Reminder Job] Skipping user ${user.id} - reminder already sent today (local ${formatTime(localMinutes)})`)
+          results.skipped++
+          continue
         }
-        
-        // Also check if reminder was sent today (for daily cron - prevent duplicates)
-        const todayCheck = new Date()
-        todayCheck.setHours(0, 0, 0, 0)
-        const lastReminderDate = lastReminder ? new Date(lastReminder.sentAt) : null
-        if (lastReminderDate) {
-          lastReminderDate.setHours(0, 0, 0, 0)
-          if (lastReminderDate.getTime() === todayCheck.getTime()) {
-            console.log(`[Reminder Job] Skipping user ${user.id} - reminder already sent today`)
-            results.skipped++
-            continue
-          }
+
+        // Respect the user's notification preferences before spending an AI call
+        const blocked = await getDeliveryBlock({
+          settings: user.settings,
+          recipientId: user.id,
+          category: 'AI_TIP',
+          timezone,
+          scheduled: true,
+          now,
+        })
+        if (blocked) {
+          console.log(`[Reminder Job] Skipping user ${user.id} - ${blocked}`)
+          results.skipped++
+          continue
         }
 
-        // Get today's symptoms and moods
-        const today = new Date()
-        today.setHours(0, 0, 0, 0)
-        const tomorrow = new Date(today)
-        tomorrow.setDate(tomorrow.getDate() + 1)
+        // Get today's symptoms and moods (the user's local day)
+        const today = getLocalCalendarDate(now, timezone)
 
         const [symptoms, moods] = await Promise.all([
           prisma.symptom.findMany({
             where: {
               userId: user.id,
-              date: {
-                gte: today,
-                lt: tomorrow,
-              },
+              date: today,
             },
           }),
           prisma.mood.findMany({
             where: {
               userId: user.id,
-              date: {
-                gte: today,
-                lt: tomorrow,
-              },
+              date: today,
             },
           }),
         ])
@@ -332,17 +257,29 @@ export async function sendRemindersToUsers() {
           symptoms,
           moods,
           name: user.name,
+          timezone,
+          now,
         }
 
         const reminder = await generateReminderForUser(user.id, userData)
 
         if (reminder) {
           console.log(`[Reminder Job] Generated reminder for user ${user.id}: ${reminder.message.substring(0, 50)}...`)
-          
-          // TODO: Send push notification here
-          // For now, we just save the reminder to the database
-          // You'll need to integrate with Expo Push Notifications or similar
-          
+
+          const push = await sendPushNotification({
+            userId: user.id,
+            category: 'AI_TIP',
+            title: `${reminder.phase} phase · Day ${reminder.cycleDay}`,
+            body: reminder.message,
+            data: { type: 'reminder', reminderId: reminder.reminderId },
+            reminderId: reminder.reminderId,
+            tokens: user.pushTokens,
+            settings: user.settings,
+            scheduled: true,
+            now,
+          })
+          results.pushed += push.sent
+
           results.sent++
         } else {
           results.failed++
@@ -0,0 +1,208 @@
+import prisma from './prisma.js'
+import { clerk } from './clerk.js'
+import { supabaseAdmin } from './supabase.js'
+
+/**
+ * Account deletion (DELETE /api/user) and erasure.
+ *
+ * Deleting an account only schedules it: the user keeps access for DELETION_GRACE_DAYS
+ * and can cancel in that time. Viewers pointing at a SELF user, their invites and pending
+ * "login for someone else" codes are removed right away, and notifications stop.
+ *
+ * Once the grace period is over, the purge job (jobs/purgeDeletedAccounts.js) calls
+ * eraseAccount(): the Clerk and legacy Supabase identities are deleted first, then every
+ * row the user owns, in one transaction. Each step is recorded on an ErasureReceipt,
+ * which has no relation to the user and stays as proof of the erasure. A provider that
+ * is not configured here is recorded as 'unavailable' instead of blocking the erasure;
+ * failed runs are counted on the receipt.
+ */
+
+export const DELETION_GRACE_DAYS = 14
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// Accounts with years of logs delete many rows, well past Prisma's 5 second default
+const ERASE_TRANSACTION_TIMEOUT_MS = 60000
+
+// Rows erased with a user, as [receipt key, model, where], children before parents
+function getOwnedRows(user) {
+  const own = { userId: user.id }
+  return [
+    ['periodDays', 'periodDay', { period: own }],
+    ['periods', 'period', own],
+    ['symptoms', 'symptom', own],
+    ['moods', 'mood', own],
+    ['notes', 'note', own],
+    // Includes pushes sent to this user as a viewer, which are stored on the viewed user
+    ['notificationLogs', 'notificationLog', { OR: [own, { viewerUserId: user.id }] }],
+    ['reminders', 'reminder', own],
+    ['pushTokens', 'pushToken', own],
+    ['otpCodes', 'otpCode', { OR: [own, { email: user.email }] }],
+    ['viewerInvites', 'viewerInvite', own],
+    ['settings', 'userSettings', own],
+    ['viewers', 'user', { userType: 'OTHER', viewedUserId: user.id }],
+  ]
+}
+
+export function formatErasureReceipt(receipt) {
+  return {
+    id: receipt.id,
+    status: receipt.status,
+    userType: receipt.userType,
+    requestedAt: receipt.requestedAt,
+    scheduledFor: receipt.scheduledFor,
+    cancelledAt: receipt.cancelledAt,
+    completedAt: receipt.completedAt,
+    removed: receipt.removed ?? {},
+    identities: receipt.identities ?? {},
+    failedAttempts: receipt.failedAttempts ?? 0,
+    lastFailedAt: receipt.lastFailedAt ?? null,
+  }
+}
+
+export async function findScheduledReceipt(db, userId) {
+  return db.erasureReceipt.findFirst({
+    where: { userId, status: 'SCHEDULED' },
+    orderBy: { requestedAt: 'desc' },
+  })
+}
+
+/**
+ * Schedule erasure of `user` after the grace period and revoke access through them.
+ * Returns { receipt, alreadyScheduled }; scheduling twice keeps the first date.
+ */
+export async function scheduleAccountDeletion(user, now = new Date()) {
+  if (user.deletionScheduledFor) {
+    return { receipt: await findScheduledReceipt(prisma, user.id), alreadyScheduled: true }
+  }
+
+  const scheduledFor = new Date(now.getTime() + DELETION_GRACE_DAYS * DAY_MS)
+
+  return prisma.$transaction(async (tx) => {
+    const viewers = user.userType === 'SELF'
+      ? await tx.user.deleteMany({ where: { userType: 'OTHER', viewedUserId: user.id } })
+      : { count: 0 }
+    await tx.otpCode.deleteMany({ where: { OR: [{ userId: user.id }, { email: user.email }] } })
+    await tx.viewerInvite.deleteMany({ where: { userId: user.id } })
+    await tx.user.update({
+      where: { id: user.id },
+      data: { deletionScheduledFor: scheduledFor },
+    })
+
+    const receipt = await tx.erasureReceipt.create({
+      data: {
+        userId: user.id,
+        userType: user.userType,
+        requestedAt: now,
+        scheduledFor,
+        removed: { viewers: viewers.count },
+      },
+    })
+    return { receipt, alreadyScheduled: false }
+  })
+}
+
+/**
+ * Cancel a scheduled deletion. Revoked viewers are not restored.
+ * Returns the cancelled receipt, or null when none was scheduled.
+ */
+export async function cancelAccountDeletion(user, now = new Date()) {
+  if (!user.deletionScheduledFor) {
+    return null
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: user.id },
+      data: { deletionScheduledFor: null },
+    })
+    const receipt = await findScheduledReceipt(tx, user.id)
+    return receipt
+      ? tx.erasureReceipt.update({
+          where: { id: receipt.id },
+          data: { status: 'CANCELLED', cancelledAt: now },
+        })
+      : null
+  })
+}
+
+// 'deleted', 'not_found' (already gone), 'none' (never linked) or 'unavailable' (provider
+// not configured, so the identity cannot be reached from here); other failures throw
+async function deleteClerkIdentity(clerkId) {
+  if (!clerkId) return 'none'
+  if (!process.env.CLERK_SECRET_KEY) {
+    console.warn('[Account Deletion] Clerk is not configured; cannot delete Clerk user', clerkId)
+    return 'unavailable'
+  }
+  try {
+    await clerk.users.deleteUser(clerkId)
+    return 'deleted'
+  } catch (error) {
+    if (error?.status === 404) return 'not_found'
+    throw error
+  }
+}
+
+async function deleteSupabaseIdentity(supabaseId) {
+  if (!supabaseId) return 'none'
+  const { SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY } = process.env
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY || !SUPABASE_SERVICE_ROLE_KEY) {
+    console.warn('[Account Deletion] Supabase is not configured; cannot delete legacy user', supabaseId)
+    return 'unavailable'
+  }
+  const { error } = await supabaseAdmin.auth.admin.deleteUser(supabaseId)
+  if (!error) return 'deleted'
+  if (error.status === 404) return 'not_found'
+  throw error
+}
+
+/**
+ * Erase `user` and everything they own, completing their erasure receipt.
+ * External identities go first: if one cannot be deleted nothing else is, and the
+ * next purge run retries (an identity deleted by the failed run then reads 'not_found').
+ */
+export async function eraseAccount(user, now = new Date()) {
+  const identities = {
+    clerk: await deleteClerkIdentity(user.clerkId),
+    supabase: await deleteSupabaseIdentity(user.supabaseId),
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const removed = {}
+    for (const [key, model, where] of getOwnedRows(user)) {
+      removed[key] = (await tx[model].deleteMany({ where })).count
+    }
+    await tx.user.delete({ where: { id: user.id } })
+
+    const scheduled = await findScheduledReceipt(tx, user.id)
+    // Viewers revoked when the deletion was scheduled count too
+    removed.viewers += scheduled?.removed?.viewers ?? 0
+
+    const data = { status: 'COMPLETED', completedAt: now, removed, identities }
+    return scheduled
+      ? tx.erasureReceipt.update({ where: { id: scheduled.id }, data })
+      : tx.erasureReceipt.create({
+          data: {
+            ...data,
+            userId: user.id,
+            userType: user.userType,
+            requestedAt: now,
+            scheduledFor: user.deletionScheduledFor ?? now,
+          },
+        })
+  }, { timeout: ERASE_TRANSACTION_TIMEOUT_MS })
+}
+
+/**
+ * Count a failed erasure run on the user's scheduled receipt, so repeated failures
+ * show up there rather than only in the logs
+ */
+export async function recordErasureFailure(user, error, now = new Date()) {
+  await prisma.erasureReceipt.updateMany({
+    where: { userId: user.id, status: 'SCHEDULED' },
+    data: {
+      failedAttempts: { increment: 1 },
+      lastFailedAt: now,
+      lastError: String(error?.message ?? error).slice(0, 1000),
+    },
+  })
+}
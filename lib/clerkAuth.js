@@ -0,0 +1,187 @@
+import crypto from 'crypto'
+import axios from 'axios'
+import jwt from 'jsonwebtoken'
+import dotenv from 'dotenv'
+import { clerk } from './clerk.js'
+
+dotenv.config()
+
+const CLERK_API_URL = process.env.CLERK_API_URL || 'https://api.clerk.com'
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000 // Re-fetch signing keys at most once per hour
+const JWKS_MIN_REFRESH_MS = 30 * 1000 // Unknown kid may force a refresh, but not more often than this
+const CLOCK_TOLERANCE_SECONDS = 5
+
+let jwksCache = {
+  keys: new Map(),
+  fetchedAt: 0,
+}
+let jwksRequest = null
+
+function getAuthorizedParties() {
+  return (process.env.CLERK_AUTHORIZED_PARTIES || '')
+    .split(',')
+    .map(party => party.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Local-key mode: when CLERK_JWT_KEY holds a PEM public key, tokens are verified
+ * against it without any network call (used for tests and networkless deploys).
+ */
+function getLocalJwtKey() {
+  const rawKey = process.env.CLERK_JWT_KEY
+  if (!rawKey) {
+    return null
+  }
+  // Allow the key to be stored on a single line with literal "\n" separators
+  return rawKey.includes('\\n') ? rawKey.replace(/\\n/g, '\n') : rawKey
+}
+
+async function fetchJwks() {
+  const jwksUrl = process.env.CLERK_JWKS_URL || `${CLERK_API_URL}/v1/jwks`
+  const headers = {}
+  if (!process.env.CLERK_JWKS_URL) {
+    if (!process.env.CLERK_SECRET_KEY) {
+      throw new Error('Missing CLERK_SECRET_KEY (or CLERK_JWKS_URL / CLERK_JWT_KEY) for token verification')
+    }
+    headers.Authorization = `Bearer ${process.env.CLERK_SECRET_KEY}`
+  }
+
+  const response = await axios.get(jwksUrl, { headers, timeout: 10000 })
+  const keys = new Map()
+  for (const jwk of response.data?.keys || []) {
+    if (!jwk.kid || jwk.kty !== 'RSA') continue
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }))
+  }
+
+  jwksCache = { keys, fetchedAt: Date.now() }
+  return keys
+}
+
+async function getSigningKey(kid) {
+  const localKey = getLocalJwtKey()
+  if (localKey) {
+    return localKey
+  }
+
+  const cacheAge = Date.now() - jwksCache.fetchedAt
+  const cached = kid ? jwksCache.keys.get(kid) : null
+  if (cached && cacheAge < JWKS_CACHE_TTL_MS) {
+    return cached
+  }
+
+  // Refresh on expiry, or when a new kid shows up after key rotation
+  if (cacheAge >= JWKS_CACHE_TTL_MS || (!cached && cacheAge >= JWKS_MIN_REFRESH_MS)) {
+    if (!jwksRequest) {
+      jwksRequest = fetchJwks().finally(() => {
+        jwksRequest = null
+      })
+    }
+    await jwksRequest
+  }
+
+  const key = kid ? jwksCache.keys.get(kid) : null
+  if (!key) {
+    throw new Error('No matching signing key found for token')
+  }
+  return key
+}
+
+/**
+ * Verify a Clerk session token and return its claims.
+ * Throws if the signature, expiry or authorized party do not check out.
+ */
+export async function verifyClerkToken(token) {
+  const decoded = jwt.decode(token, { complete: true })
+  if (!decoded?.header || !decoded?.payload) {
+    throw new Error('Malformed token')
+  }
+
+  const signingKey = await getSigningKey(decoded.header.kid)
+  const claims = jwt.verify(token, signingKey, {
+    algorithms: ['RS256'],
+    clockTolerance: CLOCK_TOLERANCE_SECONDS,
+  })
+
+  if (!claims.sub) {
+    throw new Error('Token is missing the sub claim')
+  }
+
+  const authorizedParties = getAuthorizedParties()
+  if (claims.azp && authorizedParties.length > 0 && !authorizedParties.includes(claims.azp)) {
+    throw new Error(`Token was issued for an unauthorized party: ${claims.azp}`)
+  }
+
+  return claims
+}
+
+/**
+ * Build the request user from verified claims. Session tokens customised to carry
+ * email/name claims skip the Clerk API round-trip; otherwise the profile is fetched.
+ */
+async function buildRequestUser(claims) {
+  if (claims.email) {
+    return {
+      id: claims.sub,
+      clerkId: claims.sub,
+      email: claims.email,
+      firstName: claims.first_name || claims.firstName || null,
+      lastName: claims.last_name || claims.lastName || null,
+    }
+  }
+
+  const clerkUser = await clerk.users.getUser(claims.sub)
+  const primaryEmail =
+    clerkUser.emailAddresses?.find(address => address.id === clerkUser.primaryEmailAddressId) ||
+    clerkUser.emailAddresses?.[0]
+
+  return {
+    id: clerkUser.id,
+    clerkId: clerkUser.id,
+    email: primaryEmail?.emailAddress || null,
+    firstName: clerkUser.firstName || null,
+    lastName: clerkUser.lastName || null,
+  }
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+export function getBearerToken(req) {
+  const authHeader = req.headers.authorization
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null
+  }
+  return authHeader.substring(7).trim() || null
+}
+
+/**
+ * Middleware to verify a Clerk session token.
+ * Only the signed token is trusted; clerkId/email in the body or query are ignored.
+ * Attaches req.user = { id, clerkId, email, firstName, lastName }.
+ */
+export async function verifyClerkAuth(req, res, next) {
+  const token = getBearerToken(req)
+  if (!token) {
+    return res.status(401).json({ error: 'Missing or invalid authorization header' })
+  }
+
+  let claims
+  try {
+    claims = await verifyClerkToken(token)
+  } catch (error) {
+    console.log('[Clerk Auth] Token verification failed:', error.message)
+    return res.status(401).json({ error: 'Invalid or expired token' })
+  }
+
+  try {
+    req.user = await buildRequestUser(claims)
+    req.auth = { claims, sessionId: claims.sid || null }
+    return next()
+  } catch (error) {
+    console.error('[Clerk Auth] Error loading Clerk user:', error?.message)
+    return res.status(401).json({ error: 'Authentication failed', details: 'Could not load user profile' })
+  }
+}
+
+export default verifyClerkAuth
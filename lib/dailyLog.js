@@ -0,0 +1,98 @@
+import prisma from './prisma.js'
+import { estimateEndDate, formatPeriod, formatPeriodDay } from './periodDays.js'
+import { getCycleState } from '../utils/cycleEngine.js'
+import {
+  formatCalendarDate,
+  fromLocalDayNumber,
+  getCalendarDayNumber,
+  toCalendarDate,
+} from '../utils/cycleInfo.js'
+
+/**
+ * Merged per-day view of everything a user logged: flow, symptoms, moods and notes,
+ * with the period covering the day and the cycle phase computed for it.
+ */
+
+export const MAX_RANGE_DAYS = 92
+
+// The cycle fields a day view carries, or null before the first logged period
+function formatCycle(state) {
+  if (!state) return null
+  return {
+    cycleDay: state.cycleDay,
+    phase: state.phase,
+    phaseDescription: state.phaseDescription,
+    isOnPeriod: state.isOnPeriod,
+    isFertile: state.isFertile,
+    isLate: state.isLate,
+  }
+}
+
+function groupByDay(rows) {
+  const byDay = new Map()
+  for (const row of rows) {
+    const day = getCalendarDayNumber(row.date)
+    if (!byDay.has(day)) byDay.set(day, [])
+    byDay.get(day).push(row)
+  }
+  return byDay
+}
+
+/**
+ * Day views for every day from `startDate` to `endDate` (calendar dates, inclusive),
+ * oldest first. Days with nothing logged are included so the phase shows for each.
+ * `user` is the subject row with its settings; the timezone decides which local day
+ * the cycle engine is asked about.
+ */
+export async function getDayViews(user, startDate, endDate, timezone) {
+  const where = { userId: user.id, date: { gte: startDate, lte: endDate } }
+  const [periods, periodDays, symptoms, moods, notes] = await Promise.all([
+    prisma.period.findMany({ where: { userId: user.id }, orderBy: { startDate: 'asc' } }),
+    prisma.periodDay.findMany({
+      where: { period: { userId: user.id }, date: { gte: startDate, lte: endDate } },
+    }),
+    prisma.symptom.findMany({ where, orderBy: { createdAt: 'asc' } }),
+    prisma.mood.findMany({ where, orderBy: { createdAt: 'asc' } }),
+    prisma.note.findMany({ where, orderBy: { createdAt: 'asc' } }),
+  ])
+
+  const settings = user.settings
+  const flowByDay = new Map(periodDays.map(day => [getCalendarDayNumber(day.date), day]))
+  const symptomsByDay = groupByDay(symptoms)
+  const moodsByDay = groupByDay(moods)
+  const notesByDay = groupByDay(notes)
+  const ranges = periods.map(period => ({
+    period,
+    start: getCalendarDayNumber(period.startDate),
+    end: getCalendarDayNumber(period.endDate ?? estimateEndDate(period.startDate, settings)),
+  }))
+
+  const views = []
+  const lastDay = getCalendarDayNumber(endDate)
+  for (let day = getCalendarDayNumber(startDate); day <= lastDay; day++) {
+    const covering = ranges.find(range => range.start <= day && day <= range.end)
+    const flow = flowByDay.get(day)
+    const state = getCycleState(periods, settings, { date: fromLocalDayNumber(day, timezone), timezone })
+
+    views.push({
+      date: formatCalendarDate(toCalendarDate(day)),
+      cycle: formatCycle(state),
+      period: covering ? formatPeriod(covering.period) : null,
+      flow: flow ? formatPeriodDay(flow) : null,
+      symptoms: (symptomsByDay.get(day) || []).map(s => ({ id: s.id, type: s.type, severity: s.severity })),
+      moods: (moodsByDay.get(day) || []).map(m => ({ id: m.id, type: m.type })),
+      notes: (notesByDay.get(day) || []).map(n => ({
+        id: n.id,
+        content: n.content,
+        createdAt: n.createdAt.toISOString(),
+        updatedAt: n.updatedAt.toISOString(),
+      })),
+    })
+  }
+  return views
+}
+
+export async function getDayView(user, date, timezone) {
+  const [view] = await getDayViews(user, date, date, timezone)
+  return view
+}
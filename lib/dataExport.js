@@ -0,0 +1,226 @@
+import prisma from './prisma.js'
+import { PERMISSIONS, hasPermission } from './permissions.js'
+import { formatPeriod, formatPeriodDay } from './periodDays.js'
+import { getCycleState } from '../utils/cycleEngine.js'
+import {
+  formatCalendarDate,
+  fromLocalDayNumber,
+  getCalendarDayNumber,
+  getLocalCalendarDate,
+} from '../utils/cycleInfo.js'
+
+/**
+ * Full data export: one archive of everything tracked for the subject, as JSON, as one
+ * CSV per table, or summarised for a doctor visit (see lib/exportReport.js).
+ *
+ * Scoped like the rest of the API: viewers get the tracking data they can read, while
+ * reminders and notification settings, which belong to the account, need
+ * account:manage.
+ */
+
+export const EXPORT_FORMATS = ['json', 'csv', 'pdf']
+export const DEFAULT_REPORT_CYCLES = 6
+export const MAX_REPORT_CYCLES = 24
+
+const PHASES = ['Menstrual', 'Follicular', 'Ovulation', 'Luteal']
+const TOP_SYMPTOMS_PER_PHASE = 5
+
+const CYCLE_SETTINGS = [
+  'lastPeriodDate',
+  'periodDuration',
+  'averagePeriodLength',
+  'averageCycleLength',
+  'birthYear',
+  'timezone',
+]
+
+const ACCOUNT_SETTINGS = [
+  'reminderEnabled',
+  'reminderDaysBefore',
+  'viewerNotificationsEnabled',
+  'mutedNotificationCategories',
+  'dailyNotificationCap',
+  'quietHoursStart',
+  'quietHoursEnd',
+  'preferredDeliveryTime',
+]
+
+function pick(source, keys) {
+  return Object.fromEntries(keys.map(key => [key, source?.[key] ?? null]))
+}
+
+/**
+ * Everything logged for the identity's subject, formatted like the API responses
+ */
+export async function collectExport(identity) {
+  const { subject } = identity
+  const includeAccount = hasPermission(identity, PERMISSIONS.MANAGE_ACCOUNT)
+  const where = { userId: subject.id }
+
+  const [periods, symptoms, moods, notes, reminders] = await Promise.all([
+    prisma.period.findMany({
+      where,
+      orderBy: { startDate: 'asc' },
+      include: { days: { orderBy: { date: 'asc' } } },
+    }),
+    prisma.symptom.findMany({ where, orderBy: [{ date: 'asc' }, { createdAt: 'asc' }] }),
+    prisma.mood.findMany({ where, orderBy: [{ date: 'asc' }, { createdAt: 'asc' }] }),
+    prisma.note.findMany({ where, orderBy: [{ date: 'asc' }, { createdAt: 'asc' }] }),
+    includeAccount
+      ? prisma.reminder.findMany({ where: { ...where, deletedAt: null }, orderBy: { sentAt: 'asc' } })
+      : [],
+  ])
+
+  const settings = pick(subject.settings, includeAccount ? [...CYCLE_SETTINGS, ...ACCOUNT_SETTINGS] : CYCLE_SETTINGS)
+  if (settings.lastPeriodDate) {
+    settings.lastPeriodDate = settings.lastPeriodDate.toISOString()
+  }
+
+  return {
+    exportedAt: new Date().toISOString(),
+    user: { id: subject.id, name: subject.name, email: subject.email },
+    settings,
+    periods: periods.map(period => ({ ...formatPeriod(period), days: period.days.map(formatPeriodDay) })),
+    symptoms: symptoms.map(s => ({
+      id: s.id,
+      date: formatCalendarDate(s.date),
+      type: s.type,
+      severity: s.severity,
+      createdAt: s.createdAt.toISOString(),
+      updatedAt: s.updatedAt.toISOString(),
+    })),
+    moods: moods.map(m => ({
+      id: m.id,
+      date: formatCalendarDate(m.date),
+      type: m.type,
+      createdAt: m.createdAt.toISOString(),
+      updatedAt: m.updatedAt.toISOString(),
+    })),
+    notes: notes.map(n => ({
+      id: n.id,
+      date: formatCalendarDate(n.date),
+      content: n.content,
+      createdAt: n.createdAt.toISOString(),
+      updatedAt: n.updatedAt.toISOString(),
+    })),
+    ...(includeAccount && {
+      reminders: reminders.map(r => ({
+        id: r.id,
+        message: r.message,
+        phase: r.phase,
+        cycleDay: r.cycleDay,
+        sentAt: r.sentAt.toISOString(),
+        readAt: r.readAt ? r.readAt.toISOString() : null,
+      })),
+    }),
+  }
+}
+
+// Spreadsheets run text starting with these as a formula; a leading ' keeps it text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+function csvValue(value) {
+  if (value === null || value === undefined) return ''
+  let text = Array.isArray(value) ? value.join(';') : String(value)
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')]
+  for (const row of rows) {
+    lines.push(columns.map(column => csvValue(row[column])).join(','))
+  }
+  return `${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * The export as CSV files: { 'periods.csv': text, ... }. Period days get their own file
+ * linked by periodId, and settings are written as setting,value rows.
+ */
+export function toCsvFiles(data) {
+  const files = {
+    'periods.csv': toCsv(
+      ['id', 'startDate', 'endDate', 'endDateDerived', 'flowLevel', 'createdAt', 'updatedAt'],
+      data.periods
+    ),
+    'period_days.csv': toCsv(
+      ['id', 'periodId', 'date', 'flowLevel', 'spotting', 'clots', 'color', 'createdAt', 'updatedAt'],
+      data.periods.flatMap(period => period.days)
+    ),
+    'symptoms.csv': toCsv(['id', 'date', 'type', 'severity', 'createdAt', 'updatedAt'], data.symptoms),
+    'moods.csv': toCsv(['id', 'date', 'type', 'createdAt', 'updatedAt'], data.moods),
+    'notes.csv': toCsv(['id', 'date', 'content', 'createdAt', 'updatedAt'], data.notes),
+    'settings.csv': toCsv(
+      ['setting', 'value'],
+      Object.entries(data.settings).map(([setting, value]) => ({ setting, value }))
+    ),
+  }
+  if (data.reminders) {
+    files['reminders.csv'] = toCsv(['id', 'message', 'phase', 'cycleDay', 'sentAt', 'readAt'], data.reminders)
+  }
+  return files
+}
+
+/**
+ * Summary of the last `cycles` cycles for a doctor visit: each cycle's start, period
+ * length and cycle length (null for the current one), their averages, and the most
+ * logged symptoms in each phase since the first of those cycles.
+ * `data` is the collectExport() result; `settings` the subject's settings row.
+ */
+export function buildCycleReport(data, settings, { cycles = DEFAULT_REPORT_CYCLES, timezone = 0 } = {}) {
+  const offset = Math.max(0, data.periods.length - cycles)
+  const rows = data.periods.slice(offset).map((period, index) => {
+    const start = getCalendarDayNumber(period.startDate)
+    const next = data.periods[offset + index + 1]
+    return {
+      startDate: period.startDate,
+      endDate: period.endDate,
+      periodLength: period.endDate ? getCalendarDayNumber(period.endDate) - start + 1 : null,
+      cycleLength: next ? getCalendarDayNumber(next.startDate) - start : null,
+    }
+  })
+
+  const average = values => (values.length > 0
+    ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+    : null)
+  const cycleLengths = rows.map(row => row.cycleLength).filter(length => length !== null)
+  const periodLengths = rows.map(row => row.periodLength).filter(length => length !== null)
+
+  const firstDay = rows.length > 0 ? getCalendarDayNumber(rows[0].startDate) : null
+  const counts = Object.fromEntries(PHASES.map(phase => [phase, new Map()]))
+
+  for (const symptom of data.symptoms) {
+    const day = getCalendarDayNumber(symptom.date)
+    if (firstDay === null || day < firstDay) continue
+    const state = getCycleState(data.periods, settings, { date: fromLocalDayNumber(day, timezone), timezone })
+    if (!state) continue
+    const entry = counts[state.phase].get(symptom.type) || { type: symptom.type, count: 0, severityTotal: 0 }
+    entry.count += 1
+    entry.severityTotal += symptom.severity
+    counts[state.phase].set(symptom.type, entry)
+  }
+
+  const symptomsByPhase = PHASES.map(phase => ({
+    phase,
+    symptoms: [...counts[phase].values()]
+      .sort((a, b) => b.count - a.count || b.severityTotal - a.severityTotal)
+      .slice(0, TOP_SYMPTOMS_PER_PHASE)
+      .map(({ type, count, severityTotal }) => ({
+        type,
+        count,
+        averageSeverity: Math.round((severityTotal / count) * 10) / 10,
+      })),
+  }))
+
+  return {
+    user: data.user,
+    generatedOn: formatCalendarDate(getLocalCalendarDate(new Date(), timezone)),
+    cycles: rows,
+    averageCycleLength: average(cycleLengths),
+    averagePeriodLength: average(periodLengths),
+    symptomsByPhase,
+  }
+}
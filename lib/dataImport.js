@@ -0,0 +1,233 @@
+import { randomUUID } from 'node:crypto'
+import prisma from './prisma.js'
+import { FLOW_LEVELS, PERIOD_LENGTH_RANGE, SEVERITY_RANGE } from './trackingOptions.js'
+import { MERGE_GAP_DAYS, filterConflicts } from './periodConflicts.js'
+import { estimateEndDate } from './periodDays.js'
+import { formatCalendarDate, getCalendarDayNumber, toCalendarDate } from '../utils/cycleInfo.js'
+
+/**
+ * Import planning and commit for data read by lib/importFormats.js.
+ *
+ * planImport() decides what each imported entry becomes without writing anything:
+ * - Flow days are grouped into periods: a day with flow within MERGE_GAP_DAYS of the
+ *   previous one continues its period (up to the longest period length). Spotting outside
+ *   any period becomes a `spotting` symptom, as in PUT /api/days/:date.
+ * - Imported periods that overlap each other are combined first; a period that conflicts
+ *   with a logged one (lib/periodConflicts.js) is reported and skipped.
+ * - Symptoms and moods already logged with that type on that day, and notes with the same
+ *   text on that day, conflict too and are skipped. Within the import the last entry of a
+ *   type on a day wins.
+ *
+ * Every planned entry has a status: 'create' or 'conflict'.
+ *
+ * commitImport() writes the planned entries in one transaction.
+ */
+
+// Imports write many rows at once, well past Prisma's 5 second default
+const IMPORT_TRANSACTION_TIMEOUT_MS = 60000
+
+const dayOf = date => getCalendarDayNumber(date)
+
+function heaviest(days) {
+  const levels = days.map(day => FLOW_LEVELS.indexOf(day.flowLevel)).filter(index => index >= 0)
+  return levels.length > 0 ? FLOW_LEVELS[Math.max(...levels)] : null
+}
+
+// Flow days as periods with their days, and spotting that falls outside every period
+function groupFlowDays(flowDays) {
+  const byDay = new Map(flowDays.map(day => [dayOf(day.date), day]))
+  const periods = []
+  const strayDays = []
+  let current = null
+
+  for (const day of [...byDay.values()].sort((a, b) => a.date - b.date)) {
+    const number = dayOf(day.date)
+    const continues = current
+      && number <= current.lastFlowDay + MERGE_GAP_DAYS + 1
+      && number < dayOf(current.startDate) + PERIOD_LENGTH_RANGE.max
+
+    if (continues) {
+      current.days.push(day)
+      if (day.flowLevel) current.lastFlowDay = number
+    } else if (day.flowLevel) {
+      current = { at: day.at, startDate: day.date, endDate: null, days: [day], lastFlowDay: number }
+      periods.push(current)
+    } else {
+      strayDays.push(day)
+    }
+  }
+
+  return {
+    periods: periods.map(({ lastFlowDay, ...period }) => ({ ...period, flowLevel: heaviest(period.days) })),
+    strayDays,
+  }
+}
+
+// Combine imported periods that overlap or nearly duplicate each other
+function combinePeriods(periods, settings) {
+  const combined = []
+  for (const period of [...periods].sort((a, b) => a.startDate - b.startDate)) {
+    const previous = combined[combined.length - 1]
+    if (!previous || filterConflicts(period, [previous], settings).length === 0) {
+      combined.push({ ...period, days: [...period.days] })
+      continue
+    }
+    const ends = [previous.endDate, period.endDate].filter(Boolean)
+    previous.endDate = ends.length > 0 ? new Date(Math.max(...ends)) : null
+    previous.flowLevel = previous.flowLevel ?? period.flowLevel
+    const dates = new Set(previous.days.map(day => dayOf(day.date)))
+    previous.days.push(...period.days.filter(day => !dates.has(dayOf(day.date))))
+  }
+  return combined
+}
+
+/**
+ * The end a new period gets: the imported end (moved out to cover its logged days), else
+ * its last flow day, else the usual period length. Only the first counts as set by the user.
+ */
+function resolveEnd(period, settings) {
+  const lastDay = period.days.reduce((last, day) => (!last || day.date > last ? day.date : last), null)
+  if (period.endDate) {
+    return { endDate: lastDay && lastDay > period.endDate ? lastDay : period.endDate, endDateDerived: false }
+  }
+  const flowDates = period.days.filter(day => day.flowLevel).map(day => day.date)
+  return {
+    endDate: flowDates.length > 0 ? new Date(Math.max(...flowDates)) : estimateEndDate(period.startDate, settings),
+    endDateDerived: true,
+  }
+}
+
+// Entries keyed by day and `key`; later entries replace earlier ones
+function lastPerDay(entries, key) {
+  return [...new Map(entries.map(entry => [`${dayOf(entry.date)}:${entry[key]}`, entry])).values()]
+}
+
+function dateBounds(entries) {
+  const days = entries.map(entry => dayOf(entry.date))
+  return days.length > 0 ? { gte: toCalendarDate(Math.min(...days)), lte: toCalendarDate(Math.max(...days)) } : null
+}
+
+/**
+ * What importing `parsed` would create for `user` (with settings), and what it would skip
+ */
+export async function planImport(user, parsed) {
+  const settings = user.settings
+  const grouped = groupFlowDays(parsed.flowDays)
+  const periods = combinePeriods([...parsed.periods, ...grouped.periods], settings)
+    .map(period => ({ ...period, ...resolveEnd(period, settings) }))
+
+  const symptoms = lastPerDay([
+    ...parsed.symptoms,
+    ...grouped.strayDays.map(day => ({ at: day.at, date: day.date, type: 'spotting', severity: SEVERITY_RANGE.default })),
+  ], 'type')
+  const moods = lastPerDay(parsed.moods, 'type')
+  const notes = lastPerDay(parsed.notes, 'content')
+
+  const within = entries => {
+    const bounds = dateBounds(entries)
+    return bounds ? { userId: user.id, date: bounds } : null
+  }
+  const [existingPeriods, existingSymptoms, existingMoods, existingNotes] = await Promise.all([
+    prisma.period.findMany({ where: { userId: user.id }, orderBy: { startDate: 'asc' } }),
+    within(symptoms) ? prisma.symptom.findMany({ where: within(symptoms), select: { date: true, type: true } }) : [],
+    within(moods) ? prisma.mood.findMany({ where: within(moods), select: { date: true, type: true } }) : [],
+    within(notes) ? prisma.note.findMany({ where: within(notes), select: { date: true, content: true } }) : [],
+  ])
+
+  const keysOf = (rows, key) => new Set(rows.map(row => `${dayOf(row.date)}:${row[key]}`))
+  const markExisting = (entries, rows, key) => {
+    const existing = keysOf(rows, key)
+    return entries.map(entry => ({
+      ...entry,
+      status: existing.has(`${dayOf(entry.date)}:${entry[key]}`) ? 'conflict' : 'create',
+    }))
+  }
+
+  return {
+    periods: periods.map(period => {
+      const conflicts = filterConflicts(period, existingPeriods, settings)
+      return { ...period, status: conflicts.length > 0 ? 'conflict' : 'create', conflicts }
+    }),
+    symptoms: markExisting(symptoms, existingSymptoms, 'type'),
+    moods: markExisting(moods, existingMoods, 'type'),
+    notes: markExisting(notes, existingNotes, 'content'),
+    warnings: parsed.warnings,
+  }
+}
+
+function countStatuses(entries) {
+  const create = entries.filter(entry => entry.status === 'create').length
+  return { create, conflict: entries.length - create }
+}
+
+/**
+ * The plan in API form: every entry with its status, the logged periods a period
+ * conflicts with, and counts per status
+ */
+export function formatPlan(plan) {
+  return {
+    summary: {
+      periods: countStatuses(plan.periods),
+      symptoms: countStatuses(plan.symptoms),
+      moods: countStatuses(plan.moods),
+      notes: countStatuses(plan.notes),
+    },
+    periods: plan.periods.map(period => ({
+      at: period.at,
+      startDate: formatCalendarDate(period.startDate),
+      endDate: formatCalendarDate(period.endDate),
+      endDateDerived: period.endDateDerived,
+      flowLevel: period.flowLevel ?? null,
+      days: period.days.length,
+      status: period.status,
+      conflicts: period.conflicts.map(conflict => ({
+        id: conflict.id,
+        startDate: formatCalendarDate(conflict.startDate),
+        endDate: formatCalendarDate(conflict.endDate),
+      })),
+    })),
+    symptoms: plan.symptoms.map(({ at, date, type, severity, status }) => ({
+      at, date: formatCalendarDate(date), type, severity, status,
+    })),
+    moods: plan.moods.map(({ at, date, type, status }) => ({ at, date: formatCalendarDate(date), type, status })),
+    notes: plan.notes.map(({ at, date, content, status }) => ({ at, date: formatCalendarDate(date), content, status })),
+    warnings: plan.warnings,
+  }
+}
+
+/**
+ * Write the entries the plan marks 'create' for `userId`, in one transaction
+ */
+export async function commitImport(userId, plan) {
+  const creating = entries => entries.filter(entry => entry.status === 'create')
+  const periods = creating(plan.periods).map(period => ({ ...period, id: randomUUID() }))
+
+  await prisma.$transaction(async (tx) => {
+    await tx.period.createMany({
+      data: periods.map(({ id, startDate, endDate, endDateDerived, flowLevel }) => ({
+        id, userId, startDate, endDate, endDateDerived, flowLevel: flowLevel ?? null,
+      })),
+    })
+    await tx.periodDay.createMany({
+      data: periods.flatMap(period => period.days.map(day => ({
+        periodId: period.id,
+        date: day.date,
+        flowLevel: day.flowLevel ?? null,
+        spotting: Boolean(day.spotting),
+        clots: day.clots ?? null,
+        color: day.color ?? null,
+      }))),
+    })
+    await tx.symptom.createMany({
+      data: creating(plan.symptoms).map(({ date, type, severity }) => ({ userId, date, type, severity })),
+      skipDuplicates: true,
+    })
+    await tx.mood.createMany({
+      data: creating(plan.moods).map(({ date, type }) => ({ userId, date, type })),
+      skipDuplicates: true,
+    })
+    await tx.note.createMany({
+      data: creating(plan.notes).map(({ date, content }) => ({ userId, date, content })),
+    })
+  }, { timeout: IMPORT_TRANSACTION_TIMEOUT_MS })
+}
@@ -0,0 +1,107 @@
+import PDFDocument from 'pdfkit'
+
+/**
+ * Printable doctor-visit report from buildCycleReport() (lib/dataExport.js), rendered
+ * locally with pdfkit's built-in fonts.
+ */
+
+const MARGIN = 50
+
+function formatDays(value) {
+  return value === null ? '-' : `${value} days`
+}
+
+const COLUMNS = [
+  { label: 'Period start', width: 120, value: cycle => cycle.startDate },
+  { label: 'Period end', width: 120, value: cycle => cycle.endDate ?? '-' },
+  { label: 'Period length', width: 110, value: cycle => formatDays(cycle.periodLength) },
+  { label: 'Cycle length', width: 110, value: cycle => (cycle.cycleLength === null ? 'current' : formatDays(cycle.cycleLength)) },
+]
+
+function formatLabel(type) {
+  const text = type.replace(/_/g, ' ')
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+function heading(doc, text) {
+  doc.moveDown(1.2).font('Helvetica-Bold').fontSize(13).text(text, MARGIN).moveDown(0.4)
+  doc.font('Helvetica').fontSize(10)
+}
+
+function cyclesTable(doc, cycles) {
+  const header = COLUMNS.map(column => column.label)
+
+  // Cells are placed side by side at one y, so pdfkit cannot break a row across pages by
+  // itself: it would move only the cells that overflow. A row that does not fit starts a
+  // new page, with the header repeated there.
+  const drawRow = (values, font) => {
+    doc.font(font)
+    const height = Math.max(...values.map((value, index) => doc.heightOfString(value, { width: COLUMNS[index].width })))
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage()
+      if (values !== header) {
+        drawRow(header, 'Helvetica-Bold')
+        doc.font(font)
+      }
+    }
+
+    const y = doc.y
+    let x = MARGIN
+    values.forEach((value, index) => {
+      doc.text(value, x, y, { width: COLUMNS[index].width })
+      x += COLUMNS[index].width
+    })
+    doc.x = MARGIN
+    doc.y = y + height
+    doc.moveDown(0.3)
+  }
+
+  drawRow(header, 'Helvetica-Bold')
+  // Newest cycle first
+  for (const cycle of [...cycles].reverse()) {
+    drawRow(COLUMNS.map(column => column.value(cycle)), 'Helvetica')
+  }
+  doc.font('Helvetica')
+}
+
+/**
+ * Write the report as a PDF into `stream` (an HTTP response or a file) and end it
+ */
+export function writeCycleReportPdf(report, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: 'Cycle summary' } })
+  doc.pipe(stream)
+
+  doc.font('Helvetica-Bold').fontSize(20).text('Cycle summary')
+  doc.font('Helvetica').fontSize(10).fillColor('#555555')
+    .text([report.user.name, `Generated ${report.generatedOn}`].filter(Boolean).join('  |  '))
+    .fillColor('black')
+
+  heading(doc, `Last ${report.cycles.length} cycle${report.cycles.length === 1 ? '' : 's'}`)
+  if (report.cycles.length === 0) {
+    doc.text('No periods logged yet.')
+  } else {
+    doc.text(`Average cycle length: ${formatDays(report.averageCycleLength)}`)
+    doc.text(`Average period length: ${formatDays(report.averagePeriodLength)}`)
+    doc.moveDown(0.6)
+    cyclesTable(doc, report.cycles)
+  }
+
+  heading(doc, 'Most logged symptoms by phase')
+  for (const { phase, symptoms } of report.symptomsByPhase) {
+    doc.font('Helvetica-Bold').text(phase, MARGIN).font('Helvetica')
+    if (symptoms.length === 0) {
+      doc.text('None logged', MARGIN + 15)
+    }
+    for (const symptom of symptoms) {
+      doc.text(
+        `${formatLabel(symptom.type)}: ${symptom.count} day${symptom.count === 1 ? '' : 's'}, average severity ${symptom.averageSeverity} of 5`,
+        MARGIN + 15
+      )
+    }
+    doc.moveDown(0.4)
+  }
+
+  doc.moveDown(1).fontSize(8).fillColor('#555555')
+    .text('Based on self-logged data. Cycle phases are estimated from logged period dates.', MARGIN)
+  doc.end()
+}
@@ -0,0 +1,203 @@
+import prisma from './prisma.js'
+import { getPermissions } from './permissions.js'
+import { resolveTimezone } from '../utils/cycleInfo.js'
+
+const VIEW_MODES = ['SELF', 'OTHER']
+// A viewer's last access is written at most this often rather than on every request
+const LAST_ACCESS_INTERVAL_MS = 5 * 60 * 1000
+
+function identityError(status, code, message) {
+  const error = new Error(message)
+  error.status = status
+  error.code = code
+  return error
+}
+
+export function getDisplayName(user) {
+  return user.firstName || user.lastName
+    ? `${user.firstName || ''} ${user.lastName || ''}`.trim()
+    : null
+}
+
+/**
+ * Whether the SELF user's expiry date on this OTHER user's access has passed
+ */
+export function isViewerAccessExpired(viewer, now = new Date()) {
+  return Boolean(viewer.viewerAccessExpiresAt && viewer.viewerAccessExpiresAt <= now)
+}
+
+async function recordViewerAccess(viewer, now) {
+  if (viewer.viewerLastAccessAt && now - viewer.viewerLastAccessAt < LAST_ACCESS_INTERVAL_MS) {
+    return
+  }
+  try {
+    await prisma.user.update({
+      where: { id: viewer.id },
+      data: { viewerLastAccessAt: now },
+    })
+  } catch (error) {
+    console.warn('[Identity] Unable to record viewer access:', error.message)
+  }
+}
+
+/**
+ * Read the x-view-mode header ('SELF' | 'OTHER'), or null when absent
+ */
+export function getRequestedViewMode(req) {
+  const header = req.headers['x-view-mode']
+  const value = Array.isArray(header) ? header[0] : header
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null
+  }
+  const mode = value.trim().toUpperCase()
+  if (!VIEW_MODES.includes(mode)) {
+    throw identityError(400, 'INVALID_VIEW_MODE', 'x-view-mode must be SELF or OTHER')
+  }
+  return mode
+}
+
+/**
+ * Find the database row for the authenticated Clerk user.
+ * Rows created before Clerk IDs were stored are matched by email and linked once.
+ */
+async function findActorRow(authUser, mode) {
+  const include = { settings: true }
+
+  let actor = await prisma.user.findUnique({
+    where: { clerkId: authUser.clerkId },
+    include,
+  })
+  if (actor || !authUser.email) {
+    return actor
+  }
+
+  const legacy = await prisma.user.findFirst({
+    where: {
+      email: authUser.email,
+      clerkId: null,
+      ...(mode ? { userType: mode } : {}),
+    },
+    include,
+  })
+  if (!legacy) {
+    return null
+  }
+
+  console.log('[Identity] Linking legacy user row to Clerk ID:', { userId: legacy.id, userType: legacy.userType })
+  return prisma.user.update({
+    where: { id: legacy.id },
+    data: { clerkId: authUser.clerkId },
+    include,
+  })
+}
+
+/**
+ * Resolve who is acting and whose data they act on.
+ *
+ * Returns { actor, subject, role, permissions }:
+ * - actor: the caller's own user row (SELF or OTHER)
+ * - subject: the SELF user whose data is read or written (the actor itself for SELF)
+ * - role: 'SELF' | 'OTHER'
+ *
+ * The x-view-mode header pins the expected role. A SELF row is only created when
+ * options.createSelf is set (explicit profile creation), never as a lookup side effect.
+ * OTHER users are refused once their access expires, and their last access is recorded.
+ * Errors carry `status` and `code` for the HTTP response.
+ */
+export async function resolveIdentity(req, options = {}) {
+  const { createSelf = false } = options
+
+  if (!req.user?.clerkId) {
+    throw identityError(401, 'UNAUTHENTICATED', 'Authentication required')
+  }
+
+  const mode = getRequestedViewMode(req)
+  let actor = await findActorRow(req.user, mode)
+
+  if (!actor) {
+    if (mode === 'OTHER') {
+      throw identityError(404, 'VIEWER_NOT_FOUND', 'Viewer access no longer exists.')
+    }
+    if (!createSelf) {
+      throw identityError(404, 'PROFILE_NOT_FOUND', 'No profile exists for this account yet. Create one with POST /api/user.')
+    }
+    if (!req.user.email) {
+      throw identityError(400, 'EMAIL_REQUIRED', 'A verified email address is required to create a profile.')
+    }
+
+    console.log('[Identity] Creating SELF user for Clerk ID:', req.user.clerkId)
+    actor = await prisma.user.create({
+      data: {
+        email: req.user.email,
+        clerkId: req.user.clerkId,
+        name: getDisplayName(req.user),
+        userType: 'SELF',
+        settings: { create: {} },
+      },
+      include: { settings: true },
+    })
+  }
+
+  const role = actor.userType === 'OTHER' ? 'OTHER' : 'SELF'
+
+  if (mode && mode !== role) {
+    throw mode === 'OTHER'
+      ? identityError(404, 'VIEWER_NOT_FOUND', 'Viewer access no longer exists.')
+      : identityError(409, 'NOT_A_SELF_ACCOUNT', 'This account is a viewer account and has no data of its own.')
+  }
+
+  if (role === 'SELF') {
+    return { actor, subject: actor, role, permissions: getPermissions(role) }
+  }
+
+  const now = new Date()
+  if (isViewerAccessExpired(actor, now)) {
+    throw identityError(403, 'VIEWER_ACCESS_EXPIRED', 'Viewer access has expired. Ask the account owner to extend it.')
+  }
+
+  const subject = actor.viewedUserId
+    ? await prisma.user.findUnique({
+        where: { id: actor.viewedUserId },
+        include: { settings: true },
+      })
+    : null
+
+  if (!subject || subject.userType !== 'SELF') {
+    throw identityError(404, 'VIEWER_NOT_FOUND', 'Viewer access no longer exists.')
+  }
+
+  await recordViewerAccess(actor, now)
+  return { actor, subject, role, permissions: getPermissions(role, actor.viewerGrants) }
+}
+
+/**
+ * Timezone of the subject (the user whose days are read or written): their stored
+ * timezone, else the X-Timezone-Offset header. Used to turn timestamps into calendar days.
+ */
+export function getSubjectTimezone(req) {
+  return resolveTimezone({
+    settings: req.identity?.subject?.settings,
+    header: req.headers['x-timezone-offset'],
+  })
+}
+
+/**
+ * Middleware that resolves the acting identity and attaches it as req.identity.
+ * Must run after verifyClerkAuth.
+ */
+export function requireIdentity(options = {}) {
+  return async (req, res, next) => {
+    try {
+      req.identity = await resolveIdentity(req, options)
+      return next()
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.code, message: error.message })
+      }
+      console.error('[Identity] Error resolving identity:', error)
+      return res.status(500).json({ error: 'Internal server error', details: error.message })
+    }
+  }
+}
+
+export default requireIdentity
@@ -0,0 +1,409 @@
+import { FLOW_LEVELS, MOOD_TYPES, PERIOD_COLORS, SEVERITY_RANGE, SYMPTOM_TYPES } from './trackingOptions.js'
+import { parseCalendarDate } from '../utils/cycleInfo.js'
+
+/**
+ * Readers for other trackers' exports (lib/dataImport.js plans and writes the result).
+ *
+ * Input is a CSV file or JSON: this API's own export (GET /api/export), an array of row
+ * objects, or an object holding one under a common key (`data`, `entries`, ...). Rows are
+ * either one day (date, flow, symptoms, moods, note) or one period (start and end date).
+ * Columns are found by common names (COLUMN_ALIASES) unless `mapping` names them.
+ *
+ * Everything read is returned as { periods, flowDays, symptoms, moods, notes, warnings };
+ * values that cannot be read are skipped with a warning naming the row. Problems with the
+ * file as a whole come back as { errors } in the validation error shape.
+ */
+
+export const IMPORT_FORMATS = ['csv', 'json']
+export const IMPORT_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY']
+export const CSV_DELIMITERS = [',', ';', '\t', '|']
+export const MAPPABLE_FIELDS = ['date', 'startDate', 'endDate', 'flow', 'symptoms', 'moods', 'note']
+export const MAX_IMPORT_ROWS = 20000
+
+// Column names trackers commonly use for each field, as normalizeName() returns them
+const COLUMN_ALIASES = {
+  date: ['date', 'day', 'entry_date', 'log_date'],
+  startDate: ['start_date', 'startdate', 'start', 'period_start', 'period_start_date', 'cycle_start'],
+  endDate: ['end_date', 'enddate', 'end', 'period_end', 'period_end_date'],
+  flow: ['flow', 'flow_level', 'period', 'bleeding', 'menstruation', 'menstrual_flow'],
+  symptoms: ['symptoms', 'symptom', 'pain', 'physical'],
+  moods: ['moods', 'mood', 'feelings', 'emotions'],
+  note: ['note', 'notes', 'comment', 'comments', 'diary'],
+}
+
+// Keys under which JSON exports keep their rows
+const ROW_KEYS = ['data', 'entries', 'days', 'records', 'logs', 'cycles', 'periods']
+
+const NO_FLOW = ['', 'none', 'no', 'false', '0', 'n']
+const FLOW_ALIASES = {
+  very_light: 'light',
+  low: 'light',
+  normal: 'medium',
+  moderate: 'medium',
+  yes: 'medium',
+  true: 'medium',
+  y: 'medium',
+  x: 'medium',
+  '1': 'medium',
+  high: 'heavy',
+  very_heavy: 'heavy',
+}
+
+const SYMPTOM_ALIASES = {
+  cramp: 'cramps',
+  pain: 'cramps',
+  period_cramps: 'cramps',
+  menstrual_cramps: 'cramps',
+  headaches: 'headache',
+  migraine: 'headache',
+  bloated: 'bloating',
+  tired: 'fatigue',
+  tiredness: 'fatigue',
+  exhaustion: 'fatigue',
+  back_pain: 'backache',
+  lower_back_pain: 'backache',
+  tender_breasts: 'breast_tenderness',
+  breast_pain: 'breast_tenderness',
+  sensitive_breasts: 'breast_tenderness',
+  pimples: 'acne',
+  breakouts: 'acne',
+  nauseous: 'nausea',
+  craving: 'cravings',
+  food_cravings: 'cravings',
+  sleeplessness: 'insomnia',
+  dizzy: 'dizziness',
+}
+
+const MOOD_ALIASES = {
+  content: 'calm',
+  relaxed: 'calm',
+  cheerful: 'happy',
+  joyful: 'happy',
+  energized: 'energetic',
+  anxiety: 'anxious',
+  low: 'sad',
+  depressed: 'sad',
+  irritable: 'irritated',
+  stress: 'stressed',
+  exhausted: 'tired',
+}
+
+// "Breast tenderness", "breast-tenderness" and "BreastTenderness " all become breast_tenderness
+function normalizeName(value) {
+  return String(value)
+    .trim()
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0')
+}
+
+/**
+ * Calendar date of an imported value in `dateFormat`. ISO timestamps are accepted in any
+ * format and land on their day in `timezone`. Returns null when unreadable.
+ */
+export function parseImportDate(value, dateFormat = 'YYYY-MM-DD', timezone = 0) {
+  if (typeof value === 'number') return parseCalendarDate(new Date(value), timezone)
+  if (typeof value !== 'string' || !value.trim()) return null
+  const text = value.trim()
+
+  const match = dateFormat !== 'YYYY-MM-DD' && text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/)
+  if (match) {
+    const [month, day] = dateFormat === 'MM/DD/YYYY' ? [match[1], match[2]] : [match[2], match[1]]
+    return parseCalendarDate(`${match[3]}-${pad(month)}-${pad(day)}`)
+  }
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? parseCalendarDate(text, timezone) : null
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting). The delimiter is taken from the
+ * header line when not given.
+ */
+export function parseCsv(text, delimiter = null) {
+  const input = text.replace(/^\uFEFF/, '')
+  const firstLine = input.slice(0, input.search(/\r?\n|$/))
+  const separator = delimiter || CSV_DELIMITERS
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true
+    } else if (char === separator) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''))
+}
+
+// Values of a list cell: an array, or text separated by ; , or |
+function readList(value) {
+  if (Array.isArray(value)) return value.filter(item => item !== null && item !== undefined)
+  if (typeof value !== 'string') return value === null || value === undefined ? [] : [value]
+  return value.split(/[;,|]/).map(item => item.trim()).filter(Boolean)
+}
+
+// "cramps", "cramps:4", "cramps (4)" or { type, severity }
+function readListItem(item) {
+  if (item && typeof item === 'object') {
+    return { name: item.type ?? item.name ?? '', severity: item.severity ?? item.intensity ?? null }
+  }
+  const match = String(item).match(/^(.*?)\s*(?:[:=]\s*(\d+)|\((\d+)\))?\s*$/)
+  const severity = match[2] ?? match[3]
+  return { name: match[1], severity: severity !== undefined ? Number(severity) : null }
+}
+
+function readType(name, values, aliases) {
+  const key = normalizeName(name)
+  const type = aliases[key] || key
+  return values.includes(type) ? type : null
+}
+
+// { flowLevel, spotting } for a flow cell, null for no flow, or { error }
+function readFlow(value) {
+  if (typeof value === 'boolean') return value ? { flowLevel: 'medium', spotting: false } : null
+  const key = normalizeName(value ?? '')
+  if (NO_FLOW.includes(key)) return null
+  if (key === 'spotting') return { flowLevel: null, spotting: true }
+  const flowLevel = FLOW_LEVELS.includes(key) ? key : FLOW_ALIASES[key]
+  return flowLevel ? { flowLevel, spotting: false } : { error: `is not a flow level (${FLOW_LEVELS.join(', ')})` }
+}
+
+function readSeverity(severity) {
+  return Number.isInteger(severity) && severity >= SEVERITY_RANGE.min && severity <= SEVERITY_RANGE.max
+    ? severity
+    : SEVERITY_RANGE.default
+}
+
+/**
+ * Which key of the rows holds each field: the `mapping` entry when given, else the first
+ * key matching an alias. Resolves to { columns } or { errors }.
+ */
+function resolveColumns(keys, mapping = {}) {
+  const byName = new Map(keys.map(key => [normalizeName(key), key]))
+  const columns = {}
+  const errors = []
+
+  for (const field of MAPPABLE_FIELDS) {
+    if (mapping[field]) {
+      const column = keys.includes(mapping[field]) ? mapping[field] : byName.get(normalizeName(mapping[field]))
+      if (column) columns[field] = column
+      else errors.push({ field: `mapping.${field}`, message: `"${mapping[field]}" is not a column of the file` })
+      continue
+    }
+    const alias = COLUMN_ALIASES[field].find(name => byName.has(name))
+    if (alias) columns[field] = byName.get(alias)
+  }
+
+  if (errors.length === 0 && !columns.date && !columns.startDate) {
+    errors.push({
+      field: 'mapping.date',
+      message: `no date column found; name it with mapping.date or mapping.startDate (columns: ${keys.join(', ')})`,
+    })
+  }
+  return errors.length > 0 ? { errors } : { columns }
+}
+
+function emptyImport() {
+  return { periods: [], flowDays: [], symptoms: [], moods: [], notes: [], warnings: [] }
+}
+
+// Read day or period rows (objects) into `result`
+function readRows(rows, columns, { dateFormat, timezone, label }, result) {
+  const warn = (at, field, message) => result.warnings.push({ at, field, message })
+
+  rows.forEach((row, index) => {
+    const at = label(index)
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      warn(at, null, 'is not an object')
+      return
+    }
+    const value = field => (columns[field] ? row[columns[field]] : undefined)
+    const flow = columns.flow ? readFlow(value('flow')) : null
+    if (flow?.error) warn(at, columns.flow, flow.error)
+
+    if (columns.startDate && value('startDate')) {
+      const startDate = parseImportDate(value('startDate'), dateFormat, timezone)
+      const endDate = value('endDate') ? parseImportDate(value('endDate'), dateFormat, timezone) : null
+      if (!startDate) {
+        warn(at, columns.startDate, `must be a date (${dateFormat})`)
+      } else if (value('endDate') && !endDate) {
+        warn(at, columns.endDate, `must be a date (${dateFormat})`)
+      } else if (endDate && endDate < startDate) {
+        warn(at, columns.endDate, 'cannot be before the start date')
+      } else {
+        result.periods.push({ at, startDate, endDate, flowLevel: flow?.flowLevel ?? null, days: [] })
+      }
+      return
+    }
+
+    const date = parseImportDate(value('date'), dateFormat, timezone)
+    if (!date) {
+      warn(at, columns.date || columns.startDate, `must be a date (${dateFormat})`)
+      return
+    }
+
+    if (flow && !flow.error) {
+      result.flowDays.push({ at, date, ...flow })
+    }
+
+    for (const item of readList(value('symptoms'))) {
+      const { name, severity } = readListItem(item)
+      const type = readType(name, SYMPTOM_TYPES, SYMPTOM_ALIASES)
+      if (type) result.symptoms.push({ at, date, type, severity: readSeverity(severity) })
+      else warn(at, columns.symptoms, `"${name}" is not a known symptom`)
+    }
+
+    for (const item of readList(value('moods'))) {
+      const { name } = readListItem(item)
+      const type = readType(name, MOOD_TYPES, MOOD_ALIASES)
+      if (type) result.moods.push({ at, date, type })
+      else warn(at, columns.moods, `"${name}" is not a known mood`)
+    }
+
+    const note = value('note')
+    if (typeof note === 'string' && note.trim()) {
+      result.notes.push({ at, date, content: note.trim() })
+    }
+  })
+}
+
+// This API's own JSON export, read back as is
+function readArchive(archive) {
+  const result = emptyImport()
+  const date = value => parseCalendarDate(value)
+
+  archive.periods.forEach((period, index) => {
+    const at = `periods[${index}]`
+    const startDate = date(period?.startDate)
+    if (!startDate) {
+      result.warnings.push({ at, field: 'startDate', message: 'must be a date (YYYY-MM-DD)' })
+      return
+    }
+    result.periods.push({
+      at,
+      startDate,
+      endDate: period.endDateDerived ? null : date(period.endDate),
+      flowLevel: FLOW_LEVELS.includes(period.flowLevel) ? period.flowLevel : null,
+      days: (period.days || [])
+        .map(day => ({
+          date: date(day?.date),
+          flowLevel: FLOW_LEVELS.includes(day?.flowLevel) ? day.flowLevel : null,
+          spotting: day?.spotting === true,
+          clots: typeof day?.clots === 'boolean' ? day.clots : null,
+          color: PERIOD_COLORS.includes(day?.color) ? day.color : null,
+        }))
+        .filter(day => day.date && (day.flowLevel || day.spotting)),
+    })
+  })
+
+  const readDated = (key, read) => (archive[key] || []).forEach((entry, index) => {
+    const at = `${key}[${index}]`
+    const entryDate = date(entry?.date)
+    const value = entryDate && read(entry)
+    if (value) result[key].push({ at, date: entryDate, ...value })
+    else result.warnings.push({ at, field: null, message: 'is not a valid entry' })
+  })
+  readDated('symptoms', entry => {
+    const type = readType(entry.type ?? '', SYMPTOM_TYPES, SYMPTOM_ALIASES)
+    return type && { type, severity: readSeverity(entry.severity) }
+  })
+  readDated('moods', entry => {
+    const type = readType(entry.type ?? '', MOOD_TYPES, MOOD_ALIASES)
+    return type && { type }
+  })
+  readDated('notes', entry => (typeof entry.content === 'string' && entry.content.trim()
+    ? { content: entry.content.trim() }
+    : null))
+
+  return result
+}
+
+function tooManyRows(count) {
+  return count > MAX_IMPORT_ROWS
+    ? { errors: [{ field: 'data', message: `has ${count} rows; import at most ${MAX_IMPORT_ROWS} at a time` }] }
+    : null
+}
+
+export function readCsvImport(text, { mapping, delimiter, dateFormat, timezone } = {}) {
+  const [header, ...lines] = parseCsv(text, delimiter)
+  if (!header || lines.length === 0) {
+    return { errors: [{ field: 'data', message: 'has no rows below the header line' }] }
+  }
+  const tooMany = tooManyRows(lines.length)
+  if (tooMany) return tooMany
+
+  const keys = header.map(name => name.trim())
+  const { columns, errors } = resolveColumns(keys, mapping)
+  if (errors) return { errors }
+
+  const rows = lines.map(cells => Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ''])))
+  const result = emptyImport()
+  // Line numbers as a spreadsheet shows them, the header being line 1
+  readRows(rows, columns, { dateFormat, timezone, label: index => `line ${index + 2}` }, result)
+  return result
+}
+
+export function readJsonImport(input, { mapping, dateFormat, timezone } = {}) {
+  let data = input
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input)
+    } catch (error) {
+      return { errors: [{ field: 'data', message: 'is not valid JSON' }] }
+    }
+  }
+
+  if (data && !Array.isArray(data) && data.exportedAt && Array.isArray(data.periods)) {
+    return readArchive(data)
+  }
+
+  const key = Array.isArray(data) ? null : ROW_KEYS.find(name => Array.isArray(data?.[name]))
+  const rows = key ? data[key] : data
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return {
+      errors: [{ field: 'data', message: `must be an array of entries, or an object holding one under ${ROW_KEYS.join(', ')}` }],
+    }
+  }
+  const tooMany = tooManyRows(rows.length)
+  if (tooMany) return tooMany
+
+  const keys = [...new Set(rows.slice(0, 100).flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : [])))]
+  const { columns, errors } = resolveColumns(keys, mapping)
+  if (errors) return { errors }
+
+  const result = emptyImport()
+  readRows(rows, columns, { dateFormat, timezone, label: index => `${key || ''}[${index}]` }, result)
+  return result
+}
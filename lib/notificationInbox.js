@@ -0,0 +1,216 @@
+import prisma from './prisma.js'
+
+/**
+ * In-app notification inbox.
+ *
+ * Merges NotificationLog rows (everything pushed) with Reminder rows that were never
+ * pushed (no linked log), newest first. A reminder that was pushed only shows up once,
+ * through its log. SELF users see their SELF-audience logs and reminders; viewers see the
+ * VIEWER-audience logs sent to them.
+ *
+ * Items are addressed as (source, id) with source 'notification' | 'reminder'.
+ * Deleting only hides an item, so cooldowns and daily caps still count it.
+ */
+
+export const INBOX_SOURCES = ['notification', 'reminder']
+export const DEFAULT_INBOX_LIMIT = 20
+export const MAX_INBOX_LIMIT = 50
+
+// Reminders are delivered as AI tips
+const REMINDER_CATEGORY = 'AI_TIP'
+// Tiebreak between sources sent at the same instant
+const SOURCE_RANK = { notification: 1, reminder: 0 }
+
+function logScope({ actor, role }) {
+  return role === 'OTHER'
+    ? { audience: 'VIEWER', viewerUserId: actor.id }
+    : { audience: 'SELF', userId: actor.id }
+}
+
+function reminderScope({ actor, role }) {
+  return role === 'OTHER' ? null : { userId: actor.id }
+}
+
+export function encodeCursor(item) {
+  return Buffer.from(JSON.stringify([item.sentAt.toISOString(), item.source, item.id])).toString('base64url')
+}
+
+// { sentAt, source, id }, or null when the cursor was not produced by encodeCursor
+export function decodeCursor(cursor) {
+  try {
+    const [sentAt, source, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    const date = new Date(sentAt)
+    if (Number.isNaN(date.getTime()) || !INBOX_SOURCES.includes(source) || typeof id !== 'string') {
+      return null
+    }
+    return { sentAt: date, source, id }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Where clause for rows of `source` that come after the cursor in
+ * (sentAt desc, source rank desc, id desc) order
+ */
+function afterCursor(cursor, source) {
+  if (!cursor) return {}
+  const rank = SOURCE_RANK[source]
+  const cursorRank = SOURCE_RANK[cursor.source]
+  const sameInstant = rank < cursorRank
+    ? [{ sentAt: cursor.sentAt }]
+    : rank === cursorRank
+    ? [{ sentAt: cursor.sentAt, id: { lt: cursor.id } }]
+    : []
+  return { OR: [{ sentAt: { lt: cursor.sentAt } }, ...sameInstant] }
+}
+
+function compareItems(a, b) {
+  return b.sentAt - a.sentAt ||
+    SOURCE_RANK[b.source] - SOURCE_RANK[a.source] ||
+    (a.id < b.id ? 1 : a.id > b.id ? -1 : 0)
+}
+
+function formatLogItem(log) {
+  return {
+    id: log.id,
+    source: 'notification',
+    category: log.category,
+    title: log.metadata?.title || null,
+    message: log.message,
+    data: log.metadata?.data || {},
+    reminderId: log.reminderId,
+    sentAt: log.sentAt,
+    readAt: log.readAt,
+    read: Boolean(log.readAt),
+  }
+}
+
+function formatReminderItem(reminder) {
+  return {
+    id: reminder.id,
+    source: 'reminder',
+    category: REMINDER_CATEGORY,
+    title: reminder.phase ? `${reminder.phase} phase · Day ${reminder.cycleDay}` : 'Reminder',
+    message: reminder.message,
+    data: { type: 'reminder', reminderId: reminder.id },
+    reminderId: reminder.id,
+    sentAt: reminder.sentAt,
+    readAt: reminder.readAt,
+    read: Boolean(reminder.readAt),
+  }
+}
+
+function buildWhere(identity, source, { category, unreadOnly }) {
+  if (source === 'notification') {
+    return {
+      ...logScope(identity),
+      deletedAt: null,
+      ...(category ? { category } : {}),
+      ...(unreadOnly ? { readAt: null } : {}),
+    }
+  }
+
+  const scope = reminderScope(identity)
+  if (!scope || (category && category !== REMINDER_CATEGORY)) {
+    return null
+  }
+  return {
+    ...scope,
+    deletedAt: null,
+    notificationLogs: { none: {} },
+    ...(unreadOnly ? { readAt: null } : {}),
+  }
+}
+
+/**
+ * One page of the inbox after `cursor` (a decoded cursor, or null for the first page).
+ * Resolves to { items, nextCursor, hasMore, unreadCount }.
+ */
+export async function listInbox(identity, options = {}) {
+  const { cursor = null, limit = DEFAULT_INBOX_LIMIT, category = null, unreadOnly = false } = options
+
+  const logWhere = buildWhere(identity, 'notification', { category, unreadOnly })
+  const reminderWhere = buildWhere(identity, 'reminder', { category, unreadOnly })
+  const orderBy = [{ sentAt: 'desc' }, { id: 'desc' }]
+
+  const [logs, reminders, unreadLogs, unreadReminders] = await Promise.all([
+    prisma.notificationLog.findMany({
+      where: { ...logWhere, ...afterCursor(cursor, 'notification') },
+      orderBy,
+      take: limit + 1,
+    }),
+    reminderWhere
+      ? prisma.reminder.findMany({
+          where: { ...reminderWhere, ...afterCursor(cursor, 'reminder') },
+          orderBy,
+          take: limit + 1,
+        })
+      : [],
+    prisma.notificationLog.count({ where: { ...logWhere, readAt: null } }),
+    reminderWhere ? prisma.reminder.count({ where: { ...reminderWhere, readAt: null } }) : 0,
+  ])
+
+  const merged = [...logs.map(formatLogItem), ...reminders.map(formatReminderItem)].sort(compareItems)
+  const items = merged.slice(0, limit)
+  const hasMore = merged.length > limit
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+    hasMore,
+    unreadCount: unreadLogs + unreadReminders,
+  }
+}
+
+function findOwnItem(identity, source, id) {
+  const where = buildWhere(identity, source, {})
+  if (!where) return null
+  return source === 'notification'
+    ? prisma.notificationLog.findFirst({ where: { ...where, id } })
+    : prisma.reminder.findFirst({ where: { ...where, id } })
+}
+
+/**
+ * Mark one item read or unread. Resolves to the updated item, or null when not found.
+ */
+export async function setItemRead(identity, source, id, read) {
+  const item = await findOwnItem(identity, source, id)
+  if (!item) return null
+
+  const data = { readAt: read ? item.readAt || new Date() : null }
+  return source === 'notification'
+    ? formatLogItem(await prisma.notificationLog.update({ where: { id }, data }))
+    : formatReminderItem(await prisma.reminder.update({ where: { id }, data }))
+}
+
+/**
+ * Mark everything (optionally one category) read. Resolves to the number of items updated.
+ */
+export async function markAllRead(identity, category = null) {
+  const readAt = new Date()
+  const logWhere = buildWhere(identity, 'notification', { category, unreadOnly: true })
+  const reminderWhere = buildWhere(identity, 'reminder', { category, unreadOnly: true })
+
+  const [logs, reminders] = await Promise.all([
+    prisma.notificationLog.updateMany({ where: logWhere, data: { readAt } }),
+    reminderWhere ? prisma.reminder.updateMany({ where: reminderWhere, data: { readAt } }) : { count: 0 },
+  ])
+  return logs.count + reminders.count
+}
+
+/**
+ * Remove one item from the inbox. Resolves to false when not found.
+ */
+export async function deleteItem(identity, source, id) {
+  const item = await findOwnItem(identity, source, id)
+  if (!item) return false
+
+  const data = { deletedAt: new Date() }
+  if (source === 'notification') {
+    await prisma.notificationLog.update({ where: { id }, data })
+  } else {
+    await prisma.reminder.update({ where: { id }, data })
+  }
+  return true
+}
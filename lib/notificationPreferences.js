@@ -0,0 +1,148 @@
+import prisma from './prisma.js'
+import { getLocalDayRange, getLocalMinutes } from '../utils/cycleInfo.js'
+
+/**
+ * Notification preferences of the person receiving a push (the SELF user for SELF
+ * notifications, the viewer for VIEWER ones), stored on their UserSettings row.
+ * Times are minutes after local midnight in the database and "HH:MM" in the API.
+ */
+
+export const NOTIFICATION_CATEGORIES = [
+  'PERIOD_COUNTDOWN',
+  'PHASE_UPDATE',
+  'SYMPTOM_PROMPT',
+  'AI_TIP',
+  'WORKOUT',
+  'SYMPTOM_ALERT',
+  'MOOD_SUPPORT',
+  'VIEWER_TIP',
+]
+
+export const DEFAULT_DAILY_CAP = 4
+export const MAX_DAILY_CAP = 20
+
+export function formatTime(minutes) {
+  if (!Number.isInteger(minutes)) return null
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0')
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+export function formatPreferences(settings) {
+  const muted = settings?.mutedNotificationCategories || []
+  return {
+    remindersEnabled: settings?.reminderEnabled ?? true,
+    reminderDaysBefore: settings?.reminderDaysBefore ?? 3,
+    categories: Object.fromEntries(
+      NOTIFICATION_CATEGORIES.map(category => [category, !muted.includes(category)])
+    ),
+    dailyCap: settings ? settings.dailyNotificationCap : DEFAULT_DAILY_CAP,
+    quietHours: Number.isInteger(settings?.quietHoursStart) && Number.isInteger(settings?.quietHoursEnd)
+      ? { start: formatTime(settings.quietHoursStart), end: formatTime(settings.quietHoursEnd) }
+      : null,
+    preferredDeliveryTime: formatTime(settings?.preferredDeliveryTime),
+  }
+}
+
+/**
+ * UserSettings update data for a validated (partial) preferences body, see the
+ * PATCH /api/notifications/preferences schema. Times arrive as minutes after midnight.
+ */
+export function toSettingsUpdate(preferences, currentSettings) {
+  const {
+    remindersEnabled,
+    reminderDaysBefore,
+    categories,
+    dailyCap,
+    quietHours,
+    preferredDeliveryTime,
+  } = preferences
+  const data = {}
+
+  if (remindersEnabled !== undefined) data.reminderEnabled = remindersEnabled
+  if (reminderDaysBefore !== undefined) data.reminderDaysBefore = reminderDaysBefore
+
+  if (categories !== undefined) {
+    const muted = new Set(currentSettings?.mutedNotificationCategories || [])
+    for (const [category, enabled] of Object.entries(categories)) {
+      if (enabled) muted.delete(category)
+      else muted.add(category)
+    }
+    data.mutedNotificationCategories = NOTIFICATION_CATEGORIES.filter(category => muted.has(category))
+  }
+
+  if (dailyCap !== undefined) data.dailyNotificationCap = dailyCap
+
+  if (quietHours !== undefined) {
+    data.quietHoursStart = quietHours?.start ?? null
+    data.quietHoursEnd = quietHours?.end ?? null
+  }
+
+  if (preferredDeliveryTime !== undefined) data.preferredDeliveryTime = preferredDeliveryTime
+
+  return data
+}
+
+function isInQuietHours(settings, localMinutes) {
+  const { quietHoursStart: start, quietHoursEnd: end } = settings || {}
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start === end) return false
+  // A window like 22:00-07:00 wraps past midnight
+  return start < end
+    ? localMinutes >= start && localMinutes < end
+    : localMinutes >= start || localMinutes < end
+}
+
+/**
+ * Why a push to this recipient must not go out now, or null when it may.
+ *
+ * options:
+ * - settings: the recipient's UserSettings (null means defaults)
+ * - recipientId, audience: who receives it ('SELF' recipient = NotificationLog.userId,
+ *   'VIEWER' recipient = NotificationLog.viewerUserId), used for the daily cap
+ * - category, now
+ * - timezone: the recipient's IANA zone or offset in minutes east of UTC
+ * - scheduled: daily content (reminders, rule notifications) that also waits for the
+ *   preferred delivery time
+ */
+export async function getDeliveryBlock(options) {
+  const {
+    settings,
+    recipientId,
+    audience = 'SELF',
+    category,
+    timezone = 0,
+    scheduled = false,
+    now = new Date(),
+  } = options
+
+  if (settings?.mutedNotificationCategories?.includes(category)) {
+    return 'category_disabled'
+  }
+
+  const localMinutes = getLocalMinutes(now, timezone)
+
+  if (isInQuietHours(settings, localMinutes)) {
+    return 'quiet_hours'
+  }
+
+  if (scheduled && Number.isInteger(settings?.preferredDeliveryTime) && localMinutes < settings.preferredDeliveryTime) {
+    return 'before_preferred_time'
+  }
+
+  const dailyCap = settings ? settings.dailyNotificationCap : DEFAULT_DAILY_CAP
+  if (Number.isInteger(dailyCap)) {
+    const { gte: todayStart } = getLocalDayRange(now, timezone)
+    const sentToday = await prisma.notificationLog.count({
+      where: {
+        ...(audience === 'VIEWER'
+          ? { audience: 'VIEWER', viewerUserId: recipientId }
+          : { audience: 'SELF', userId: recipientId }),
+        sentAt: { gte: todayStart },
+      },
+    })
+    if (sentToday >= dailyCap) {
+      return 'daily_cap'
+    }
+  }
+
+  return null
+}
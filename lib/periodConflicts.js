@@ -0,0 +1,112 @@
+import prisma from './prisma.js'
+import { PERIOD_LENGTH_RANGE } from './trackingOptions.js'
+import { formatPeriod, getUsualPeriodLength, refreshDerivedEndDate } from './periodDays.js'
+import { getCalendarDayNumber, toCalendarDate } from '../utils/cycleInfo.js'
+
+/**
+ * Overlap detection and merging for period entries.
+ *
+ * Two periods conflict when their days overlap (one inside the other included) or when
+ * they are near-duplicates: at most MERGE_GAP_DAYS days apart, which is one period
+ * logged twice rather than two cycles. A period without an endDate is taken to last
+ * the user's usual period length.
+ */
+
+export const MERGE_GAP_DAYS = 2
+
+const CONFLICT_MESSAGE = 'This period overlaps or nearly duplicates a logged period. Send "merge": true to combine them into one entry.'
+
+// First and last day number a period covers
+function getDayRange(period, periodLength) {
+  const start = getCalendarDayNumber(period.startDate)
+  const end = period.endDate ? getCalendarDayNumber(period.endDate) : start + periodLength - 1
+  return { start, end: Math.max(start, end) }
+}
+
+function conflicts(a, b) {
+  return a.start <= b.end + MERGE_GAP_DAYS + 1 && b.start <= a.end + MERGE_GAP_DAYS + 1
+}
+
+/**
+ * The entries of `candidates` that conflict with `period` ({ startDate, endDate })
+ */
+export function filterConflicts(period, candidates, settings) {
+  const periodLength = getUsualPeriodLength(settings)
+  const range = getDayRange(period, periodLength)
+  return candidates.filter(candidate => conflicts(range, getDayRange(candidate, periodLength)))
+}
+
+/**
+ * The user's periods that conflict with `period` ({ startDate, endDate }), oldest first.
+ * excludeId leaves out the period being edited.
+ */
+export async function findConflictingPeriods(userId, period, { settings, excludeId } = {}) {
+  const periodLength = getUsualPeriodLength(settings)
+  const range = getDayRange(period, periodLength)
+
+  // An open period never covers more than the longest allowed length
+  const earliestStart = range.start - MERGE_GAP_DAYS - 1 - Math.max(periodLength, PERIOD_LENGTH_RANGE.max)
+  const candidates = await prisma.period.findMany({
+    where: {
+      userId,
+      ...(excludeId && { id: { not: excludeId } }),
+      startDate: {
+        gte: toCalendarDate(earliestStart),
+        lte: toCalendarDate(range.end + MERGE_GAP_DAYS + 1),
+      },
+    },
+    orderBy: { startDate: 'asc' },
+  })
+
+  return filterConflicts(period, candidates, settings)
+}
+
+// 409 answer listing the periods in the way
+export function sendPeriodConflict(res, conflicts, message = CONFLICT_MESSAGE) {
+  return res.status(409).json({
+    error: 'PERIOD_CONFLICT',
+    message,
+    conflicts: conflicts.map(formatPeriod),
+  })
+}
+
+/**
+ * Combine `period` with its conflicting periods into one entry spanning all of them.
+ * The result reuses `period.id` when it is an existing period (an edit), else the oldest
+ * conflicting period; the other rows are deleted and their logged days move over (the
+ * kept period's entry wins when both logged the same day). The end stays derived when
+ * no entry had an end set by the user; otherwise an open end stays open only when the
+ * latest-starting entry is open.
+ * Resolves to { period, mergedIds }.
+ */
+export async function mergePeriods(period, conflicting, settings) {
+  const entries = [period, ...conflicting]
+  const dayOf = entry => getCalendarDayNumber(entry.startDate)
+  const latest = entries.reduce((a, b) => (dayOf(b) > dayOf(a) ? b : a))
+  const ends = entries.filter(entry => entry.endDate).map(entry => getCalendarDayNumber(entry.endDate))
+  const endDateDerived = entries.every(entry => entry.endDateDerived || !entry.endDate)
+
+  const data = {
+    startDate: toCalendarDate(Math.min(...entries.map(dayOf))),
+    endDate: latest.endDate ? toCalendarDate(Math.max(...ends)) : null,
+    endDateDerived,
+    flowLevel: period.flowLevel ?? conflicting.find(entry => entry.flowLevel)?.flowLevel ?? null,
+  }
+
+  const keep = period.id ? period : conflicting[0]
+  const mergedIds = entries.filter(entry => entry.id && entry.id !== keep.id).map(entry => entry.id)
+
+  const merged = await prisma.$transaction(async (tx) => {
+    const keptDays = await tx.periodDay.findMany({ where: { periodId: keep.id }, select: { date: true } })
+    await tx.periodDay.deleteMany({
+      where: { periodId: { in: mergedIds }, date: { in: keptDays.map(day => day.date) } },
+    })
+    await tx.periodDay.updateMany({ where: { periodId: { in: mergedIds } }, data: { periodId: keep.id } })
+    await tx.period.deleteMany({ where: { id: { in: mergedIds } } })
+
+    const updated = await tx.period.update({ where: { id: keep.id }, data })
+    return refreshDerivedEndDate(tx, updated, settings)
+  })
+
+  return { period: merged, mergedIds }
+}
@@ -0,0 +1,89 @@
+import { PERIOD_LENGTH_RANGE } from './trackingOptions.js'
+import { formatCalendarDate, getCalendarDayNumber, toCalendarDate } from '../utils/cycleInfo.js'
+
+/**
+ * Per-day flow entries of a period (PeriodDay) and the end date derived from them.
+ *
+ * A period whose end the user did not set (endDateDerived) ends on its last day with a
+ * flowLevel, or after the user's usual period length while no such day is logged.
+ * Spotting-only days never extend a period.
+ *
+ * Functions taking `db` accept the Prisma client or a transaction client.
+ */
+
+const DEFAULT_PERIOD_LENGTH = 5
+
+export function getUsualPeriodLength(settings) {
+  return settings?.periodDuration || settings?.averagePeriodLength || DEFAULT_PERIOD_LENGTH
+}
+
+export function estimateEndDate(startDate, settings) {
+  return toCalendarDate(getCalendarDayNumber(startDate) + getUsualPeriodLength(settings) - 1)
+}
+
+// startDate and endDate are calendar days (YYYY-MM-DD). endDateDerived: the end follows
+// the logged flow days (or the usual period length) because the user did not set one.
+export function formatPeriod(period) {
+  return {
+    id: period.id,
+    startDate: formatCalendarDate(period.startDate),
+    endDate: formatCalendarDate(period.endDate),
+    endDateDerived: period.endDateDerived,
+    flowLevel: period.flowLevel,
+    createdAt: period.createdAt.toISOString(),
+    updatedAt: period.updatedAt.toISOString(),
+  }
+}
+
+export function formatPeriodDay(day) {
+  return {
+    id: day.id,
+    periodId: day.periodId,
+    date: formatCalendarDate(day.date),
+    flowLevel: day.flowLevel,
+    spotting: day.spotting,
+    clots: day.clots,
+    color: day.color,
+    createdAt: day.createdAt.toISOString(),
+    updatedAt: day.updatedAt.toISOString(),
+  }
+}
+
+/**
+ * Last day a period may log: its endDate when the user set one, otherwise up to the
+ * longest allowed period length
+ */
+export function getLastLoggableDate(period) {
+  return period.endDateDerived || !period.endDate
+    ? toCalendarDate(getCalendarDayNumber(period.startDate) + PERIOD_LENGTH_RANGE.max - 1)
+    : period.endDate
+}
+
+// The user's period that may log `date`, or null when the day falls outside every period
+export async function findLoggablePeriod(db, userId, date) {
+  const period = await db.period.findFirst({
+    where: { userId, startDate: { lte: date } },
+    orderBy: { startDate: 'desc' },
+  })
+  return period && date <= getLastLoggableDate(period) ? period : null
+}
+
+// The endDate a derived period should have given its days
+export async function getDerivedEndDate(db, period, settings) {
+  const lastFlowDay = await db.periodDay.findFirst({
+    where: { periodId: period.id, flowLevel: { not: null } },
+    orderBy: { date: 'desc' },
+  })
+  return lastFlowDay ? lastFlowDay.date : estimateEndDate(period.startDate, settings)
+}
+
+/**
+ * Bring a derived period's endDate in line with its days. Resolves to the period,
+ * updated when its end moved.
+ */
+export async function refreshDerivedEndDate(db, period, settings) {
+  if (!period.endDateDerived) return period
+  const endDate = await getDerivedEndDate(db, period, settings)
+  if (period.endDate && endDate.getTime() === period.endDate.getTime()) return period
+  return db.period.update({ where: { id: period.id }, data: { endDate } })
+}
@@ -0,0 +1,68 @@
+/**
+ * Permission model for SELF owners and OTHER viewers.
+ * SELF users hold every permission. Viewers are read-only unless the SELF user
+ * grants them one of GRANTABLE_PERMISSIONS (stored in User.viewerGrants).
+ */
+
+export const PERMISSIONS = {
+  READ: 'data:read',
+  LOG_PERIODS: 'periods:write',
+  LOG_SYMPTOMS: 'symptoms:write',
+  LOG_MOODS: 'moods:write',
+  LOG_NOTES: 'notes:write',
+  MANAGE_SETTINGS: 'settings:write',
+  MANAGE_ACCOUNT: 'account:manage',
+}
+
+// What a SELF user may hand out to a viewer
+export const GRANTABLE_PERMISSIONS = [
+  PERMISSIONS.LOG_PERIODS,
+  PERMISSIONS.LOG_SYMPTOMS,
+  PERMISSIONS.LOG_MOODS,
+  PERMISSIONS.LOG_NOTES,
+]
+
+const SELF_PERMISSIONS = Object.values(PERMISSIONS)
+const VIEWER_BASE_PERMISSIONS = [PERMISSIONS.READ]
+
+/**
+ * Effective permissions for a role; viewer grants outside GRANTABLE_PERMISSIONS are ignored
+ */
+export function getPermissions(role, viewerGrants = []) {
+  if (role === 'SELF') {
+    return [...SELF_PERMISSIONS]
+  }
+  const grants = (viewerGrants || []).filter(grant => GRANTABLE_PERMISSIONS.includes(grant))
+  return [...new Set([...VIEWER_BASE_PERMISSIONS, ...grants])]
+}
+
+export function hasPermission(identity, permission) {
+  return Boolean(identity?.permissions?.includes(permission))
+}
+
+// 403 answer naming the missing permission
+export function sendForbidden(res, identity, permission) {
+  const isViewer = identity?.role === 'OTHER'
+  return res.status(403).json({
+    error: 'FORBIDDEN',
+    message: isViewer
+      ? 'Viewer access is read-only for this action. Ask the account owner to grant it.'
+      : 'You do not have permission to perform this action.',
+    permission,
+  })
+}
+
+/**
+ * Middleware that rejects the request unless req.identity holds the permission.
+ * Must run after requireIdentity.
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (hasPermission(req.identity, permission)) {
+      return next()
+    }
+    return sendForbidden(res, req.identity, permission)
+  }
+}
+
+export default requirePermission
@@ -0,0 +1,300 @@
+import axios from 'axios'
+import { GoogleGenerativeAI } from '@google/generative-ai'
+import { predictCycles, MAX_PREDICTIONS } from '../utils/cyclePrediction.js'
+
+/**
+ * AI prediction providers.
+ *
+ * A provider is { name, predict(context) } where predict resolves to
+ * { predictions, model }. `predictions` must pass validatePredictions.
+ * The provider is picked with PREDICTION_PROVIDER (gemini | n8n | mock);
+ * any failure, timeout or invalid output falls back to the statistical predictor.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const GEMINI_MODELS = ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-flash-latest']
+
+function toDateString(value) {
+  if (!value) return null
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0]
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+function isConfidence(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1
+}
+
+/**
+ * Check a provider's predictions object.
+ * Returns { value } with only the known fields, or { errors } listing what is wrong.
+ */
+export function validatePredictions(predictions) {
+  const errors = []
+
+  if (!predictions || typeof predictions !== 'object' || Array.isArray(predictions)) {
+    return { errors: ['predictions must be an object'] }
+  }
+
+  const { next_periods: nextPeriods, ovulation } = predictions
+
+  if (!Array.isArray(nextPeriods) || nextPeriods.length === 0) {
+    errors.push('next_periods must be a non-empty array')
+  } else if (nextPeriods.length > MAX_PREDICTIONS) {
+    errors.push(`next_periods must have at most ${MAX_PREDICTIONS} entries`)
+  } else {
+    nextPeriods.forEach((period, index) => {
+      if (!isValidDate(period?.start_date)) {
+        errors.push(`next_periods[${index}].start_date must be a YYYY-MM-DD date`)
+      }
+      if (!Number.isInteger(period?.expected_duration) || period.expected_duration < 1 || period.expected_duration > 15) {
+        errors.push(`next_periods[${index}].expected_duration must be an integer between 1 and 15`)
+      }
+      if (!isConfidence(period?.confidence)) {
+        errors.push(`next_periods[${index}].confidence must be a number between 0 and 1`)
+      }
+    })
+  }
+
+  if (ovulation != null) {
+    if (!isValidDate(ovulation.date)) {
+      errors.push('ovulation.date must be a YYYY-MM-DD date')
+    }
+    if (!isConfidence(ovulation.confidence)) {
+      errors.push('ovulation.confidence must be a number between 0 and 1')
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors }
+  }
+
+  return {
+    value: {
+      next_periods: nextPeriods.map(period => ({
+        start_date: period.start_date,
+        expected_duration: period.expected_duration,
+        confidence: period.confidence,
+      })),
+      ovulation: ovulation
+        ? { date: ovulation.date, confidence: ovulation.confidence }
+        : null,
+    },
+  }
+}
+
+function buildHistory(context) {
+  return {
+    periods: context.periods.map(period => ({
+      start_date: toDateString(period.startDate),
+      end_date: toDateString(period.endDate),
+      flow_level: period.flowLevel || null,
+    })),
+    symptoms: context.symptoms.map(symptom => ({
+      date: toDateString(symptom.date),
+      type: symptom.type,
+      severity: symptom.severity,
+    })),
+    moods: context.moods.map(mood => ({
+      date: toDateString(mood.date),
+      type: mood.type,
+    })),
+    settings: {
+      average_cycle_length: context.settings?.averageCycleLength ?? null,
+      period_duration: context.settings?.periodDuration ?? context.settings?.averagePeriodLength ?? null,
+    },
+  }
+}
+
+const geminiProvider = {
+  name: 'gemini',
+  async predict(context) {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new Error('GEMINI_API_KEY is not configured')
+    }
+
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+    const prompt = `You are a menstrual cycle prediction model. Predict the user's next ${context.count} periods and their next ovulation from the history below.
+
+Today: ${toDateString(context.date)}
+History (JSON): ${JSON.stringify(buildHistory(context))}
+Statistical baseline (JSON): ${JSON.stringify(context.statistical)}
+
+Respond with JSON only, in exactly this shape:
+{"next_periods":[{"start_date":"YYYY-MM-DD","expected_duration":5,"confidence":0.8}],"ovulation":{"date":"YYYY-MM-DD","confidence":0.6}}
+- next_periods holds ${context.count} entries in date order, all after the last logged period
+- confidence is between 0 and 1
+- Use symptom and mood patterns only to adjust the baseline, not to replace it`
+
+    let lastError = null
+    for (const modelName of GEMINI_MODELS) {
+      try {
+        const model = genAI.getGenerativeModel({
+          model: modelName,
+          generationConfig: { temperature: 0.2, responseMimeType: 'application/json' },
+        })
+        const result = await model.generateContent(prompt)
+        const text = result.response.text()
+        return { predictions: JSON.parse(text), model: modelName }
+      } catch (error) {
+        lastError = error
+        console.log(`[AI Predictions] Model ${modelName} failed, trying next...`)
+      }
+    }
+    throw lastError || new Error('All Gemini models failed')
+  },
+}
+
+const n8nProvider = {
+  name: 'n8n',
+  async predict(context) {
+    if (!process.env.N8N_WEBHOOK_URL) {
+      throw new Error('N8N_WEBHOOK_URL is not configured')
+    }
+
+    const response = await axios.post(process.env.N8N_WEBHOOK_URL, {
+      user_id: context.userId,
+      count: context.count,
+      history: buildHistory(context),
+    }, {
+      timeout: context.timeoutMs,
+      headers: { 'Content-Type': 'application/json' },
+    })
+
+    return {
+      predictions: response.data?.predictions,
+      model: response.data?.model || 'n8n',
+    }
+  },
+}
+
+// Deterministic output for tests: the statistical prediction, relabelled.
+// PREDICTION_MOCK_DELAY_MS holds the answer back, to exercise the timeout.
+const mockProvider = {
+  name: 'mock',
+  async predict(context) {
+    const delayMs = parseInt(process.env.PREDICTION_MOCK_DELAY_MS, 10)
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs))
+    }
+    return {
+      predictions: context.statistical || { next_periods: [], ovulation: null },
+      model: 'mock',
+    }
+  },
+}
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  n8n: n8nProvider,
+  mock: mockProvider,
+}
+
+/**
+ * Provider from PREDICTION_PROVIDER; defaults to Gemini when a key is set, else n8n when a webhook is set
+ */
+export function getPredictionProvider() {
+  const configured = process.env.PREDICTION_PROVIDER?.trim().toLowerCase()
+  if (configured) {
+    const provider = PROVIDERS[configured]
+    if (!provider) {
+      console.warn(`[AI Predictions] Unknown PREDICTION_PROVIDER "${configured}"`)
+    }
+    return provider || null
+  }
+  if (process.env.GEMINI_API_KEY) return geminiProvider
+  if (process.env.N8N_WEBHOOK_URL) return n8nProvider
+  return null
+}
+
+function getTimeoutMs() {
+  const parsed = parseInt(process.env.PREDICTION_TIMEOUT_MS, 10)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_TIMEOUT_MS
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Prediction provider timed out after ${timeoutMs}ms`)
+      error.code = 'PREDICTION_TIMEOUT'
+      reject(error)
+    }, timeoutMs)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Run the configured provider, falling back to the statistical prediction.
+ *
+ * context: { userId, periods, symptoms, moods, settings, count, date, timezone }
+ * Resolves to { predictions, provider, model, fallback, fallbackReason }.
+ */
+export async function getAiPredictions(context) {
+  const count = Math.min(Math.max(parseInt(context.count, 10) || 3, 1), MAX_PREDICTIONS)
+  const date = context.date || new Date()
+  const timeoutMs = getTimeoutMs()
+
+  const statistical = predictCycles(context.periods, context.settings, {
+    count,
+    date,
+    timezone: context.timezone,
+  })
+
+  const fallback = (reason) => ({
+    predictions: statistical
+      ? { ...statistical, method: 'statistical' }
+      : { next_periods: [], ovulation: null, method: 'statistical' },
+    provider: 'statistical',
+    model: null,
+    fallback: true,
+    fallbackReason: reason,
+  })
+
+  if (!statistical) {
+    return fallback('No period history to predict from')
+  }
+
+  const provider = getPredictionProvider()
+  if (!provider) {
+    return fallback('No AI prediction provider is configured')
+  }
+
+  try {
+    const result = await withTimeout(
+      provider.predict({ ...context, count, date, timeoutMs, statistical }),
+      timeoutMs
+    )
+
+    const { value, errors } = validatePredictions(result?.predictions)
+    if (errors) {
+      console.warn(`[AI Predictions] ${provider.name} returned invalid predictions:`, errors)
+      return fallback(`Invalid predictions from ${provider.name}`)
+    }
+
+    return {
+      predictions: {
+        ...value,
+        cycle_stats: statistical.cycle_stats,
+        method: 'ai',
+      },
+      provider: provider.name,
+      model: result.model || null,
+      fallback: false,
+      fallbackReason: null,
+    }
+  } catch (error) {
+    console.error(`[AI Predictions] ${provider.name} failed:`, error.message)
+    return fallback(
+      error.code === 'PREDICTION_TIMEOUT'
+        ? `${provider.name} timed out`
+        : `${provider.name} failed`
+    )
+  }
+}
@@ -0,0 +1,257 @@
+import { Expo } from 'expo-server-sdk'
+import prisma from './prisma.js'
+import { getDeliveryBlock } from './notificationPreferences.js'
+import { resolveTimezone } from '../utils/cycleInfo.js'
+
+/**
+ * Push delivery through Expo.
+ *
+ * sendPushNotification sends one message to every matching device and records the
+ * send in NotificationLog. Expo first returns tickets; the delivery receipts are only
+ * available later, so the ticket ids stay in the log metadata (receiptsPending) until
+ * processPushReceipts picks them up on a later run.
+ *
+ * Every send first checks the recipient's notification preferences (muted categories,
+ * quiet hours, daily cap, preferred delivery time) and is skipped when they block it.
+ *
+ * EXPO_BASE_URL (read by expo-server-sdk) points the client at a local stub in tests.
+ */
+
+// Expo keeps receipts for about a day and recommends waiting before fetching them
+const RECEIPT_DELAY_MS = 15 * 60 * 1000
+const RECEIPT_TTL_MS = 24 * 60 * 60 * 1000
+
+let expoClient = null
+
+function getExpoClient() {
+  if (!expoClient) {
+    expoClient = new Expo({ accessToken: process.env.EXPO_ACCESS_TOKEN || undefined })
+  }
+  return expoClient
+}
+
+async function removeTokens(tokens, reason) {
+  if (tokens.length === 0) return
+  const { count } = await prisma.pushToken.deleteMany({
+    where: { expoPushToken: { in: tokens } },
+  })
+  console.log(`[Push] Removed ${count} push token(s): ${reason}`)
+}
+
+/**
+ * Send a notification to a user's devices and log it.
+ *
+ * options:
+ * - userId: user the notification is about (NotificationLog.userId)
+ * - tokens: PushToken rows to send to; defaults to the user's own SELF-mode tokens
+ * - audience: 'SELF' | 'VIEWER' (default 'SELF')
+ * - category: NotificationCategory
+ * - title, body, data: message content
+ * - viewerUserId, reminderId: optional links stored on the log
+ * - settings: the recipient's UserSettings, when already loaded
+ * - scheduled: daily content that waits for the preferred delivery time
+ * - now: the moment preferences are checked at (default: the current time); jobs pass their run time
+ *
+ * Resolves to { logId, sent, failed, skipped } (logId is null when nothing was sent;
+ * skipped names the preference that blocked the send).
+ */
+export async function sendPushNotification(options) {
+  const {
+    userId,
+    audience = 'SELF',
+    category,
+    title,
+    body,
+    data = {},
+    viewerUserId = null,
+    reminderId = null,
+    scheduled = false,
+    now = new Date(),
+  } = options
+
+  const tokens = options.tokens ?? await prisma.pushToken.findMany({
+    where: { userId, mode: 'SELF' },
+  })
+  if (tokens.length === 0) {
+    return { logId: null, sent: 0, failed: 0, skipped: null }
+  }
+
+  const recipientId = audience === 'VIEWER' ? viewerUserId : userId
+  const settings = options.settings !== undefined
+    ? options.settings
+    : await prisma.userSettings.findUnique({ where: { userId: recipientId } })
+  const blocked = await getDeliveryBlock({
+    settings,
+    recipientId,
+    audience,
+    category,
+    timezone: resolveTimezone({ settings, pushTokens: tokens }),
+    scheduled,
+    now,
+  })
+  if (blocked) {
+    console.log(`[Push] ${category} to ${audience} ${recipientId} skipped: ${blocked}`)
+    return { logId: null, sent: 0, failed: 0, skipped: blocked }
+  }
+
+  const validTokens = []
+  const malformedTokens = []
+  for (const token of tokens) {
+    if (Expo.isExpoPushToken(token.expoPushToken)) {
+      validTokens.push(token.expoPushToken)
+    } else {
+      malformedTokens.push(token.expoPushToken)
+    }
+  }
+  await removeTokens(malformedTokens, 'not an Expo push token')
+
+  if (validTokens.length === 0) {
+    return { logId: null, sent: 0, failed: 0, skipped: null }
+  }
+
+  const expo = getExpoClient()
+  const messages = validTokens.map(to => ({
+    to,
+    sound: 'default',
+    title,
+    body,
+    data: { ...data, category },
+  }))
+
+  const tickets = []
+  for (const chunk of expo.chunkPushNotifications(messages)) {
+    try {
+      const chunkTickets = await expo.sendPushNotificationsAsync(chunk)
+      chunkTickets.forEach((ticket, index) => {
+        tickets.push({ token: chunk[index].to, ...ticket })
+      })
+    } catch (error) {
+      console.error('[Push] Failed to send chunk:', error.message)
+      chunk.forEach(message => {
+        tickets.push({ token: message.to, status: 'error', message: error.message })
+      })
+    }
+  }
+
+  const unregistered = tickets
+    .filter(ticket => ticket.status === 'error' && ticket.details?.error === 'DeviceNotRegistered')
+    .map(ticket => ticket.token)
+  await removeTokens(unregistered, 'DeviceNotRegistered')
+
+  const sent = tickets.filter(ticket => ticket.status === 'ok').length
+  const failed = tickets.length - sent
+
+  const log = await prisma.notificationLog.create({
+    data: {
+      userId,
+      audience,
+      category,
+      message: body,
+      viewerUserId,
+      reminderId,
+      metadata: {
+        title,
+        data,
+        tickets: tickets.map(ticket => ({
+          token: ticket.token,
+          status: ticket.status,
+          ticketId: ticket.id || null,
+          error: ticket.details?.error || ticket.message || null,
+        })),
+        receiptsPending: tickets.some(ticket => ticket.status === 'ok' && ticket.id),
+      },
+    },
+  })
+
+  console.log(`[Push] ${category} to user ${userId}: ${sent} sent, ${failed} failed`)
+  return { logId: log.id, sent, failed, skipped: null }
+}
+
+/**
+ * Fetch receipts for logged sends that are old enough, drop tokens Expo reports
+ * as DeviceNotRegistered, and store the receipt outcome in the log metadata.
+ */
+export async function processPushReceipts(now = new Date()) {
+  const logs = await prisma.notificationLog.findMany({
+    where: {
+      metadata: { path: ['receiptsPending'], equals: true },
+      sentAt: { lte: new Date(now.getTime() - RECEIPT_DELAY_MS) },
+    },
+    take: 500,
+  })
+
+  const results = { logs: logs.length, delivered: 0, failed: 0, removedTokens: 0 }
+  if (logs.length === 0) {
+    return results
+  }
+
+  const ticketTokens = new Map()
+  for (const log of logs) {
+    for (const ticket of log.metadata?.tickets || []) {
+      if (ticket.ticketId) {
+        ticketTokens.set(ticket.ticketId, ticket.token)
+      }
+    }
+  }
+
+  const expo = getExpoClient()
+  const receipts = {}
+  for (const chunk of expo.chunkPushNotificationReceiptIds([...ticketTokens.keys()])) {
+    try {
+      Object.assign(receipts, await expo.getPushNotificationReceiptsAsync(chunk))
+    } catch (error) {
+      console.error('[Push] Failed to fetch receipts:', error.message)
+    }
+  }
+
+  const unregistered = []
+  for (const log of logs) {
+    const tickets = log.metadata?.tickets || []
+    let stillPending = false
+
+    const updatedTickets = tickets.map(ticket => {
+      if (!ticket.ticketId || ticket.receipt) return ticket
+      const receipt = receipts[ticket.ticketId]
+      if (!receipt) {
+        stillPending = true
+        return ticket
+      }
+      if (receipt.status === 'ok') {
+        results.delivered++
+      } else {
+        results.failed++
+        if (receipt.details?.error === 'DeviceNotRegistered') {
+          unregistered.push(ticket.token)
+        }
+      }
+      return {
+        ...ticket,
+        receipt: receipt.status,
+        error: receipt.details?.error || receipt.message || ticket.error,
+      }
+    })
+
+    // Receipts that never show up within Expo's retention window are given up on
+    const expired = now.getTime() - new Date(log.sentAt).getTime() > RECEIPT_TTL_MS
+
+    await prisma.notificationLog.update({
+      where: { id: log.id },
+      data: {
+        metadata: {
+          ...log.metadata,
+          tickets: updatedTickets,
+          receiptsPending: stillPending && !expired,
+        },
+      },
+    })
+  }
+
+  const uniqueUnregistered = [...new Set(unregistered)]
+  await removeTokens(uniqueUnregistered, 'DeviceNotRegistered receipt')
+  results.removedTokens = uniqueUnregistered.length
+
+  console.log('[Push] Receipts processed:', results)
+  return results
+}
+
+export default sendPushNotification
@@ -0,0 +1,50 @@
+/**
+ * Values the app may log for periods, period days, symptoms and moods, and the bounds on
+ * numeric fields. Request validation (lib/validation.js) checks against these, so
+ * the app and the API agree on one list. Stored values are lowercase snake_case.
+ */
+
+export const FLOW_LEVELS = ['light', 'medium', 'heavy']
+
+// Colour of the flow on one period day
+export const PERIOD_COLORS = ['bright_red', 'dark_red', 'brown', 'pink', 'orange', 'grey']
+
+export const SYMPTOM_TYPES = [
+  'cramps',
+  'headache',
+  'bloating',
+  'fatigue',
+  'backache',
+  'breast_tenderness',
+  'acne',
+  'nausea',
+  'cravings',
+  'insomnia',
+  'dizziness',
+  'diarrhea',
+  'constipation',
+  'spotting',
+]
+
+export const MOOD_TYPES = [
+  'happy',
+  'energetic',
+  'calm',
+  'excited',
+  'confident',
+  'grateful',
+  'peaceful',
+  'neutral',
+  'anxious',
+  'sad',
+  'angry',
+  'irritated',
+  'stressed',
+  'tired',
+  'overwhelmed',
+  'frustrated',
+]
+
+export const SEVERITY_RANGE = { min: 1, max: 5, default: 3 }
+export const CYCLE_LENGTH_RANGE = { min: 15, max: 60 }
+export const PERIOD_LENGTH_RANGE = { min: 1, max: 15 }
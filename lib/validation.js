@@ -0,0 +1,268 @@
+import { getSubjectTimezone } from './identity.js'
+import { isValidTimeZone, parseCalendarDate } from '../utils/cycleInfo.js'
+
+/**
+ * Declarative request validation.
+ *
+ * A schema lists the fields a route reads from each request part:
+ *
+ *   validate({
+ *     body: { date: fields.calendarDate({ required: true }), severity: fields.integer({ min: 1, max: 5 }) },
+ *     query: { limit: fields.integer({ min: 1, max: 100, default: 20 }) },
+ *     checks: [({ body }) => ...],
+ *   })
+ *
+ * Every field is checked and all errors are answered at once with
+ * 400 { error: 'VALIDATION_ERROR', message, fields: [{ field, message }] }, where nested
+ * fields are named by path ("messages[1].role").
+ * On success the parsed values (defaults applied, dates parsed, enum values normalized)
+ * are attached as req.validated = { body, query, params }; fields not in the schema are
+ * dropped and fields left out of the request stay undefined.
+ *
+ * Field options shared by every rule: required, nullable (accept null), default.
+ * `checks` run after the fields parsed cleanly and return a { field, message } error,
+ * a list of them, or null.
+ */
+
+export const VALIDATION_ERROR = 'VALIDATION_ERROR'
+
+const REQUEST_PARTS = ['params', 'query', 'body']
+const INTEGER_PATTERN = /^-?\d+$/
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+
+function rule(parse, { required = false, nullable = false, default: defaultValue } = {}) {
+  return { parse, required, nullable, defaultValue }
+}
+
+// Query values always arrive as strings; body values must already have the right JSON type
+function fromQueryString(value, source, convert) {
+  return source === 'query' && typeof value === 'string' ? convert(value) : value
+}
+
+export const fields = {
+  string({ maxLength = 10000, allowEmpty = false, pattern = null, ...options } = {}) {
+    return rule((value) => {
+      if (typeof value !== 'string') return { error: 'must be a string' }
+      const trimmed = value.trim()
+      if (!allowEmpty && !trimmed) return { error: 'cannot be empty' }
+      if (trimmed.length > maxLength) return { error: `must be at most ${maxLength} characters` }
+      if (pattern && !pattern.test(trimmed)) return { error: 'is not in a valid format' }
+      return { value: trimmed }
+    }, options)
+  },
+
+  integer({ min = -Infinity, max = Infinity, ...options } = {}) {
+    const range = Number.isFinite(min) && Number.isFinite(max)
+      ? ` between ${min} and ${max}`
+      : Number.isFinite(min) ? ` of at least ${min}` : Number.isFinite(max) ? ` of at most ${max}` : ''
+    return rule((raw, { source }) => {
+      const value = fromQueryString(raw, source, (text) => (INTEGER_PATTERN.test(text) ? Number(text) : text))
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: `must be an integer${range}` }
+      }
+      return { value }
+    }, options)
+  },
+
+  boolean(options = {}) {
+    return rule((raw, { source }) => {
+      const value = fromQueryString(raw, source, (text) => (text === 'true' ? true : text === 'false' ? false : text))
+      return typeof value === 'boolean' ? { value } : { error: 'must be true or false' }
+    }, options)
+  },
+
+  /**
+   * One of `values`. With `normalize`, strings are matched case-insensitively with
+   * spaces and dashes read as underscores ("Breast tenderness" -> breast_tenderness).
+   */
+  oneOf(values, { normalize = false, upperCase = false, ...options } = {}) {
+    return rule((raw) => {
+      let value = raw
+      if (typeof value === 'string' && (normalize || upperCase)) {
+        value = value.trim()
+        value = upperCase ? value.toUpperCase() : value.toLowerCase().replace(/[\s-]+/g, '_')
+      }
+      return values.includes(value) ? { value } : { error: `must be one of ${values.join(', ')}` }
+    }, options)
+  },
+
+  // A calendar day, "YYYY-MM-DD" (timestamps become the day in the subject's timezone)
+  calendarDate(options = {}) {
+    return rule((raw, { req }) => {
+      const value = parseCalendarDate(raw, getSubjectTimezone(req))
+      return value ? { value } : { error: 'must be a date (YYYY-MM-DD)' }
+    }, options)
+  },
+
+  // Any date or date-time string JavaScript can parse
+  timestamp(options = {}) {
+    return rule((raw) => {
+      const value = typeof raw === 'string' || typeof raw === 'number' ? new Date(raw) : null
+      return value && !Number.isNaN(value.getTime()) ? { value } : { error: 'must be a date' }
+    }, options)
+  },
+
+  // A time of day, "HH:MM" on a 24-hour clock, parsed to minutes after midnight
+  time(options = {}) {
+    return rule((raw) => {
+      const match = typeof raw === 'string' ? raw.trim().match(TIME_PATTERN) : null
+      return match
+        ? { value: Number(match[1]) * 60 + Number(match[2]) }
+        : { error: 'must be a time (HH:MM)' }
+    }, options)
+  },
+
+  // An IANA timezone name such as "Asia/Kolkata"
+  timezone(options = {}) {
+    return rule((value) => (isValidTimeZone(value)
+      ? { value }
+      : { error: 'must be an IANA timezone such as "Asia/Kolkata"' }), options)
+  },
+
+  array(item, { minLength = 0, maxLength = Infinity, ...options } = {}) {
+    return rule((raw, context) => {
+      if (!Array.isArray(raw)) return { error: 'must be an array' }
+      if (raw.length < minLength) {
+        return { error: minLength === 1 ? 'cannot be empty' : `must have at least ${minLength} items` }
+      }
+      if (raw.length > maxLength) return { error: `must have at most ${maxLength} items` }
+      const errors = []
+      const value = raw.map((entry, index) => {
+        const parsed = entry === null || entry === undefined
+          ? { error: 'is required' }
+          : item.parse(entry, context)
+        errors.push(...nestedErrors(`[${index}]`, parsed))
+        return parsed.value
+      })
+      return errors.length > 0 ? { errors } : { value }
+    }, options)
+  },
+
+  // A nested object; keys outside `shape` are dropped
+  object(shape, options = {}) {
+    return rule((raw, context) => {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'must be an object' }
+      const errors = []
+      const value = parsePart(shape, raw, context, errors)
+      return errors.length > 0
+        ? { errors: errors.map(({ field, message }) => ({ field: `.${field}`, message })) }
+        : { value }
+    }, options)
+  },
+
+  // Accepts anything that is present; for values checked elsewhere
+  any(options = {}) {
+    return rule((value) => ({ value }), options)
+  },
+}
+
+/**
+ * Check that `endField` is not before `startField` in one request part, when both are set
+ */
+export function dateOrder(part, startField = 'startDate', endField = 'endDate') {
+  return (values) => {
+    const start = values[part][startField]
+    const end = values[part][endField]
+    return start && end && end < start
+      ? { field: endField, message: `cannot be before ${startField}` }
+      : null
+  }
+}
+
+/**
+ * Check that no two items of the array `field` in one request part repeat a value
+ * (their `key` property for arrays of objects)
+ */
+export function uniqueItems(part, field, key = null) {
+  return (values) => {
+    const items = (values[part][field] || []).map(item => (key ? item[key] : item))
+    const index = items.findIndex((item, i) => items.indexOf(item) !== i)
+    return index === -1
+      ? null
+      : { field: `${field}[${index}]${key ? `.${key}` : ''}`, message: 'is listed twice' }
+  }
+}
+
+// Optional inclusive startDate/endDate query filter shared by the list routes
+export const dateRangeQuery = {
+  startDate: fields.calendarDate(),
+  endDate: fields.calendarDate(),
+}
+
+// Errors of a nested rule with their path under `path` ("[2].role")
+function nestedErrors(path, parsed) {
+  if (parsed.error) return [{ field: path, message: parsed.error }]
+  return (parsed.errors || []).map(({ field, message }) => ({ field: `${path}${field}`, message }))
+}
+
+function isMissing(value, source) {
+  return value === undefined || (source === 'query' && value === '')
+}
+
+function parsePart(shape, input, context, errors) {
+  const values = {}
+  for (const [name, field] of Object.entries(shape)) {
+    const raw = input?.[name]
+
+    if (isMissing(raw, context.source)) {
+      if (field.required) errors.push({ field: name, message: 'is required' })
+      else if (field.defaultValue !== undefined) values[name] = field.defaultValue
+      continue
+    }
+
+    if (raw === null) {
+      if (field.nullable) values[name] = null
+      else errors.push({ field: name, message: field.required ? 'is required' : 'cannot be null' })
+      continue
+    }
+
+    const parsed = field.parse(raw, context)
+    if (parsed.error || parsed.errors) errors.push(...nestedErrors(name, parsed))
+    else values[name] = parsed.value
+  }
+  return values
+}
+
+export function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: VALIDATION_ERROR,
+    message: 'Request validation failed',
+    fields: errors,
+  })
+}
+
+/**
+ * Parse req against a schema. Returns { values } or { errors }.
+ */
+export function validateRequest(schema, req) {
+  const errors = []
+  const values = {}
+  for (const source of REQUEST_PARTS) {
+    values[source] = schema[source] ? parsePart(schema[source], req[source], { req, source }, errors) : {}
+  }
+
+  if (errors.length === 0) {
+    for (const check of schema.checks || []) {
+      const result = check(values, req)
+      if (result) errors.push(...[].concat(result))
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { values }
+}
+
+/**
+ * Middleware that validates the request against `schema` (see above)
+ */
+export function validate(schema) {
+  return (req, res, next) => {
+    const { values, errors } = validateRequest(schema, req)
+    if (errors) {
+      return sendValidationError(res, errors)
+    }
+    req.validated = values
+    return next()
+  }
+}
+
+export default validate
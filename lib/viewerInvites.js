@@ -0,0 +1,205 @@
+import { randomBytes } from 'node:crypto'
+import prisma from './prisma.js'
+import { getDisplayName } from './identity.js'
+
+/**
+ * Invites for sharing data with a viewer.
+ *
+ * A SELF user creates an invite carrying the permissions, label and access expiry the
+ * viewer will get, and shares its code or a link holding it. The viewer redeems it while
+ * signed in to their own Clerk account: this creates their OTHER row linked to the SELF
+ * user, or updates it when they already view that user. Invites are single-use and can
+ * no longer be redeemed after expiresAt.
+ *
+ * Redemption errors carry `status` and `code` for the HTTP response, as in lib/identity.js.
+ */
+
+export const INVITE_CODE_LENGTH = 8
+export const DEFAULT_INVITE_HOURS = 48
+export const MAX_INVITE_HOURS = 7 * 24
+export const MAX_PENDING_INVITES = 10
+
+// No 0/O or 1/I, so codes typed by hand are not misread. 32 letters, so `byte % 32` is unbiased.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_ATTEMPTS = 3
+const HOUR_MS = 60 * 60 * 1000
+
+function inviteError(status, code, message) {
+  const error = new Error(message)
+  error.status = status
+  error.code = code
+  return error
+}
+
+export function generateInviteCode() {
+  return [...randomBytes(INVITE_CODE_LENGTH)].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('')
+}
+
+// Codes match ignoring case, spaces and dashes ("k7pq-m2xd")
+export function normalizeInviteCode(code) {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+/**
+ * 'pending' | 'redeemed' | 'expired'
+ */
+export function getInviteStatus(invite, now = new Date()) {
+  if (invite.redeemedAt) return 'redeemed'
+  return invite.expiresAt <= now ? 'expired' : 'pending'
+}
+
+// Link for the app to open, when INVITE_LINK_BASE_URL is set (e.g. https://example.com/invite)
+function getInviteLink(code) {
+  const base = process.env.INVITE_LINK_BASE_URL
+  return base ? `${base.replace(/\/+$/, '')}/${code}` : null
+}
+
+export function formatInvite(invite) {
+  return {
+    id: invite.id,
+    code: invite.code,
+    link: getInviteLink(invite.code),
+    status: getInviteStatus(invite),
+    permissions: invite.grants,
+    label: invite.label,
+    accessExpiresAt: invite.accessExpiresAt,
+    expiresAt: invite.expiresAt,
+    redeemedAt: invite.redeemedAt,
+    redeemedById: invite.redeemedById,
+    createdAt: invite.createdAt,
+  }
+}
+
+/**
+ * Create an invite from `owner` (a SELF user) that expires after `expiresInHours`
+ */
+export async function createInvite(owner, { grants, label, accessExpiresAt, expiresInHours }, now = new Date()) {
+  const pending = await prisma.viewerInvite.count({
+    where: { userId: owner.id, redeemedAt: null, expiresAt: { gt: now } },
+  })
+  if (pending >= MAX_PENDING_INVITES) {
+    throw inviteError(409, 'TOO_MANY_INVITES', `At most ${MAX_PENDING_INVITES} invites can be pending. Cancel one first.`)
+  }
+
+  const data = {
+    userId: owner.id,
+    grants: [...new Set(grants)],
+    label: label ?? null,
+    accessExpiresAt: accessExpiresAt ?? null,
+    expiresAt: new Date(now.getTime() + expiresInHours * HOUR_MS),
+  }
+
+  // A new code on the rare clash with an existing one
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.viewerInvite.create({ data: { ...data, code: generateInviteCode() } })
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= CODE_ATTEMPTS) throw error
+    }
+  }
+}
+
+/**
+ * The pending invite for `code`, with its owner as `user`; throws when it cannot be redeemed
+ */
+export async function findPendingInvite(code, now = new Date()) {
+  const invite = await prisma.viewerInvite.findUnique({
+    where: { code: normalizeInviteCode(code) },
+    include: { user: true },
+  })
+
+  if (!invite || invite.user.userType !== 'SELF' || invite.user.deletionScheduledFor) {
+    throw inviteError(404, 'INVITE_NOT_FOUND', 'This invite does not exist or was cancelled.')
+  }
+  const status = getInviteStatus(invite, now)
+  if (status === 'redeemed') {
+    throw inviteError(409, 'INVITE_ALREADY_USED', 'This invite was already used. Ask for a new one.')
+  }
+  if (status === 'expired') {
+    throw inviteError(410, 'INVITE_EXPIRED', 'This invite has expired. Ask for a new one.')
+  }
+  return invite
+}
+
+function alreadyViewingError() {
+  return inviteError(409, 'ALREADY_VIEWING', 'You are already viewing another account. One account can only view one person.')
+}
+
+// Fields of the unique constraint a P2002 error hit; Prisma names the columns or the index
+function violatedUniqueFields(error) {
+  const target = error.meta?.target
+  return Array.isArray(target) ? target : [target].filter(Boolean)
+}
+
+// The viewer's Clerk email, unless another row already uses it
+async function getViewerEmail(db, authUser, owner) {
+  const email = authUser.email?.toLowerCase()
+  const taken = email && await db.user.findUnique({ where: { email } })
+  return email && !taken ? email : `${owner.email}.viewer.${authUser.clerkId}`.toLowerCase()
+}
+
+/**
+ * Redeem `code` for the signed-in Clerk user `authUser` ({ clerkId, email, firstName, lastName }).
+ * Returns { viewer, owner }. One Clerk account is either SELF or a viewer of one SELF user.
+ */
+export async function redeemInvite(authUser, code, now = new Date()) {
+  const invite = await findPendingInvite(code, now)
+  const owner = invite.user
+
+  const access = {
+    viewerGrants: invite.grants,
+    viewerAccessExpiresAt: invite.accessExpiresAt,
+    ...(invite.label && { viewerLabel: invite.label }),
+  }
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const existing = await tx.user.findUnique({ where: { clerkId: authUser.clerkId } })
+      if (existing?.userType === 'SELF') {
+        throw inviteError(409, 'NOT_A_VIEWER_ACCOUNT', 'You already have a SELF account. Sign in with another account to view someone else.')
+      }
+      if (existing && existing.viewedUserId !== owner.id) {
+        throw alreadyViewingError()
+      }
+
+      // Claiming first means two redemptions racing for one invite cannot both succeed
+      const claimed = await tx.viewerInvite.updateMany({
+        where: { id: invite.id, redeemedAt: null },
+        data: { redeemedAt: now },
+      })
+      if (claimed.count === 0) {
+        throw inviteError(409, 'INVITE_ALREADY_USED', 'This invite was already used. Ask for a new one.')
+      }
+
+      const viewer = existing
+        ? await tx.user.update({ where: { id: existing.id }, data: access })
+        : await tx.user.create({
+            data: {
+              email: await getViewerEmail(tx, authUser, owner),
+              clerkId: authUser.clerkId,
+              name: getDisplayName(authUser),
+              userType: 'OTHER',
+              viewedUserId: owner.id,
+              ...access,
+            },
+          })
+
+      await tx.viewerInvite.update({
+        where: { id: invite.id },
+        data: { redeemedById: viewer.id },
+      })
+      return { viewer, owner }
+    })
+  } catch (error) {
+    if (error.code === 'P2002') {
+      const target = violatedUniqueFields(error)
+      // The same account redeeming two invites at once: the second insert hits the unique clerkId
+      if (target.some(field => /clerk_?id/i.test(field))) throw alreadyViewingError()
+      // Another account took the viewer's email between the check and the insert
+      if (target.some(field => /email/i.test(field))) {
+        throw inviteError(409, 'EMAIL_IN_USE', 'Another account was just created with your email address. Try again.')
+      }
+    }
+    throw error
+  }
+}
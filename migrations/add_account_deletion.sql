@@ -0,0 +1,28 @@
+-- Account deletion: grace period on users and erasure receipts that outlive the user row
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+ALTER TABLE "users"
+ADD COLUMN IF NOT EXISTS "deletion_scheduled_for" TIMESTAMP(3);
+
+CREATE INDEX IF NOT EXISTS "users_deletion_scheduled_for_idx" ON "users"("deletion_scheduled_for");
+
+-- No foreign key to users: receipts stay after the account is erased
+CREATE TABLE IF NOT EXISTS "erasure_receipts" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "user_type" "UserType" NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'SCHEDULED',
+    "requested_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "scheduled_for" TIMESTAMP(3) NOT NULL,
+    "cancelled_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+    "removed" JSONB,
+    "identities" JSONB,
+    "failed_attempts" INTEGER NOT NULL DEFAULT 0,
+    "last_failed_at" TIMESTAMP(3),
+    "last_error" TEXT,
+
+    CONSTRAINT "erasure_receipts_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "erasure_receipts_user_id_idx" ON "erasure_receipts"("user_id");
@@ -0,0 +1,6 @@
+-- Full-text search over note content (GET /api/notes?q=)
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+-- The indexed expression must match the one routes/notes.js searches with.
+
+CREATE INDEX IF NOT EXISTS "notes_content_search_idx"
+ON "notes" USING GIN (to_tsvector('english', "content"));
@@ -0,0 +1,10 @@
+-- Read/deleted state for the in-app notification inbox
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+ALTER TABLE "notification_logs"
+ADD COLUMN IF NOT EXISTS "read_at" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "deleted_at" TIMESTAMP(3);
+
+ALTER TABLE "reminders"
+ADD COLUMN IF NOT EXISTS "read_at" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "deleted_at" TIMESTAMP(3);
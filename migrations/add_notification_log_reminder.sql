@@ -0,0 +1,19 @@
+-- Link push deliveries in notification_logs to the reminder they delivered
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+ALTER TABLE "notification_logs"
+ADD COLUMN IF NOT EXISTS "reminder_id" TEXT;
+
+CREATE INDEX IF NOT EXISTS "notification_logs_reminder_id_idx" ON "notification_logs"("reminder_id");
+
+-- Postgres has no ADD CONSTRAINT IF NOT EXISTS; the check keeps this safe to re-run
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'notification_logs_reminder_id_fkey'
+    ) THEN
+        ALTER TABLE "notification_logs"
+        ADD CONSTRAINT "notification_logs_reminder_id_fkey"
+        FOREIGN KEY ("reminder_id") REFERENCES "reminders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+    END IF;
+END $$;
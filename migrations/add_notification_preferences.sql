@@ -0,0 +1,10 @@
+-- Per-user notification preferences: muted categories, daily cap, quiet hours, preferred delivery time
+-- Times are minutes after local midnight
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+ALTER TABLE "user_settings"
+ADD COLUMN IF NOT EXISTS "muted_notification_categories" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN IF NOT EXISTS "daily_notification_cap" INTEGER DEFAULT 4,
+ADD COLUMN IF NOT EXISTS "quiet_hours_start" INTEGER,
+ADD COLUMN IF NOT EXISTS "quiet_hours_end" INTEGER,
+ADD COLUMN IF NOT EXISTS "preferred_delivery_time" INTEGER;
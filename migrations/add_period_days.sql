@@ -0,0 +1,31 @@
+-- Per-day flow log within a period, and derived period end dates
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+ALTER TABLE "periods"
+ADD COLUMN IF NOT EXISTS "end_date_derived" BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS "period_days" (
+    "id" TEXT NOT NULL,
+    "period_id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "flow_level" TEXT,
+    "spotting" BOOLEAN NOT NULL DEFAULT false,
+    "clots" BOOLEAN,
+    "color" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "period_days_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "period_days_period_id_date_key" ON "period_days"("period_id", "date");
+
+-- Postgres has no ADD CONSTRAINT IF NOT EXISTS; the check keeps this safe to re-run
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'period_days_period_id_fkey'
+    ) THEN
+        ALTER TABLE "period_days" ADD CONSTRAINT "period_days_period_id_fkey" FOREIGN KEY ("period_id") REFERENCES "periods"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
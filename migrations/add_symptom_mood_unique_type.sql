@@ -0,0 +1,37 @@
+-- One symptom and one mood entry per type per day
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+-- Types are compared the way the API stores them (lowercase, spaces and dashes as underscores),
+-- so "Cramps" and "cramps" on one day are duplicates. normalize_tracking_values.sql also maps
+-- aliases ("Back pain" -> backache); run it first where it has not been applied.
+
+BEGIN;
+
+CREATE OR REPLACE FUNCTION pg_temp.normalize_value(value TEXT) RETURNS TEXT AS $$
+    SELECT regexp_replace(lower(trim(value)), '[[:space:]-]+', '_', 'g')
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Keep the most recently updated entry of each duplicate set
+DELETE FROM "symptoms" a
+USING "symptoms" b
+WHERE a."user_id" = b."user_id"
+  AND a."date" = b."date"
+  AND pg_temp.normalize_value(a."type") = pg_temp.normalize_value(b."type")
+  AND (a."updated_at" < b."updated_at" OR (a."updated_at" = b."updated_at" AND a."id" < b."id"));
+
+DELETE FROM "moods" a
+USING "moods" b
+WHERE a."user_id" = b."user_id"
+  AND a."date" = b."date"
+  AND pg_temp.normalize_value(a."type") = pg_temp.normalize_value(b."type")
+  AND (a."updated_at" < b."updated_at" OR (a."updated_at" = b."updated_at" AND a."id" < b."id"));
+
+UPDATE "symptoms" SET "type" = pg_temp.normalize_value("type")
+WHERE "type" <> pg_temp.normalize_value("type");
+
+UPDATE "moods" SET "type" = pg_temp.normalize_value("type")
+WHERE "type" <> pg_temp.normalize_value("type");
+
+CREATE UNIQUE INDEX IF NOT EXISTS "symptoms_user_id_date_type_key" ON "symptoms"("user_id", "date", "type");
+CREATE UNIQUE INDEX IF NOT EXISTS "moods_user_id_date_type_key" ON "moods"("user_id", "date", "type");
+
+COMMIT;
@@ -0,0 +1,5 @@
+-- IANA timezone per user, used for local days and reminder send windows
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+ALTER TABLE "user_settings"
+ADD COLUMN IF NOT EXISTS "timezone" TEXT;
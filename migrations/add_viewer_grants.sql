@@ -0,0 +1,5 @@
+-- Per-viewer permission grants for OTHER users (read-only when empty)
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+ALTER TABLE "users"
+ADD COLUMN IF NOT EXISTS "viewer_grants" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[];
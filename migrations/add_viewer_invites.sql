@@ -0,0 +1,32 @@
+-- Single-use invites a SELF user shares with a viewer (replaces relaying the "login for someone else" OTP)
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+CREATE TABLE IF NOT EXISTS "viewer_invites" (
+    "id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "grants" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    "label" TEXT,
+    "access_expires_at" TIMESTAMP(3),
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "redeemed_at" TIMESTAMP(3),
+    "redeemed_by_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "viewer_invites_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "viewer_invites_code_key" ON "viewer_invites"("code");
+CREATE INDEX IF NOT EXISTS "viewer_invites_user_id_idx" ON "viewer_invites"("user_id");
+
+-- Postgres has no ADD CONSTRAINT IF NOT EXISTS; the check keeps this safe to re-run
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'viewer_invites_user_id_fkey'
+    ) THEN
+        ALTER TABLE "viewer_invites"
+        ADD CONSTRAINT "viewer_invites_user_id_fkey"
+        FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
@@ -0,0 +1,7 @@
+-- Viewer management by the SELF user: a label, an access expiry and the last access time per viewer
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+ALTER TABLE "users"
+ADD COLUMN IF NOT EXISTS "viewer_label" TEXT,
+ADD COLUMN IF NOT EXISTS "viewer_access_expires_at" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "viewer_last_access_at" TIMESTAMP(3);
@@ -0,0 +1,5 @@
+-- SELF-controlled switch for notifications sent to OTHER viewers
+-- Run this SQL directly in your Supabase SQL editor or via `npx prisma db push`
+
+ALTER TABLE "user_settings"
+ADD COLUMN IF NOT EXISTS "viewer_notifications_enabled" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,63 @@
+-- One-time conversion of period, symptom, mood and note days from timestamps to calendar dates
+-- Each timestamp becomes the day it fell on in its user's timezone: user_settings.timezone,
+-- else the offset of their newest push token, else UTC. Timestamps at exactly 00:00:00.000
+-- or 23:59:59.999 UTC came from date-only input (or the old server-side end-of-day
+-- calculation) and keep their UTC date.
+-- Run this SQL directly in your Supabase SQL editor before deploying the matching schema,
+-- then run `npx prisma db push` (which has nothing left to change)
+
+BEGIN;
+
+CREATE TEMP TABLE "user_day_zones" ON COMMIT DROP AS
+SELECT
+    u."id" AS "user_id",
+    s."timezone",
+    COALESCE((
+        SELECT pt."timezone_offset_minutes"
+        FROM "push_tokens" pt
+        WHERE pt."user_id" = u."id"
+        ORDER BY pt."updated_at" DESC
+        LIMIT 1
+    ), 0) AS "offset_minutes"
+FROM "users" u
+LEFT JOIN "user_settings" s ON s."user_id" = u."id";
+
+CREATE FUNCTION pg_temp.local_day(ts TIMESTAMP, zone TEXT, offset_minutes INTEGER) RETURNS TIMESTAMP AS $$
+    SELECT CASE
+        WHEN ts IS NULL THEN NULL
+        WHEN ts::time IN ('00:00:00', '23:59:59.999') THEN date_trunc('day', ts)
+        WHEN zone IS NOT NULL THEN date_trunc('day', ts AT TIME ZONE 'UTC' AT TIME ZONE zone)
+        ELSE date_trunc('day', ts + make_interval(mins => offset_minutes))
+    END
+$$ LANGUAGE SQL IMMUTABLE;
+
+UPDATE "periods" p
+SET "start_date" = pg_temp.local_day(p."start_date", z."timezone", z."offset_minutes"),
+    "end_date" = pg_temp.local_day(p."end_date", z."timezone", z."offset_minutes")
+FROM "user_day_zones" z
+WHERE z."user_id" = p."user_id";
+
+UPDATE "symptoms" t
+SET "date" = pg_temp.local_day(t."date", z."timezone", z."offset_minutes")
+FROM "user_day_zones" z
+WHERE z."user_id" = t."user_id";
+
+UPDATE "moods" t
+SET "date" = pg_temp.local_day(t."date", z."timezone", z."offset_minutes")
+FROM "user_day_zones" z
+WHERE z."user_id" = t."user_id";
+
+UPDATE "notes" t
+SET "date" = pg_temp.local_day(t."date", z."timezone", z."offset_minutes")
+FROM "user_day_zones" z
+WHERE z."user_id" = t."user_id";
+
+ALTER TABLE "periods"
+ALTER COLUMN "start_date" TYPE DATE USING "start_date"::date,
+ALTER COLUMN "end_date" TYPE DATE USING "end_date"::date;
+
+ALTER TABLE "symptoms" ALTER COLUMN "date" TYPE DATE USING "date"::date;
+ALTER TABLE "moods" ALTER COLUMN "date" TYPE DATE USING "date"::date;
+ALTER TABLE "notes" ALTER COLUMN "date" TYPE DATE USING "date"::date;
+
+COMMIT;
@@ -0,0 +1,155 @@
+-- Normalize symptom, mood and flow values logged before the API validated them ("Cramps",
+-- "Back pain", "Happy", "Heavy") to the lowercase values in lib/trackingOptions.js.
+-- Values are compared like the API does (case-insensitive, spaces and dashes as underscores),
+-- then common aliases are mapped. Values that still match nothing are reported with a NOTICE
+-- and removed: flow levels are cleared, symptom and mood entries are deleted. When a day
+-- ends up with two entries of one type, the most recently updated one is kept.
+-- Run this SQL directly in your Supabase SQL editor, before add_symptom_mood_unique_type.sql
+-- if that has not been applied yet
+
+BEGIN;
+
+CREATE OR REPLACE FUNCTION pg_temp.normalize_value(value TEXT) RETURNS TEXT AS $$
+    SELECT regexp_replace(lower(trim(value)), '[[:space:]-]+', '_', 'g')
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE TEMP TABLE "tracking_values" ("kind" TEXT, "value" TEXT, "canonical" TEXT) ON COMMIT DROP;
+
+-- Current values map to themselves
+INSERT INTO "tracking_values"
+SELECT 'flow', v, v FROM unnest(ARRAY['light', 'medium', 'heavy']) AS v
+UNION ALL
+SELECT 'symptom', v, v FROM unnest(ARRAY[
+    'cramps', 'headache', 'bloating', 'fatigue', 'backache', 'breast_tenderness', 'acne',
+    'nausea', 'cravings', 'insomnia', 'dizziness', 'diarrhea', 'constipation', 'spotting'
+]) AS v
+UNION ALL
+SELECT 'mood', v, v FROM unnest(ARRAY[
+    'happy', 'energetic', 'calm', 'excited', 'confident', 'grateful', 'peaceful', 'neutral',
+    'anxious', 'sad', 'angry', 'irritated', 'stressed', 'tired', 'overwhelmed', 'frustrated'
+]) AS v;
+
+-- Aliases older clients sent
+INSERT INTO "tracking_values" VALUES
+    ('flow', 'low', 'light'),
+    ('flow', 'moderate', 'medium'),
+    ('flow', 'normal', 'medium'),
+    ('flow', 'high', 'heavy'),
+    ('flow', 'very_heavy', 'heavy'),
+    ('symptom', 'cramp', 'cramps'),
+    ('symptom', 'cramping', 'cramps'),
+    ('symptom', 'headaches', 'headache'),
+    ('symptom', 'migraine', 'headache'),
+    ('symptom', 'bloated', 'bloating'),
+    ('symptom', 'tiredness', 'fatigue'),
+    ('symptom', 'fatigued', 'fatigue'),
+    ('symptom', 'back_pain', 'backache'),
+    ('symptom', 'lower_back_pain', 'backache'),
+    ('symptom', 'tender_breasts', 'breast_tenderness'),
+    ('symptom', 'sore_breasts', 'breast_tenderness'),
+    ('symptom', 'breast_pain', 'breast_tenderness'),
+    ('symptom', 'pimples', 'acne'),
+    ('symptom', 'breakouts', 'acne'),
+    ('symptom', 'nauseous', 'nausea'),
+    ('symptom', 'craving', 'cravings'),
+    ('symptom', 'food_cravings', 'cravings'),
+    ('symptom', 'sleeplessness', 'insomnia'),
+    ('symptom', 'dizzy', 'dizziness'),
+    ('symptom', 'diarrhoea', 'diarrhea'),
+    ('mood', 'energized', 'energetic'),
+    ('mood', 'relaxed', 'calm'),
+    ('mood', 'anxiety', 'anxious'),
+    ('mood', 'stress', 'stressed'),
+    ('mood', 'irritable', 'irritated'),
+    ('mood', 'mad', 'angry'),
+    ('mood', 'exhausted', 'tired'),
+    ('mood', 'ok', 'neutral'),
+    ('mood', 'okay', 'neutral');
+
+CREATE TEMP TABLE "symptom_values" ON COMMIT DROP AS
+SELECT s."id", s."user_id", s."date", s."updated_at", s."type", t."canonical"
+FROM "symptoms" s
+LEFT JOIN "tracking_values" t ON t."kind" = 'symptom' AND t."value" = pg_temp.normalize_value(s."type");
+
+CREATE TEMP TABLE "mood_values" ON COMMIT DROP AS
+SELECT m."id", m."user_id", m."date", m."updated_at", m."type", t."canonical"
+FROM "moods" m
+LEFT JOIN "tracking_values" t ON t."kind" = 'mood' AND t."value" = pg_temp.normalize_value(m."type");
+
+DO $$
+DECLARE
+    entry RECORD;
+BEGIN
+    FOR entry IN
+        SELECT 'symptom' AS "kind", "type" AS "value", COUNT(*) AS "rows"
+        FROM "symptom_values" WHERE "canonical" IS NULL GROUP BY "type"
+        UNION ALL
+        SELECT 'mood', "type", COUNT(*)
+        FROM "mood_values" WHERE "canonical" IS NULL GROUP BY "type"
+        UNION ALL
+        SELECT 'flow', f."flow_level", COUNT(*)
+        FROM (
+            SELECT "flow_level" FROM "periods" WHERE "flow_level" IS NOT NULL
+            UNION ALL
+            SELECT "flow_level" FROM "period_days" WHERE "flow_level" IS NOT NULL
+        ) f
+        LEFT JOIN "tracking_values" t ON t."kind" = 'flow' AND t."value" = pg_temp.normalize_value(f."flow_level")
+        WHERE t."canonical" IS NULL
+        GROUP BY f."flow_level"
+    LOOP
+        RAISE NOTICE 'Removing unmapped % value "%" (% rows)', entry."kind", entry."value", entry."rows";
+    END LOOP;
+END $$;
+
+-- Symptoms: drop unmapped entries and all but the newest entry per user, day and type
+DELETE FROM "symptoms"
+WHERE "id" IN (SELECT "id" FROM "symptom_values" WHERE "canonical" IS NULL);
+
+DELETE FROM "symptoms" s
+USING "symptom_values" a, "symptom_values" b
+WHERE s."id" = a."id"
+  AND a."user_id" = b."user_id"
+  AND a."date" = b."date"
+  AND a."canonical" = b."canonical"
+  AND (a."updated_at" < b."updated_at" OR (a."updated_at" = b."updated_at" AND a."id" < b."id"));
+
+UPDATE "symptoms" s
+SET "type" = v."canonical"
+FROM "symptom_values" v
+WHERE s."id" = v."id" AND s."type" <> v."canonical";
+
+-- Moods: the same
+DELETE FROM "moods"
+WHERE "id" IN (SELECT "id" FROM "mood_values" WHERE "canonical" IS NULL);
+
+DELETE FROM "moods" m
+USING "mood_values" a, "mood_values" b
+WHERE m."id" = a."id"
+  AND a."user_id" = b."user_id"
+  AND a."date" = b."date"
+  AND a."canonical" = b."canonical"
+  AND (a."updated_at" < b."updated_at" OR (a."updated_at" = b."updated_at" AND a."id" < b."id"));
+
+UPDATE "moods" m
+SET "type" = v."canonical"
+FROM "mood_values" v
+WHERE m."id" = v."id" AND m."type" <> v."canonical";
+
+-- Flow is optional, so an unmapped level becomes NULL
+UPDATE "periods" p
+SET "flow_level" = (
+    SELECT t."canonical" FROM "tracking_values" t
+    WHERE t."kind" = 'flow' AND t."value" = pg_temp.normalize_value(p."flow_level")
+)
+WHERE p."flow_level" IS NOT NULL
+  AND p."flow_level" NOT IN ('light', 'medium', 'heavy');
+
+UPDATE "period_days" d
+SET "flow_level" = (
+    SELECT t."canonical" FROM "tracking_values" t
+    WHERE t."kind" = 'flow' AND t."value" = pg_temp.normalize_value(d."flow_level")
+)
+WHERE d."flow_level" IS NOT NULL
+  AND d."flow_level" NOT IN ('light', 'medium', 'heavy');
+
+COMMIT;
@@ -1,17 +1,31 @@
 import express from 'express'
 import { GoogleGenerativeAI } from '@google/generative-ai'
 import prisma from '../lib/prisma.js'
-import { clerk } from '../lib/clerk.js'
-import jwt from 'jsonwebtoken'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { requireIdentity } from '../lib/identity.js'
+import { fields, validate } from '../lib/validation.js'
+import { getCycleState } from '../utils/cycleEngine.js'
 import {
-  calculateCycleInfo,
+  formatCalendarDate,
+  formatLocalDayNumber,
   fromLocalDayNumber,
+  getCalendarDayNumber,
   getLocalDayNumber,
-  inferTimezoneOffsetFromPeriods,
+  resolveTimezone,
+  toCalendarDate,
 } from '../utils/cycleInfo.js'
 
 const router = express.Router()
 
+const chatSchema = {
+  body: {
+    messages: fields.array(fields.object({
+      role: fields.oneOf(['user', 'assistant'], { required: true }),
+      content: fields.string({ required: true, maxLength: 8000, allowEmpty: true }),
+    }), { required: true, minLength: 1, maxLength: 100 }),
+  },
+}
+
 const PHASE_EDUCATION = `
 MENSTRUAL CYCLE REFERENCE:
 • Menstrual Phase: Estrogen and progesterone are lowest; uterine lining sheds. Encourage rest, warmth, iron-rich meals, gentle movement.
@@ -25,158 +39,6 @@ Hormone roles:
 • Progesterone from the corpus luteum stabilizes the endometrium during the secretory (luteal) stage.
 Align all explanations with these evidence-based definitions.`
 
-/**
- * Middleware to verify Clerk JWT token (reused from user.js)
- */
-async function verifyClerkAuth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' })
-    }
-
-    const token = authHeader.substring(7)
-
-    if (!token) {
-      return res.status(401).json({ error: 'Missing token' })
-    }
-
-    // Try to get user from token
-    try {
-      let decoded = jwt.decode(token, { complete: true })
-      let userId = null
-      
-      if (decoded && decoded.payload && decoded.payload.sub) {
-        userId = decoded.payload.sub
-      } else if (decoded && decoded.sub) {
-        userId = decoded.sub
-      } else {
-        decoded = jwt.decode(token)
-        if (decoded && decoded.sub) {
-          userId = decoded.sub
-        }
-      }
-      
-      if (userId) {
-        try {
-          const clerkUser = await clerk.users.getUser(userId)
-          
-          req.user = {
-            id: clerkUser.id,
-            email: clerkUser.emailAddresses[0]?.emailAddress,
-            firstName: clerkUser.firstName,
-            lastName: clerkUser.lastName,
-            clerkId: clerkUser.id,
-          }
-          return next()
-        } catch (userError) {
-          console.error('[Chat Auth] Error getting user from Clerk:', userError.message)
-        }
-      }
-    } catch (tokenError) {
-      console.log('[Chat Auth] Token decode failed:', tokenError.message)
-    }
-
-    // Fallback: Try to get user from request body or query params
-    const { clerkId, email } = { ...req.body, ...req.query }
-
-    if (clerkId) {
-      try {
-        const clerkUser = await clerk.users.getUser(clerkId)
-        req.user = {
-          id: clerkUser.id,
-          email: clerkUser.emailAddresses[0]?.emailAddress,
-          firstName: clerkUser.firstName,
-          lastName: clerkUser.lastName,
-          clerkId: clerkUser.id,
-        }
-        return next()
-      } catch (error) {
-        console.error('[Chat Auth] Error getting user by clerkId:', error)
-      }
-    }
-
-    if (email) {
-      try {
-        const users = await clerk.users.getUserList({ limit: 500 })
-        const userArray = Array.isArray(users) ? users : (users.data || [])
-        for (const user of userArray.slice(0, 100)) {
-          try {
-            const fullUser = await clerk.users.getUser(user.id)
-            if (fullUser.emailAddresses?.some(e => e.emailAddress === email)) {
-              req.user = {
-                id: fullUser.id,
-                email: fullUser.emailAddresses[0]?.emailAddress,
-                firstName: fullUser.firstName,
-                lastName: fullUser.lastName,
-                clerkId: fullUser.id,
-              }
-              return next()
-            }
-          } catch (err) {
-            continue
-          }
-        }
-      } catch (error) {
-        console.error('[Chat Auth] Error searching users:', error)
-      }
-    }
-
-    return res.status(401).json({ error: 'Unauthorized' })
-  } catch (error) {
-    console.error('[Chat Auth] Error:', error)
-    return res.status(401).json({ error: 'Unauthorized' })
-  }
-}
-
-/**
- * Helper function to find user by Clerk ID
- */
-async function findUserByClerkId(clerkId) {
-  try {
-    // Check for OTHER users first
-    let user = await prisma.user.findFirst({
-      where: { 
-        clerkId,
-        userType: 'OTHER',
-      },
-      include: {
-        viewedUser: true,
-      },
-    })
-    
-    // If OTHER user found, return the viewed user (the SELF user)
-    if (user && user.userType === 'OTHER' && user.viewedUser) {
-      return user.viewedUser
-    }
-    
-    // If no OTHER user, check for SELF user
-    if (!user) {
-      user = await prisma.user.findFirst({
-        where: { clerkId },
-      })
-    }
-    
-    return user
-  } catch (error) {
-    console.error('[Chat] Error finding user:', error)
-    return null
-  }
-}
-
-function resolveTimezoneOffset(req, periods) {
-  const header = req.headers?.['x-timezone-offset']
-  const headerValue = Array.isArray(header) ? header[0] : header
-  if (headerValue !== undefined) {
-    const parsed = parseInt(headerValue, 10)
-    if (!Number.isNaN(parsed)) {
-      return parsed
-    }
-  }
-  return inferTimezoneOffsetFromPeriods(periods)
-}
-
 /**
  * Get Gemini client
  */
@@ -190,28 +52,12 @@ function getGeminiClient() {
 /**
  * POST /api/chat - Chat with AI
  */
-router.post('/', verifyClerkAuth, async (req, res) => {
+router.post('/', verifyClerkAuth, requireIdentity(), validate(chatSchema), async (req, res) => {
   try {
-    const { messages, symptoms } = req.body
-
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ error: 'Messages array is required' })
-    }
-
-    // Find viewer record (could be SELF or OTHER)
-    const viewerRecord = await prisma.user.findFirst({
-      where: { clerkId: req.user.clerkId },
-      include: {
-        viewedUser: true,
-      },
-    })
+    const { messages } = req.validated.body
 
-    // Find user in database (SELF target when viewer)
-    const dbUser = await findUserByClerkId(req.user.clerkId)
-    
-    if (!dbUser) {
-      return res.status(404).json({ error: 'User not found' })
-    }
+    // The caller may be the SELF user or an OTHER viewer; data always comes from the subject
+    const { actor, subject: dbUser, role } = req.identity
 
     // Fetch user with all related data
     const dbUserWithData = await prisma.user.findUnique({
@@ -241,14 +87,14 @@ router.post('/', verifyClerkAuth, async (req, res) => {
       return res.status(404).json({ error: 'User not found' })
     }
 
-    const trackedUserName = dbUserWithData.name || viewerRecord?.viewedUser?.name || req.user.firstName || 'there'
+    const isViewerMode = role === 'OTHER'
+    const trackedUserName = dbUserWithData.name || (isViewerMode ? null : req.user.firstName) || 'there'
     const userName = trackedUserName
     const viewerName =
       req.user.firstName ||
-      viewerRecord?.name ||
+      actor.name ||
       req.user.email?.split('@')[0] ||
       'there'
-    const isViewerMode = viewerRecord?.userType === 'OTHER' && viewerRecord?.viewedUser
     const conversationName = isViewerMode ? viewerName : trackedUserName
 
     // Check if Gemini API key is configured
@@ -341,8 +187,10 @@ Follow these instructions exactly in every response.`
       const hasNoteData = dbUserWithData.notes && dbUserWithData.notes.length > 0
       const hasSettings = dbUserWithData.settings !== null
 
-      const inferredOffsetRaw = resolveTimezoneOffset(req, dbUserWithData.periods)
-      const inferredOffset = Number.isFinite(inferredOffsetRaw) ? inferredOffsetRaw : 0
+      const timezone = resolveTimezone({
+        settings: dbUserWithData.settings,
+        header: req.headers['x-timezone-offset'],
+      })
 
       if (hasPeriodData || hasSymptomData || hasMoodData || hasNoteData || hasSettings) {
         userCycleContext += `\n\nCOMPLETE USER PROFILE INFORMATION - Use ALL of this data to provide personalized, comprehensive advice:\n\n`
@@ -365,18 +213,16 @@ Follow these instructions exactly in every response.`
           userCycleContext += `\nPERIOD HISTORY (${dbUserWithData.periods.length} periods tracked):\n`
           const recentPeriods = dbUserWithData.periods.slice(0, 10)
           recentPeriods.forEach((p, idx) => {
-            const start = new Date(p.startDate)
-            const startDateStr = start.toLocaleDateString()
+            const startDayNumber = getCalendarDayNumber(p.startDate)
+            const startDateStr = formatLocalDayNumber(startDayNumber)
             
             // Calculate end date if not set
             let endDateStr = 'ongoing'
             if (p.endDate) {
-              endDateStr = new Date(p.endDate).toLocaleDateString()
+              endDateStr = formatCalendarDate(p.endDate)
             } else {
               // Calculate end date based on average period length
-              const calculatedEnd = new Date(start)
-              calculatedEnd.setDate(calculatedEnd.getDate() + avgPeriodLength - 1)
-              endDateStr = calculatedEnd.toLocaleDateString()
+              endDateStr = formatLocalDayNumber(startDayNumber + avgPeriodLength - 1)
             }
             
             userCycleContext += `  ${idx + 1}. ${startDateStr} to ${endDateStr}${p.flowLevel ? ` - ${p.flowLevel} flow` : ''}\n`
@@ -418,16 +264,14 @@ Follow these instructions exactly in every response.`
             
             // Next period prediction
             if (avgCycle) {
-              const lastPeriod = new Date(dbUserWithData.periods[0].startDate)
-              const nextPredicted = new Date(lastPeriod)
-              nextPredicted.setDate(nextPredicted.getDate() + avgCycle)
-              userCycleContext += `- Next Period Predicted: Around ${nextPredicted.toLocaleDateString()}\n`
+              const nextPredicted = getCalendarDayNumber(dbUserWithData.periods[0].startDate) + avgCycle
+              userCycleContext += `- Next Period Predicted: Around ${formatLocalDayNumber(nextPredicted)}\n`
             }
           }
           
-          const cycleInfo = calculateCycleInfo(dbUserWithData.periods, dbUserWithData.settings, {
-            today: new Date(),
-            timezoneOffsetMinutes: inferredOffset,
+          const cycleInfo = getCycleState(dbUserWithData.periods, dbUserWithData.settings, {
+            date: new Date(),
+            timezone,
           })
 
           let currentCycleDay = null
@@ -440,19 +284,13 @@ Follow these instructions exactly in every response.`
             currentCycleDay = cycleInfo.cycleDay
             currentPhase = cycleInfo.phase
             cycleDayDescription = cycleInfo.phaseDescription
-            nextPeriodPredicted = cycleInfo.nextPeriodDate
-            if (cycleInfo.nextPeriodDayNumber !== null && cycleInfo.todayDayNumber !== null) {
-              daysUntilNextPeriod = cycleInfo.nextPeriodDayNumber - cycleInfo.todayDayNumber
-            }
+            nextPeriodPredicted = formatLocalDayNumber(cycleInfo.nextPeriodDayNumber)
+            daysUntilNextPeriod = cycleInfo.daysUntilNextPeriod
           }
 
           const avgCycleLength = cycleInfo?.avgCycleLength || dbUserWithData.settings?.averageCycleLength || 28
-          const periodStartLocal = cycleInfo?.periodStartDayNumber != null
-            ? fromLocalDayNumber(cycleInfo.periodStartDayNumber, inferredOffset)
-            : null
-          const periodEndLocal = cycleInfo?.periodEndDayNumber != null
-            ? fromLocalDayNumber(cycleInfo.periodEndDayNumber, inferredOffset)
-            : null
+          const periodStartLocal = formatLocalDayNumber(cycleInfo?.periodStartDayNumber)
+          const periodEndLocal = formatLocalDayNumber(cycleInfo?.periodEndDayNumber)
 
           if (cycleInfo?.isOnPeriod) {
             const totalPeriodDays = cycleInfo.periodEndDayNumber - cycleInfo.periodStartDayNumber + 1
@@ -460,19 +298,19 @@ Follow these instructions exactly in every response.`
             userCycleContext += `  • Phase: Menstrual (Period)\n`
             userCycleContext += `  • Cycle Day: ${cycleInfo.cycleDay} (Day ${cycleInfo.cycleDay} of period)\n`
             if (periodStartLocal) {
-              userCycleContext += `  • Period Started: ${periodStartLocal.toLocaleDateString()}\n`
+              userCycleContext += `  • Period Started: ${periodStartLocal}\n`
             }
             if (periodEndLocal) {
-              userCycleContext += `  • Period Ends: ${periodEndLocal.toLocaleDateString()}\n`
+              userCycleContext += `  • Period Ends: ${periodEndLocal}\n`
             }
             userCycleContext += `  • Total Period Days: ${totalPeriodDays}\n`
           } else if (cycleInfo) {
             userCycleContext += `\n- CURRENT CYCLE STATUS:\n`
             userCycleContext += `  • Phase: ${cycleInfo.phase}\n`
-            userCycleContext += `  • Cycle Day: ${cycleInfo.cycleDay} of ${cycleInfo.avgCycleLength}\n`
+            userCycleContext += `  • Cycle Day: ${cycleInfo.cycleDay} of ${cycleInfo.cycleLength}\n`
             if (periodStartLocal && periodEndLocal) {
-              userCycleContext += `  • Last Period: ${periodStartLocal.toLocaleDateString()} to ${periodEndLocal.toLocaleDateString()}\n`
-              const daysSinceEnd = cycleInfo.todayDayNumber - cycleInfo.periodEndDayNumber
+              userCycleContext += `  • Last Period: ${periodStartLocal} to ${periodEndLocal}\n`
+              const daysSinceEnd = cycleInfo.dayNumber - cycleInfo.periodEndDayNumber
               userCycleContext += `  • Days Since Period Ended: ${daysSinceEnd}\n`
             }
           } else {
@@ -481,8 +319,10 @@ Follow these instructions exactly in every response.`
 
           if (nextPeriodPredicted) {
             const daysUntil = daysUntilNextPeriod != null ? Math.max(daysUntilNextPeriod, 0) : null
-            userCycleContext += `  • Next Period Predicted: ${nextPeriodPredicted.toLocaleDateString()}`
-            if (daysUntil !== null) {
+            userCycleContext += `  • Next Period Predicted: ${nextPeriodPredicted}`
+            if (cycleInfo?.isLate) {
+              userCycleContext += ` (${cycleInfo.daysLate} days late)`
+            } else if (daysUntil !== null) {
               userCycleContext += ` (${daysUntil} days away)`
             }
             userCycleContext += `\n`
@@ -507,26 +347,15 @@ Follow these instructions exactly in every response.`
           userCycleContext += `\nSYMPTOM TRACKING (${dbUserWithData.symptoms.length} entries - COMPLETE HISTORY):\n`
           const symptomsWithLocalDate = dbUserWithData.symptoms
             .map((s) => {
-              const initialDay = getLocalDayNumber(s.date, inferredOffset)
-              const initialLocalDate = fromLocalDayNumber(initialDay, inferredOffset)
-              const effectiveDateCandidate = initialLocalDate instanceof Date && !Number.isNaN(initialLocalDate.getTime())
-                ? initialLocalDate
-                : new Date(s.date)
-
-              if (!(effectiveDateCandidate instanceof Date) || Number.isNaN(effectiveDateCandidate.getTime())) {
-                return null
-              }
-
-              const effectiveDayNumber = initialDay ?? getLocalDayNumber(effectiveDateCandidate, inferredOffset)
-
-              if (effectiveDayNumber === null) {
+              const localDay = getCalendarDayNumber(s.date)
+              if (localDay === null) {
                 return null
               }
 
               return {
                 raw: s,
-                localDay: effectiveDayNumber,
-                localDate: effectiveDateCandidate,
+                localDay,
+                localDate: toCalendarDate(localDay),
               }
             })
             .filter(Boolean)
@@ -544,39 +373,16 @@ Follow these instructions exactly in every response.`
             symptomCounts[s.type].dates.push(localDate)
             symptomCounts[s.type].severities.push(s.severity)
             
-            // Correlate symptom with cycle phase
-            if (dbUserWithData.periods.length > 0) {
-              const symptomDay = localDay
-              const sortedPeriods = [...dbUserWithData.periods].sort((a, b) => new Date(b.startDate) - new Date(a.startDate))
-              
-              // Find which period this symptom is closest to
-              for (const period of sortedPeriods) {
-                const periodStartDay = getLocalDayNumber(period.startDate, inferredOffset)
-                if (periodStartDay == null) continue
-                const periodEndDay =
-                  getLocalDayNumber(period.endDate, inferredOffset) ??
-                  periodStartDay + userPeriodLength - 1
-                
-                const daysSincePeriodStart = symptomDay - periodStartDay
-                
-                if (daysSincePeriodStart >= -7 && daysSincePeriodStart <= userPeriodLength + 14) {
-                  let phase = 'unknown'
-                  if (daysSincePeriodStart < 0) phase = 'PMS/Pre-period'
-                  else if (daysSincePeriodStart >= 0 && daysSincePeriodStart < userPeriodLength) phase = 'Period'
-                  else if (daysSincePeriodStart >= userPeriodLength && daysSincePeriodStart < userPeriodLength + 7) phase = 'Post-period'
-                  else if (daysSincePeriodStart >= userPeriodLength + 7 && daysSincePeriodStart < userPeriodLength + 14) phase = 'Fertile/Ovulation'
-                  else phase = 'Luteal'
-                  
-                  if (!symptomCycleCorrelation[s.type]) {
-                    symptomCycleCorrelation[s.type] = {}
-                  }
-                  if (!symptomCycleCorrelation[s.type][phase]) {
-                    symptomCycleCorrelation[s.type][phase] = 0
-                  }
-                  symptomCycleCorrelation[s.type][phase]++
-                  break
-                }
+            // Correlate with the cycle phase on that day
+            const phase = getCycleState(dbUserWithData.periods, dbUserWithData.settings, {
+              date: fromLocalDayNumber(localDay, timezone),
+              timezone,
+            })?.phase
+            if (phase) {
+              if (!symptomCycleCorrelation[s.type]) {
+                symptomCycleCorrelation[s.type] = {}
               }
+              symptomCycleCorrelation[s.type][phase] = (symptomCycleCorrelation[s.type][phase] || 0) + 1
             }
           })
           
@@ -603,8 +409,8 @@ Follow these instructions exactly in every response.`
             userCycleContext += `    - Frequency: ${s.count} times logged\n`
             userCycleContext += `    - Severity: Average ${s.avgSeverity}/5, Range ${s.minSeverity}-${s.maxSeverity}/5\n`
             userCycleContext += `    - Trend: ${s.trend}\n`
-            userCycleContext += `    - First logged: ${s.firstOccurrence.toLocaleDateString()}\n`
-            userCycleContext += `    - Last logged: ${s.lastOccurrence.toLocaleDateString()}\n`
+            userCycleContext += `    - First logged: ${formatCalendarDate(s.firstOccurrence)}\n`
+            userCycleContext += `    - Last logged: ${formatCalendarDate(s.lastOccurrence)}\n`
             if (Object.keys(s.cycleCorrelation).length > 0) {
               const topPhase = Object.entries(s.cycleCorrelation).sort(([, a], [, b]) => b - a)[0]
               userCycleContext += `    - Most common during: ${topPhase[0]} phase (${topPhase[1]} times)\n`
@@ -612,16 +418,15 @@ Follow these instructions exactly in every response.`
           })
           
           // Recent symptoms (last 7 days)
-          const sevenDaysAgo = new Date()
-          sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7)
+          const sevenDaysAgo = getLocalDayNumber(new Date(), timezone) - 7
           const recentSymptoms = symptomsWithLocalDate
-            .filter((s) => s.localDate >= sevenDaysAgo)
+            .filter((s) => s.localDay >= sevenDaysAgo)
             .sort((a, b) => b.localDate.getTime() - a.localDate.getTime())
           
           if (recentSymptoms.length > 0) {
             userCycleContext += `\n- Recent Symptoms (Last 7 Days):\n`
             recentSymptoms.forEach(({ raw: s, localDate }) => {
-              userCycleContext += `  • ${localDate.toLocaleDateString()}: ${s.type} (severity: ${s.severity}/5)\n`
+              userCycleContext += `  • ${formatCalendarDate(localDate)}: ${s.type} (severity: ${s.severity}/5)\n`
             })
           }
         }
@@ -634,26 +439,15 @@ Follow these instructions exactly in every response.`
           const moodCycleCorrelation = {}
           const moodWithLocalDate = dbUserWithData.moods
             .map((m) => {
-              const initialDay = getLocalDayNumber(m.date, inferredOffset)
-              const initialLocalDate = fromLocalDayNumber(initialDay, inferredOffset)
-              const effectiveDateCandidate = initialLocalDate instanceof Date && !Number.isNaN(initialLocalDate.getTime())
-                ? initialLocalDate
-                : new Date(m.date)
-
-              if (!(effectiveDateCandidate instanceof Date) || Number.isNaN(effectiveDateCandidate.getTime())) {
-                return null
-              }
-
-              const effectiveDayNumber = initialDay ?? getLocalDayNumber(effectiveDateCandidate, inferredOffset)
-
-              if (effectiveDayNumber === null) {
+              const localDay = getCalendarDayNumber(m.date)
+              if (localDay === null) {
                 return null
               }
 
               return {
                 raw: m,
-                localDay: effectiveDayNumber,
-                localDate: effectiveDateCandidate,
+                localDay,
+                localDate: toCalendarDate(localDay),
               }
             })
             .filter(Boolean)
@@ -661,36 +455,16 @@ Follow these instructions exactly in every response.`
           moodWithLocalDate.forEach(({ raw: m, localDay, localDate }) => {
             moodCounts[m.type] = (moodCounts[m.type] || 0) + 1
             
-            if (dbUserWithData.periods.length > 0) {
-              const sortedPeriods = [...dbUserWithData.periods].sort((a, b) => new Date(b.startDate) - new Date(a.startDate))
-              
-              for (const period of sortedPeriods) {
-                const periodStartDay = getLocalDayNumber(period.startDate, inferredOffset)
-                if (periodStartDay == null) continue
-                const periodEndDay =
-                  getLocalDayNumber(period.endDate, inferredOffset) ??
-                  periodStartDay + userPeriodLength - 1
-                
-                const daysSincePeriodStart = localDay - periodStartDay
-                
-                if (daysSincePeriodStart >= -7 && daysSincePeriodStart <= userPeriodLength + 14) {
-                  let phase = 'unknown'
-                  if (daysSincePeriodStart < 0) phase = 'PMS/Pre-period'
-                  else if (daysSincePeriodStart < userPeriodLength) phase = 'Period'
-                  else if (daysSincePeriodStart < userPeriodLength + 7) phase = 'Post-period'
-                  else if (daysSincePeriodStart < userPeriodLength + 14) phase = 'Fertile/Ovulation'
-                  else phase = 'Luteal'
-                  
-                  if (!moodCycleCorrelation[m.type]) {
-                    moodCycleCorrelation[m.type] = {}
-                  }
-                  if (!moodCycleCorrelation[m.type][phase]) {
-                    moodCycleCorrelation[m.type][phase] = 0
-                  }
-                  moodCycleCorrelation[m.type][phase]++
-                  break
-                }
+            // Correlate with the cycle phase on that day
+            const phase = getCycleState(dbUserWithData.periods, dbUserWithData.settings, {
+              date: fromLocalDayNumber(localDay, timezone),
+              timezone,
+            })?.phase
+            if (phase) {
+              if (!moodCycleCorrelation[m.type]) {
+                moodCycleCorrelation[m.type] = {}
               }
+              moodCycleCorrelation[m.type][phase] = (moodCycleCorrelation[m.type][phase] || 0) + 1
             }
           })
           
@@ -708,16 +482,15 @@ Follow these instructions exactly in every response.`
             userCycleContext += `\n`
           })
           
-          const moodSevenDaysAgo = new Date()
-          moodSevenDaysAgo.setDate(moodSevenDaysAgo.getDate() - 7)
+          const moodSevenDaysAgo = getLocalDayNumber(new Date(), timezone) - 7
           const recentMoods = moodWithLocalDate
-            .filter((m) => m.localDate >= moodSevenDaysAgo)
+            .filter((m) => m.localDay >= moodSevenDaysAgo)
             .sort((a, b) => b.localDate.getTime() - a.localDate.getTime())
           
           if (recentMoods.length > 0) {
             userCycleContext += `\n- Recent Moods (Last 7 Days):\n`
             recentMoods.forEach(({ raw: m, localDate }) => {
-              userCycleContext += `  • ${localDate.toLocaleDateString()}: ${m.type}\n`
+              userCycleContext += `  • ${formatCalendarDate(localDate)}: ${m.type}\n`
             })
           }
           
@@ -790,7 +563,7 @@ Follow these instructions exactly in every response.`
           userCycleContext += `These notes contain personal concerns, experiences, and observations the user has shared:\n`
           
           dbUserWithData.notes.forEach((n, idx) => {
-            const noteDate = new Date(n.date).toLocaleDateString()
+            const noteDate = formatCalendarDate(n.date)
             userCycleContext += `  ${idx + 1}. [${noteDate}] ${n.content}\n`
           })
           
@@ -798,14 +571,7 @@ Follow these instructions exactly in every response.`
         }
         
         // Symptom-Mood Correlation
-        const toLocalDateString = (dateValue) => {
-          const dayNumber = getLocalDayNumber(dateValue, inferredOffset)
-          const localDate = fromLocalDayNumber(dayNumber, inferredOffset)
-          if (localDate && !Number.isNaN(localDate.getTime())) {
-            return localDate.toDateString()
-          }
-          return new Date(dateValue).toDateString()
-        }
+        const toLocalDateString = (dateValue) => formatCalendarDate(dateValue)
 
         if (hasSymptomData && hasMoodData && dbUserWithData.symptoms.length > 0 && dbUserWithData.moods.length > 0) {
           userCycleContext += `\nSYMPTOM-MOOD CORRELATION ANALYSIS:\n`
@@ -820,7 +586,6 @@ Follow these instructions exactly in every response.`
             
             // Analyze correlations on same days
             commonDates.slice(0, 10).forEach(dateStr => {
-              const date = new Date(dateStr)
               const daySymptoms = dbUserWithData.symptoms.filter(s => toLocalDateString(s.date) === dateStr)
               const dayMoods = dbUserWithData.moods.filter(m => toLocalDateString(m.date) === dateStr)
               
@@ -828,7 +593,7 @@ Follow these instructions exactly in every response.`
                 const avgSeverity = daySymptoms.reduce((sum, s) => sum + s.severity, 0) / daySymptoms.length
                 const symptomTypes = daySymptoms.map(s => `${s.type} (${s.severity}/5)`).join(', ')
                 const moodTypes = dayMoods.map(m => m.type).join(', ')
-                userCycleContext += `  • ${date.toLocaleDateString()}: ${symptomTypes} → Moods: ${moodTypes}\n`
+                userCycleContext += `  • ${dateStr}: ${symptomTypes} → Moods: ${moodTypes}\n`
               }
             })
           }
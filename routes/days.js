@@ -0,0 +1,227 @@
+import express from 'express'
+import prisma from '../lib/prisma.js'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { getSubjectTimezone, requireIdentity } from '../lib/identity.js'
+import { PERMISSIONS, hasPermission, sendForbidden } from '../lib/permissions.js'
+import { dateOrder, fields, sendValidationError, uniqueItems, validate } from '../lib/validation.js'
+import { FLOW_LEVELS, MOOD_TYPES, PERIOD_COLORS, SEVERITY_RANGE, SYMPTOM_TYPES } from '../lib/trackingOptions.js'
+import { findLoggablePeriod, refreshDerivedEndDate } from '../lib/periodDays.js'
+import { findConflictingPeriods, sendPeriodConflict } from '../lib/periodConflicts.js'
+import { MAX_RANGE_DAYS, getDayView, getDayViews } from '../lib/dailyLog.js'
+import { getCalendarDayNumber, getLocalCalendarDate, toCalendarDate } from '../utils/cycleInfo.js'
+
+const router = express.Router()
+
+const DEFAULT_RANGE_DAYS = 7
+const MAX_NOTE_LENGTH = 10000
+
+// Each section of a day and the permission needed to replace it
+const SECTION_PERMISSIONS = {
+  flow: PERMISSIONS.LOG_PERIODS,
+  symptoms: PERMISSIONS.LOG_SYMPTOMS,
+  moods: PERMISSIONS.LOG_MOODS,
+  note: PERMISSIONS.LOG_NOTES,
+}
+
+const dayParams = {
+  date: fields.calendarDate({ required: true }),
+}
+
+const listSchema = {
+  query: {
+    from: fields.calendarDate(),
+    to: fields.calendarDate(),
+  },
+  checks: [
+    dateOrder('query', 'from', 'to'),
+    ({ query }) => (query.from && query.to
+      && getCalendarDayNumber(query.to) - getCalendarDayNumber(query.from) >= MAX_RANGE_DAYS
+      ? { field: 'to', message: `must be within ${MAX_RANGE_DAYS} days of from` }
+      : null),
+  ],
+}
+
+const daySchema = {
+  params: dayParams,
+  body: {
+    flow: fields.object({
+      flowLevel: fields.oneOf(FLOW_LEVELS, { nullable: true, normalize: true }),
+      spotting: fields.boolean({ default: false }),
+      clots: fields.boolean({ nullable: true }),
+      color: fields.oneOf(PERIOD_COLORS, { nullable: true, normalize: true }),
+    }, { nullable: true }),
+    symptoms: fields.array(fields.object({
+      type: fields.oneOf(SYMPTOM_TYPES, { required: true, normalize: true }),
+      severity: fields.integer({ min: SEVERITY_RANGE.min, max: SEVERITY_RANGE.max, default: SEVERITY_RANGE.default }),
+    }), { maxLength: SYMPTOM_TYPES.length }),
+    moods: fields.array(fields.oneOf(MOOD_TYPES, { normalize: true }), { maxLength: MOOD_TYPES.length }),
+    note: fields.string({ nullable: true, allowEmpty: true, maxLength: MAX_NOTE_LENGTH }),
+  },
+  checks: [
+    ({ body }) => (Object.keys(SECTION_PERMISSIONS).some(section => body[section] !== undefined)
+      ? null
+      : { field: 'body', message: `must include at least one of ${Object.keys(SECTION_PERMISSIONS).join(', ')}` }),
+    ({ body }) => (!body.flow || body.flow.flowLevel || body.flow.spotting
+      ? null
+      : { field: 'flow.flowLevel', message: 'is required unless spotting is true' }),
+    uniqueItems('body', 'symptoms', 'type'),
+    uniqueItems('body', 'moods'),
+  ],
+}
+
+router.use(verifyClerkAuth)
+router.use(requireIdentity())
+
+/**
+ * GET /api/days?from=&to=
+ * Day views from `from` to `to` (inclusive, at most MAX_RANGE_DAYS days), oldest first.
+ * Defaults to the last seven days up to today in the user's timezone.
+ */
+router.get('/', validate(listSchema), async (req, res) => {
+  try {
+    const timezone = getSubjectTimezone(req)
+    const { from, to } = req.validated.query
+
+    let endDate = to
+    let startDate = from
+    if (!endDate) {
+      endDate = startDate
+        ? toCalendarDate(getCalendarDayNumber(startDate) + DEFAULT_RANGE_DAYS - 1)
+        : getLocalCalendarDate(new Date(), timezone)
+    }
+    startDate = startDate ?? toCalendarDate(getCalendarDayNumber(endDate) - DEFAULT_RANGE_DAYS + 1)
+
+    const days = await getDayViews(req.identity.subject, startDate, endDate, timezone)
+    res.json({ success: true, days })
+  } catch (error) {
+    console.error('[Days] List error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+// Two saves of the same day at once: both clear the day, then the unique indexes reject the
+// second one's rows (P2002) and its transaction rolls back
+function sendDuplicateEntry(res) {
+  return res.status(409).json({
+    error: 'DUPLICATE_ENTRY',
+    message: 'This day was saved by another request at the same time. Try again.',
+  })
+}
+
+/**
+ * GET /api/days/:date
+ * Everything logged on one day, with its period and cycle phase
+ */
+router.get('/:date', validate({ params: dayParams }), async (req, res) => {
+  try {
+    const day = await getDayView(req.identity.subject, req.validated.params.date, getSubjectTimezone(req))
+    res.json({ success: true, day })
+  } catch (error) {
+    console.error('[Days] Get error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * PUT /api/days/:date
+ * Log a whole day in one call: { flow, symptoms, moods, note }. Each section sent replaces
+ * what the day held for it (null or [] clears it); sections left out are not touched.
+ * Flow goes to the period the day falls in, or starts a new period when there is none.
+ * All sections are written in one transaction. Answers with the day view.
+ */
+router.put('/:date', validate(daySchema), async (req, res) => {
+  try {
+    const { date } = req.validated.params
+    const body = req.validated.body
+    const user = req.identity.subject
+    const settings = user.settings
+
+    const sections = Object.keys(SECTION_PERMISSIONS).filter(section => body[section] !== undefined)
+    const missing = sections.find(section => !hasPermission(req.identity, SECTION_PERMISSIONS[section]))
+    if (missing) {
+      return sendForbidden(res, req.identity, SECTION_PERMISSIONS[missing])
+    }
+
+    let period = null
+    if (body.flow) {
+      period = await findLoggablePeriod(prisma, user.id, date)
+      if (!period && !body.flow.flowLevel) {
+        return sendValidationError(res, [{
+          field: 'flow.spotting',
+          message: 'can only be logged within a period; log the spotting symptom instead',
+        }])
+      }
+
+      // Flow past a derived end, or a new period, must not run into another period
+      const extendsPeriod = period?.endDateDerived && body.flow.flowLevel && date > period.endDate
+      if (!period || extendsPeriod) {
+        const conflicts = await findConflictingPeriods(user.id, { startDate: period?.startDate ?? date, endDate: date }, {
+          settings,
+          excludeId: period?.id,
+        })
+        if (conflicts.length > 0) {
+          return sendPeriodConflict(res, conflicts, 'Flow on this day runs into a logged period. Edit that period first.')
+        }
+      }
+    }
+
+    await prisma.$transaction(async (tx) => {
+      if (body.flow) {
+        const { flowLevel, spotting, clots, color } = body.flow
+        if (!period) {
+          period = await tx.period.create({
+            data: { userId: user.id, startDate: date, endDate: date, endDateDerived: true, flowLevel },
+          })
+        }
+        const data = { flowLevel: flowLevel ?? null, spotting, clots: clots ?? null, color: color ?? null }
+        await tx.periodDay.upsert({
+          where: { periodId_date: { periodId: period.id, date } },
+          update: data,
+          create: { periodId: period.id, date, ...data },
+        })
+        await refreshDerivedEndDate(tx, period, settings)
+      } else if (body.flow === null) {
+        const existing = await tx.periodDay.findFirst({
+          where: { date, period: { userId: user.id } },
+          include: { period: true },
+        })
+        if (existing) {
+          await tx.periodDay.delete({ where: { id: existing.id } })
+          await refreshDerivedEndDate(tx, existing.period, settings)
+        }
+      }
+
+      if (body.symptoms) {
+        await tx.symptom.deleteMany({ where: { userId: user.id, date } })
+        await tx.symptom.createMany({
+          data: body.symptoms.map(({ type, severity }) => ({ userId: user.id, date, type, severity })),
+        })
+      }
+
+      if (body.moods) {
+        await tx.mood.deleteMany({ where: { userId: user.id, date } })
+        await tx.mood.createMany({
+          data: body.moods.map(type => ({ userId: user.id, date, type })),
+        })
+      }
+
+      if (body.note !== undefined) {
+        await tx.note.deleteMany({ where: { userId: user.id, date } })
+        if (body.note) {
+          await tx.note.create({ data: { userId: user.id, date, content: body.note } })
+        }
+      }
+    })
+
+    const day = await getDayView(user, date, getSubjectTimezone(req))
+    res.json({ success: true, day })
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return sendDuplicateEntry(res)
+    }
+    console.error('[Days] Save error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+export default router
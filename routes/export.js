@@ -0,0 +1,70 @@
+import express from 'express'
+import archiver from 'archiver'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { getSubjectTimezone, requireIdentity } from '../lib/identity.js'
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js'
+import { fields, validate } from '../lib/validation.js'
+import {
+  DEFAULT_REPORT_CYCLES,
+  EXPORT_FORMATS,
+  MAX_REPORT_CYCLES,
+  buildCycleReport,
+  collectExport,
+  toCsvFiles,
+} from '../lib/dataExport.js'
+import { writeCycleReportPdf } from '../lib/exportReport.js'
+import { formatCalendarDate, getLocalCalendarDate } from '../utils/cycleInfo.js'
+
+const router = express.Router()
+
+const exportSchema = {
+  query: {
+    format: fields.oneOf(EXPORT_FORMATS, { normalize: true, default: 'json' }),
+    cycles: fields.integer({ min: 1, max: MAX_REPORT_CYCLES, default: DEFAULT_REPORT_CYCLES }),
+  },
+}
+
+router.use(verifyClerkAuth)
+router.use(requireIdentity())
+
+/**
+ * GET /api/export?format=json|csv|pdf&cycles=
+ * Download everything tracked: a JSON archive, a zip of CSV files, or a PDF summary of
+ * the last `cycles` cycles for a doctor visit
+ */
+router.get('/', requirePermission(PERMISSIONS.READ), validate(exportSchema), async (req, res) => {
+  try {
+    const { format, cycles } = req.validated.query
+    const timezone = getSubjectTimezone(req)
+    const filename = `period-tracker-export-${formatCalendarDate(getLocalCalendarDate(new Date(), timezone))}`
+
+    const data = await collectExport(req.identity)
+
+    if (format === 'json') {
+      res.attachment(`${filename}.json`)
+      return res.send(JSON.stringify(data, null, 2))
+    }
+
+    if (format === 'csv') {
+      const archive = archiver('zip')
+      res.attachment(`${filename}.zip`)
+      archive.pipe(res)
+      for (const [name, content] of Object.entries(toCsvFiles(data))) {
+        archive.append(content, { name })
+      }
+      return await archive.finalize()
+    }
+
+    const report = buildCycleReport(data, req.identity.subject.settings, { cycles, timezone })
+    res.attachment(`${filename}.pdf`)
+    writeCycleReportPdf(report, res)
+  } catch (error) {
+    console.error('[Export] Error:', error)
+    if (res.headersSent) {
+      return res.end()
+    }
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+export default router
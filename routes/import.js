@@ -0,0 +1,72 @@
+import express from 'express'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { getSubjectTimezone, requireIdentity } from '../lib/identity.js'
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js'
+import { fields, sendValidationError, validate } from '../lib/validation.js'
+import {
+  CSV_DELIMITERS,
+  IMPORT_DATE_FORMATS,
+  IMPORT_FORMATS,
+  MAPPABLE_FIELDS,
+  readCsvImport,
+  readJsonImport,
+} from '../lib/importFormats.js'
+import { commitImport, formatPlan, planImport } from '../lib/dataImport.js'
+
+const router = express.Router()
+
+// Imports carry whole export files, so they get a larger JSON body limit (see server.js)
+export const IMPORT_BODY_LIMIT = '10mb'
+
+const importSchema = {
+  body: {
+    format: fields.oneOf(IMPORT_FORMATS, { required: true, normalize: true }),
+    data: fields.any({ required: true }),
+    mapping: fields.object(Object.fromEntries(
+      MAPPABLE_FIELDS.map(field => [field, fields.string({ maxLength: 200 })])
+    )),
+    dateFormat: fields.oneOf(IMPORT_DATE_FORMATS, { default: 'YYYY-MM-DD', upperCase: true }),
+    delimiter: fields.oneOf(CSV_DELIMITERS),
+    dryRun: fields.boolean({ default: true }),
+  },
+  checks: [
+    ({ body }) => (body.format === 'csv' && typeof body.data !== 'string'
+      ? { field: 'data', message: 'must be the CSV file as a string' }
+      : null),
+  ],
+}
+
+router.use(verifyClerkAuth)
+router.use(requireIdentity())
+
+/**
+ * POST /api/import
+ * Import history from another tracker: { format: 'csv' | 'json', data, mapping?, dateFormat?,
+ * delimiter?, dryRun? }. By default this is a dry run answering with what would be created
+ * and what conflicts with logged data; send dryRun: false to write it in one transaction.
+ */
+router.post('/', requirePermission(PERMISSIONS.MANAGE_ACCOUNT), validate(importSchema), async (req, res) => {
+  try {
+    const { format, data, mapping, dateFormat, delimiter, dryRun } = req.validated.body
+    const user = req.identity.subject
+    const options = { mapping, delimiter, dateFormat, timezone: getSubjectTimezone(req) }
+
+    const parsed = format === 'csv' ? readCsvImport(data, options) : readJsonImport(data, options)
+    if (parsed.errors) {
+      return sendValidationError(res, parsed.errors)
+    }
+
+    const plan = await planImport(user, parsed)
+    if (!dryRun) {
+      await commitImport(user.id, plan)
+      console.log('[Import] Imported for user:', user.id, formatPlan(plan).summary)
+    }
+
+    res.json({ success: true, dryRun, ...formatPlan(plan) })
+  } catch (error) {
+    console.error('[Import] Error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+export default router
@@ -0,0 +1,87 @@
+import express from 'express'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { getPermissions } from '../lib/permissions.js'
+import { fields, validate } from '../lib/validation.js'
+import { findPendingInvite, redeemInvite } from '../lib/viewerInvites.js'
+
+const router = express.Router()
+
+const redeemSchema = {
+  body: {
+    code: fields.string({ required: true, maxLength: 32 }),
+  },
+}
+
+// Viewers redeem invites signed in as themselves; they may have no profile yet
+router.use(verifyClerkAuth)
+
+function sendInviteError(res, error) {
+  return res.status(error.status).json({ error: error.code, message: error.message })
+}
+
+/**
+ * GET /api/invites/:code
+ * Preview a pending invite: whose data it shares and with which permissions
+ */
+router.get('/:code', async (req, res) => {
+  try {
+    const invite = await findPendingInvite(req.params.code)
+
+    res.json({
+      success: true,
+      invite: {
+        selfUser: {
+          email: invite.user.email,
+          name: invite.user.name,
+        },
+        permissions: getPermissions('OTHER', invite.grants),
+        accessExpiresAt: invite.accessExpiresAt,
+        expiresAt: invite.expiresAt,
+      },
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendInviteError(res, error)
+    }
+    console.error('[Invites] Preview error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * POST /api/invites/redeem
+ * Redeem an invite code as the signed-in user, who becomes (or stays) a viewer of the
+ * SELF user who created it with the invite's permissions
+ */
+router.post('/redeem', validate(redeemSchema), async (req, res) => {
+  try {
+    const { viewer, owner } = await redeemInvite(req.user, req.validated.body.code)
+
+    console.log('[Invites] Invite redeemed:', { viewerId: viewer.id, viewedUserId: owner.id })
+
+    res.json({
+      success: true,
+      message: 'Invite accepted. You can now view the account data.',
+      viewer: {
+        id: viewer.id,
+        userType: 'OTHER',
+        viewedUserId: owner.id,
+        permissions: getPermissions('OTHER', viewer.viewerGrants),
+        accessExpiresAt: viewer.viewerAccessExpiresAt,
+      },
+      selfUser: {
+        id: owner.id,
+        email: owner.email,
+        name: owner.name,
+      },
+    })
+  } catch (error) {
+    if (error.status) {
+      return sendInviteError(res, error)
+    }
+    console.error('[Invites] Redeem error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+export default router
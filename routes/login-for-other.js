@@ -3,7 +3,7 @@ import { supabase, supabaseAdmin } from '../lib/supabase.js'
 import { clerk } from '../lib/clerk.js'
 import prisma from '../lib/prisma.js'
 import crypto from 'crypto'
-import jwt from 'jsonwebtoken'
+import { getBearerToken, verifyClerkToken } from '../lib/clerkAuth.js'
 
 const router = express.Router()
 
@@ -26,6 +26,22 @@ if (typeof process !== 'undefined' && process.env.VERCEL !== '1' && !process.env
   }, 5 * 60 * 1000)
 }
 
+/**
+ * The OTP relay let anyone the SELF user read a code to become their viewer; invites
+ * (POST /api/invites/redeem) replace it. Its endpoints answer 410 unless
+ * LEGACY_VIEWER_OTP_ENABLED=true keeps them on for app versions that still use it.
+ */
+function requireLegacyOtp(req, res, next) {
+  if (process.env.LEGACY_VIEWER_OTP_ENABLED === 'true') {
+    return next()
+  }
+  return res.status(410).json({
+    error: 'OTP_LOGIN_REMOVED',
+    message: 'Signing in with a code from the account owner is no longer supported. Ask them for an invite instead.',
+    redeemInvite: 'POST /api/invites/redeem',
+  })
+}
+
 /**
  * Generate 6-digit OTP
  */
@@ -960,8 +976,10 @@ router.post('/check-email', async (req, res) => {
 /**
  * POST /api/login-for-other/send-otp
  * Send OTP to the email address
+ * Deprecated: viewers now redeem an invite from the SELF user (POST /api/invites/redeem).
+ * Answers 410 unless LEGACY_VIEWER_OTP_ENABLED=true (see requireLegacyOtp).
  */
-router.post('/send-otp', async (req, res) => {
+router.post('/send-otp', requireLegacyOtp, async (req, res) => {
   try {
     const { email } = req.body
 
@@ -988,6 +1006,10 @@ router.post('/send-otp', async (req, res) => {
             : 'This is a viewer account. Only SELF accounts can be viewed.'
           return res.status(400).json({ error: errorMsg })
         }
+        // Accounts scheduled for deletion take no new viewers
+        if (selfUser.deletionScheduledFor) {
+          return res.status(409).json({ error: 'This account is scheduled for deletion and cannot be viewed.' })
+        }
       }
     } catch (dbError) {
       console.error('[Login For Other] Database query error:', dbError)
@@ -1083,8 +1105,10 @@ router.post('/send-otp', async (req, res) => {
 /**
  * POST /api/login-for-other/verify-otp
  * Verify OTP and create a session for the user
+ * Deprecated: viewers now redeem an invite from the SELF user (POST /api/invites/redeem).
+ * Answers 410 unless LEGACY_VIEWER_OTP_ENABLED=true (see requireLegacyOtp).
  */
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', requireLegacyOtp, async (req, res) => {
   try {
     const { email, otp } = req.body
 
@@ -1239,8 +1263,10 @@ router.post('/verify-otp', async (req, res) => {
 /**
  * POST /api/login-for-other/complete-login
  * Complete the login process using the temporary token
+ * Deprecated: viewers now redeem an invite from the SELF user (POST /api/invites/redeem).
+ * Answers 410 unless LEGACY_VIEWER_OTP_ENABLED=true (see requireLegacyOtp).
  */
-router.post('/complete-login', async (req, res) => {
+router.post('/complete-login', requireLegacyOtp, async (req, res) => {
   try {
     const { email, tempToken, viewerIdentifier } = req.body
     // viewerIdentifier: optional identifier for the viewer (e.g., device ID, session ID, or viewer's email)
@@ -1289,31 +1315,20 @@ router.post('/complete-login', async (req, res) => {
       return res.status(400).json({ error: errorMsg })
     }
 
-    // Extract viewer's Clerk ID from authorization header
+    // Extract viewer's Clerk ID from a verified authorization token
     let viewerClerkId = null
-    try {
-      const authHeader = req.headers.authorization
-      console.log('[Login For Other] Authorization header present:', !!authHeader)
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.substring(7)
-        const decoded = jwt.decode(token, { complete: true })
-        console.log('[Login For Other] JWT decoded:', {
-          hasPayload: !!decoded?.payload,
-          hasSub: !!decoded?.payload?.sub,
-          sub: decoded?.payload?.sub,
-        })
-        if (decoded && decoded.payload && decoded.payload.sub) {
-          viewerClerkId = decoded.payload.sub
-          console.log('[Login For Other] Extracted viewer Clerk ID:', viewerClerkId)
-        } else {
-          console.warn('[Login For Other] JWT token does not contain sub claim')
-        }
-      } else {
-        console.warn('[Login For Other] No authorization header or invalid format')
+    const token = getBearerToken(req)
+    if (token) {
+      try {
+        const claims = await verifyClerkToken(token)
+        viewerClerkId = claims.sub
+        console.log('[Login For Other] Verified viewer Clerk ID:', viewerClerkId)
+      } catch (error) {
+        console.warn('[Login For Other] Viewer token verification failed:', error.message)
+        return res.status(401).json({ error: 'Invalid or expired token' })
       }
-    } catch (error) {
-      console.error('[Login For Other] Error extracting viewer Clerk ID:', error)
-      console.error('[Login For Other] Error details:', error.message, error.stack)
+    } else {
+      console.warn('[Login For Other] No authorization header or invalid format')
     }
 
     // STRICT ENFORCEMENT: Check if viewer Clerk ID already has ANY account
@@ -1,126 +1,94 @@
 import express from 'express'
-import { clerk } from '../lib/clerk.js'
 import prisma from '../lib/prisma.js'
-import jwt from 'jsonwebtoken'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { requireIdentity } from '../lib/identity.js'
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js'
+import { dateOrder, dateRangeQuery, fields, uniqueItems, validate } from '../lib/validation.js'
+import { MOOD_TYPES } from '../lib/trackingOptions.js'
+import { calendarRangeFilter, formatCalendarDate } from '../utils/cycleInfo.js'
 
 const router = express.Router()
 
-/**
- * Middleware to verify Clerk JWT token
- */
-async function verifyClerkAuth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization
+const listSchema = {
+  query: dateRangeQuery,
+  checks: [dateOrder('query')],
+}
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' })
-    }
+const createSchema = {
+  body: {
+    date: fields.calendarDate({ required: true }),
+    type: fields.oneOf(MOOD_TYPES, { required: true, normalize: true }),
+  },
+}
 
-    const token = authHeader.substring(7)
-
-    try {
-      let decoded = jwt.decode(token, { complete: true })
-      let userId = null
-      
-      if (decoded && decoded.payload && decoded.payload.sub) {
-        userId = decoded.payload.sub
-      } else {
-        decoded = jwt.decode(token)
-        if (decoded && decoded.sub) {
-          userId = decoded.sub
-        }
-      }
-      
-      if (userId) {
-        const clerkUser = await clerk.users.getUser(userId)
-        req.user = {
-          id: clerkUser.id,
-          email: clerkUser.emailAddresses[0]?.emailAddress,
-          clerkId: clerkUser.id,
-        }
-        return next()
-      }
-    } catch (tokenError) {
-      // Fallback
-    }
+const updateSchema = {
+  body: {
+    date: fields.calendarDate(),
+    type: fields.oneOf(MOOD_TYPES, { normalize: true }),
+  },
+}
 
-    const { clerkId, email } = { ...req.body, ...req.query }
-
-    if (clerkId) {
-      try {
-        const clerkUser = await clerk.users.getUser(clerkId)
-        req.user = {
-          id: clerkUser.id,
-          email: clerkUser.emailAddresses[0]?.emailAddress,
-          clerkId: clerkUser.id,
-        }
-        return next()
-      } catch (error) {
-        // Continue
-      }
-    }
+const bulkCreateSchema = {
+  body: {
+    date: fields.calendarDate({ required: true }),
+    moods: fields.array(fields.oneOf(MOOD_TYPES, { normalize: true }), {
+      minLength: 1,
+      maxLength: MOOD_TYPES.length,
+    }),
+  },
+  checks: [uniqueItems('body', 'moods')],
+}
 
-    return res.status(401).json({ error: 'Authentication failed' })
-  } catch (error) {
-    return res.status(401).json({ error: 'Authentication failed', details: error.message })
-  }
+const bulkDeleteSchema = {
+  query: {
+    date: fields.calendarDate({ required: true }),
+  },
 }
 
 router.use(verifyClerkAuth)
+router.use(requireIdentity())
 
-async function getDbUserId(req) {
-  // IMPORTANT: Check for OTHER users first (viewers take precedence)
-  let dbUser = await prisma.user.findFirst({
-    where: {
-      clerkId: req.user.clerkId,
-      userType: 'OTHER',
-    },
-  })
-
-  // If OTHER user found, return the viewedUserId (the SELF user's ID they're viewing)
-  if (dbUser && dbUser.userType === 'OTHER' && dbUser.viewedUserId) {
-    return dbUser.viewedUserId
-  }
-
-  // If no OTHER user found, check for SELF user
-  if (!dbUser) {
-    dbUser = await prisma.user.findFirst({
-      where: {
-        OR: [
-          { clerkId: req.user.clerkId },
-          { email: req.user.email },
-        ],
-      },
-    })
+function formatMood(mood) {
+  return {
+    id: mood.id,
+    date: formatCalendarDate(mood.date),
+    type: mood.type,
+    createdAt: mood.createdAt.toISOString(),
+    updatedAt: mood.updatedAt.toISOString(),
   }
+}
 
-  if (!dbUser) {
-    dbUser = await prisma.user.create({
-      data: {
-        email: req.user.email,
-        clerkId: req.user.clerkId,
-        userType: 'SELF',
-      },
-    })
-  }
+// A day holds one entry per mood type; logging it again returns the existing entry
+function upsertMood(db, userId, { date, type }) {
+  return db.mood.upsert({
+    where: { userId_date_type: { userId, date, type } },
+    update: {},
+    create: { userId, date, type },
+  })
+}
 
-  return dbUser.id
+// Two requests logging the same type for the same day at once: the unique index rejects the
+// second one (P2002) instead of letting it add a duplicate
+function sendDuplicateEntry(res) {
+  return res.status(409).json({
+    error: 'DUPLICATE_ENTRY',
+    message: 'This mood was logged for that day by another request at the same time. Try again.',
+  })
 }
 
 /**
  * GET /api/moods
  * Get moods for a date range or all moods
  */
-router.get('/', async (req, res) => {
+router.get('/', validate(listSchema), async (req, res) => {
   try {
-    const { startDate, endDate } = req.query
-    const dbUserId = await getDbUserId(req)
+    const { startDate, endDate } = req.validated.query
+    const dbUserId = req.identity.subject.id
 
     const where = { userId: dbUserId }
-    if (startDate || endDate) {
-      where.date = {}
-      if (startDate) where.date.gte = new Date(startDate)
-      if (endDate) where.date.lte = new Date(endDate)
+    const dateFilter = calendarRangeFilter(startDate, endDate)
+    if (dateFilter) {
+      where.date = dateFilter
     }
 
     const moods = await prisma.mood.findMany({
@@ -130,12 +98,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      moods: moods.map(m => ({
-        id: m.id,
-        date: m.date.toISOString(),
-        type: m.type,
-        createdAt: m.createdAt.toISOString(),
-      })),
+      moods: moods.map(formatMood),
     })
   } catch (error) {
     console.error('[Moods] Get error:', error)
@@ -145,37 +108,121 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /api/moods
- * Create a new mood
+ * Log a mood; logging a mood already logged that day returns the existing entry
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.LOG_MOODS), validate(createSchema), async (req, res) => {
   try {
-    const { date, type } = req.body
+    const mood = await upsertMood(prisma, req.identity.subject.id, req.validated.body)
 
-    if (!date || !type) {
-      return res.status(400).json({ error: 'date and type are required' })
+    res.json({
+      success: true,
+      mood: formatMood(mood),
+    })
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return sendDuplicateEntry(res)
     }
+    console.error('[Moods] Create error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * POST /api/moods/bulk
+ * Log several moods for one day: { date, moods: ['calm', 'tired'] }.
+ * Moods already logged that day are kept as they are.
+ */
+router.post('/bulk', requirePermission(PERMISSIONS.LOG_MOODS), validate(bulkCreateSchema), async (req, res) => {
+  try {
+    const { date, moods } = req.validated.body
+    const dbUserId = req.identity.subject.id
 
-    const dbUserId = await getDbUserId(req)
+    const saved = await prisma.$transaction(
+      moods.map(type => upsertMood(prisma, dbUserId, { date, type }))
+    )
 
-    const mood = await prisma.mood.create({
-      data: {
+    res.json({
+      success: true,
+      moods: saved.map(formatMood),
+    })
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return sendDuplicateEntry(res)
+    }
+    console.error('[Moods] Bulk create error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * DELETE /api/moods?date=YYYY-MM-DD
+ * Delete every mood logged on one day
+ */
+router.delete('/', requirePermission(PERMISSIONS.LOG_MOODS), validate(bulkDeleteSchema), async (req, res) => {
+  try {
+    const { count } = await prisma.mood.deleteMany({
+      where: { userId: req.identity.subject.id, date: req.validated.query.date },
+    })
+
+    res.json({ success: true, deleted: count })
+  } catch (error) {
+    console.error('[Moods] Bulk delete error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * PATCH /api/moods/:id
+ * Update a mood's date or type
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.LOG_MOODS), validate(updateSchema), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { date, type } = req.validated.body
+    const dbUserId = req.identity.subject.id
+
+    const existing = await prisma.mood.findFirst({
+      where: { id, userId: dbUserId },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Mood not found' })
+    }
+
+    const duplicate = (date || type) && await prisma.mood.findFirst({
+      where: {
+        id: { not: id },
         userId: dbUserId,
-        date: new Date(date),
-        type,
+        date: date ?? existing.date,
+        type: type ?? existing.type,
+      },
+    })
+
+    if (duplicate) {
+      return res.status(409).json({
+        error: 'DUPLICATE_ENTRY',
+        message: 'This mood is already logged for that day. Edit that entry instead.',
+        mood: formatMood(duplicate),
+      })
+    }
+
+    const mood = await prisma.mood.update({
+      where: { id },
+      data: {
+        ...(date && { date }),
+        ...(type && { type }),
       },
     })
 
     res.json({
       success: true,
-      mood: {
-        id: mood.id,
-        date: mood.date.toISOString(),
-        type: mood.type,
-        createdAt: mood.createdAt.toISOString(),
-      },
+      mood: formatMood(mood),
     })
   } catch (error) {
-    console.error('[Moods] Create error:', error)
+    if (error.code === 'P2002') {
+      return sendDuplicateEntry(res)
+    }
+    console.error('[Moods] Update error:', error)
     res.status(500).json({ error: 'Internal server error', details: error.message })
   }
 })
@@ -184,10 +231,10 @@ router.post('/', async (req, res) => {
  * DELETE /api/moods/:id
  * Delete a mood
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.LOG_MOODS), async (req, res) => {
   try {
     const { id } = req.params
-    const dbUserId = await getDbUserId(req)
+    const dbUserId = req.identity.subject.id
 
     const existing = await prisma.mood.findFirst({
       where: { id, userId: dbUserId },
@@ -207,4 +254,3 @@ router.delete('/:id', async (req, res) => {
 })
 
 export default router
-
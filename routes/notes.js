@@ -0,0 +1,243 @@
+import express from 'express'
+import { Prisma } from '@prisma/client'
+import prisma from '../lib/prisma.js'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { requireIdentity } from '../lib/identity.js'
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js'
+import { dateOrder, dateRangeQuery, fields, validate } from '../lib/validation.js'
+import { calendarRangeFilter, formatCalendarDate } from '../utils/cycleInfo.js'
+
+const router = express.Router()
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+const MAX_CONTENT_LENGTH = 10000
+
+const listSchema = {
+  query: {
+    ...dateRangeQuery,
+    q: fields.string({ maxLength: 200, allowEmpty: true }),
+    limit: fields.integer({ min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }),
+    offset: fields.integer({ min: 0, default: 0 }),
+  },
+  checks: [dateOrder('query')],
+}
+
+const createSchema = {
+  body: {
+    date: fields.calendarDate({ required: true }),
+    content: fields.string({ required: true, maxLength: MAX_CONTENT_LENGTH }),
+  },
+}
+
+const updateSchema = {
+  body: {
+    date: fields.calendarDate(),
+    content: fields.string({ maxLength: MAX_CONTENT_LENGTH }),
+  },
+}
+
+router.use(verifyClerkAuth)
+router.use(requireIdentity())
+
+function formatNote(note) {
+  return {
+    id: note.id,
+    date: formatCalendarDate(note.date),
+    content: note.content,
+    createdAt: note.createdAt.toISOString(),
+    updatedAt: note.updatedAt.toISOString(),
+  }
+}
+
+/**
+ * One page of notes, newest first. Resolves to { notes, total }.
+ */
+async function listNotes(userId, { startDate, endDate, limit, offset }) {
+  const where = { userId }
+  const dateFilter = calendarRangeFilter(startDate, endDate)
+  if (dateFilter) {
+    where.date = dateFilter
+  }
+
+  const [notes, total] = await Promise.all([
+    prisma.note.findMany({
+      where,
+      orderBy: [{ date: 'desc' }, { createdAt: 'desc' }],
+      skip: offset,
+      take: limit,
+    }),
+    prisma.note.count({ where }),
+  ])
+  return { notes, total }
+}
+
+// Must stay the expression indexed in migrations/add_notes_search_index.sql
+const SEARCH_VECTOR = Prisma.sql`to_tsvector('english', "content")`
+
+/**
+ * Postgres full-text search over content: words are stemmed ("cramps" finds "cramping"),
+ * every word must match, and the best matches come first, then the newest.
+ * Resolves to { notes, total } for one page.
+ */
+async function searchNotes(userId, search, { startDate, endDate, limit, offset }) {
+  const query = Prisma.sql`plainto_tsquery('english', ${search})`
+  const conditions = [
+    Prisma.sql`"user_id" = ${userId}`,
+    Prisma.sql`${SEARCH_VECTOR} @@ ${query}`,
+  ]
+  if (startDate) conditions.push(Prisma.sql`"date" >= ${formatCalendarDate(startDate)}::date`)
+  if (endDate) conditions.push(Prisma.sql`"date" <= ${formatCalendarDate(endDate)}::date`)
+  const where = Prisma.join(conditions, ' AND ')
+
+  const [matches, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "id" FROM "notes"
+      WHERE ${where}
+      ORDER BY ts_rank(${SEARCH_VECTOR}, ${query}) DESC, "date" DESC, "created_at" DESC
+      LIMIT ${limit} OFFSET ${offset}`,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM "notes" WHERE ${where}`,
+  ])
+
+  const notes = await prisma.note.findMany({
+    where: { id: { in: matches.map(match => match.id) } },
+  })
+  const byId = new Map(notes.map(note => [note.id, note]))
+  return { notes: matches.map(match => byId.get(match.id)).filter(Boolean), total }
+}
+
+/**
+ * GET /api/notes
+ * List notes, optionally filtered by date range (startDate, endDate) and search text (q).
+ * Paginated with limit (default 20, max 100) and offset. Newest first, or by relevance when searching.
+ */
+router.get('/', validate(listSchema), async (req, res) => {
+  try {
+    const { startDate, endDate, q, limit, offset } = req.validated.query
+    const dbUserId = req.identity.subject.id
+
+    const search = q?.trim()
+    const page = { startDate, endDate, limit, offset }
+    const { notes, total } = search
+      ? await searchNotes(dbUserId, search, page)
+      : await listNotes(dbUserId, page)
+
+    res.json({
+      success: true,
+      notes: notes.map(formatNote),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + notes.length < total,
+      },
+    })
+  } catch (error) {
+    console.error('[Notes] Get error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * GET /api/notes/:id
+ * Get a single note
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const note = await prisma.note.findFirst({
+      where: { id: req.params.id, userId: req.identity.subject.id },
+    })
+
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' })
+    }
+
+    res.json({ success: true, note: formatNote(note) })
+  } catch (error) {
+    console.error('[Notes] Get one error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * POST /api/notes
+ * Create a new note
+ */
+router.post('/', requirePermission(PERMISSIONS.LOG_NOTES), validate(createSchema), async (req, res) => {
+  try {
+    const { date, content } = req.validated.body
+
+    const note = await prisma.note.create({
+      data: {
+        userId: req.identity.subject.id,
+        date,
+        content,
+      },
+    })
+
+    res.json({ success: true, note: formatNote(note) })
+  } catch (error) {
+    console.error('[Notes] Create error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * PATCH /api/notes/:id
+ * Update a note's date or content
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.LOG_NOTES), validate(updateSchema), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { date, content } = req.validated.body
+
+    const existing = await prisma.note.findFirst({
+      where: { id, userId: req.identity.subject.id },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Note not found' })
+    }
+
+    const updateData = {}
+    if (date !== undefined) updateData.date = date
+    if (content !== undefined) updateData.content = content
+
+    const note = await prisma.note.update({
+      where: { id },
+      data: updateData,
+    })
+
+    res.json({ success: true, note: formatNote(note) })
+  } catch (error) {
+    console.error('[Notes] Update error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * DELETE /api/notes/:id
+ * Delete a note
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.LOG_NOTES), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const existing = await prisma.note.findFirst({
+      where: { id, userId: req.identity.subject.id },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Note not found' })
+    }
+
+    await prisma.note.delete({ where: { id } })
+
+    res.json({ success: true, message: 'Note deleted successfully' })
+  } catch (error) {
+    console.error('[Notes] Delete error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+export default router
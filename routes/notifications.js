@@ -1,136 +1,110 @@
 import express from 'express'
-import jwt from 'jsonwebtoken'
-import { clerk } from '../lib/clerk.js'
 import prisma from '../lib/prisma.js'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { requireIdentity } from '../lib/identity.js'
+import {
+  formatPreferences,
+  toSettingsUpdate,
+  MAX_DAILY_CAP,
+  NOTIFICATION_CATEGORIES,
+} from '../lib/notificationPreferences.js'
+import {
+  listInbox,
+  setItemRead,
+  markAllRead,
+  deleteItem,
+  decodeCursor,
+  INBOX_SOURCES,
+  DEFAULT_INBOX_LIMIT,
+  MAX_INBOX_LIMIT,
+} from '../lib/notificationInbox.js'
+import { fields, sendValidationError, validate } from '../lib/validation.js'
+import { parseTimezoneOffsetHeader } from '../utils/cycleInfo.js'
 
 const router = express.Router()
 
-async function verifyClerkAuth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' })
-    }
-
-    const token = authHeader.substring(7)
-    if (!token) {
-      return res.status(401).json({ error: 'Missing token' })
-    }
-
-    let clerkId = null
-    try {
-      const decoded = jwt.decode(token, { complete: true }) || jwt.decode(token)
-      clerkId = decoded?.payload?.sub || decoded?.sub || null
-    } catch (error) {
-      console.log('[Notifications] Failed to decode Clerk token:', error?.message)
-    }
-
-    if (clerkId) {
-      try {
-        const clerkUser = await clerk.users.getUser(clerkId)
-        req.user = {
-          id: clerkUser.id,
-          email: clerkUser.emailAddresses[0]?.emailAddress,
-          firstName: clerkUser.firstName,
-          lastName: clerkUser.lastName,
-          clerkId: clerkUser.id,
-        }
-        return next()
-      } catch (error) {
-        console.error('[Notifications] Clerk lookup by decoded ID failed:', error?.message)
-      }
-    }
+const categoryField = fields.oneOf(NOTIFICATION_CATEGORIES, { upperCase: true })
 
-    const { clerkId: fallbackClerkId, email } = { ...req.body, ...req.query }
-    if (fallbackClerkId) {
-      try {
-        const clerkUser = await clerk.users.getUser(fallbackClerkId)
-        req.user = {
-          id: clerkUser.id,
-          email: clerkUser.emailAddresses[0]?.emailAddress,
-          firstName: clerkUser.firstName,
-          lastName: clerkUser.lastName,
-          clerkId: clerkUser.id,
-        }
-        return next()
-      } catch (error) {
-        if (email) {
-          req.user = {
-            id: fallbackClerkId,
-            email,
-            firstName: null,
-            lastName: null,
-            clerkId: fallbackClerkId,
-          }
-          return next()
-        }
-      }
-    }
+const registerTokenSchema = {
+  body: {
+    expoPushToken: fields.string({ required: true, maxLength: 255 }),
+    deviceType: fields.string({ maxLength: 50 }),
+    mode: fields.oneOf(['SELF', 'OTHER'], { upperCase: true }),
+    // Minutes east of UTC, UTC-12:00 to UTC+14:00
+    timezoneOffsetMinutes: fields.integer({ min: -12 * 60, max: 14 * 60 }),
+  },
+}
 
-    return res.status(401).json({ error: 'Authentication failed. Please ensure you are logged in.' })
-  } catch (error) {
-    console.error('[Notifications] Auth error:', error)
-    return res.status(401).json({ error: 'Authentication failed.' })
-  }
+const unregisterTokenSchema = {
+  body: {
+    expoPushToken: fields.string({ required: true, maxLength: 255 }),
+  },
 }
 
-router.use(verifyClerkAuth)
+const inboxSchema = {
+  query: {
+    cursor: fields.string({ maxLength: 500 }),
+    limit: fields.integer({ min: 1, max: MAX_INBOX_LIMIT, default: DEFAULT_INBOX_LIMIT }),
+    category: categoryField,
+    unread: fields.boolean({ default: false }),
+  },
+}
 
-function parseTimezoneOffset(reqBodyValue, headerValue) {
-  if (Number.isFinite(reqBodyValue)) {
-    return reqBodyValue
-  }
-  const parsedHeader = parseInt(headerValue, 10)
-  if (Number.isFinite(parsedHeader)) {
-    return -parsedHeader
-  }
-  return 0
+const readAllSchema = {
+  body: { category: categoryField },
 }
 
-async function resolveDbUser(clerkId, email) {
-  if (!clerkId && !email) {
-    return null
-  }
-  return prisma.user.findFirst({
-    where: {
-      OR: [
-        ...(clerkId ? [{ clerkId }] : []),
-        ...(email ? [{ email }] : []),
-      ],
-    },
-  })
+const readItemSchema = {
+  body: { read: fields.boolean({ required: true }) },
 }
 
-router.post('/register-token', async (req, res) => {
-  try {
-    const { expoPushToken, deviceType, mode, viewedUserId } = req.body || {}
+const preferencesSchema = {
+  body: {
+    remindersEnabled: fields.boolean(),
+    reminderDaysBefore: fields.integer({ min: 1, max: 14 }),
+    // { CATEGORY: enabled }; categories left out keep their setting
+    categories: fields.object(
+      Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, fields.boolean()]))
+    ),
+    // null removes the cap
+    dailyCap: fields.integer({ min: 1, max: MAX_DAILY_CAP, nullable: true }),
+    quietHours: fields.object({
+      start: fields.time({ required: true }),
+      end: fields.time({ required: true }),
+    }, { nullable: true }),
+    preferredDeliveryTime: fields.time({ nullable: true }),
+  },
+  checks: [
+    // The categories object drops keys it does not know, so name them here
+    (values, req) => Object.keys(req.body?.categories || {})
+      .filter(category => !NOTIFICATION_CATEGORIES.includes(category))
+      .map(category => ({ field: `categories.${category}`, message: 'is not a notification category' })),
+    ({ body }) => (body.quietHours && body.quietHours.start === body.quietHours.end
+      ? { field: 'quietHours', message: 'start and end must be different times' }
+      : null),
+  ],
+}
 
-    if (!expoPushToken || typeof expoPushToken !== 'string') {
-      return res.status(400).json({ error: 'expoPushToken is required' })
-    }
+router.use(verifyClerkAuth)
+router.use(requireIdentity())
 
-    const normalizedMode = typeof mode === 'string' ? mode.toUpperCase() : null
-    if (!normalizedMode || !['SELF', 'OTHER'].includes(normalizedMode)) {
-      return res.status(400).json({ error: 'mode must be SELF or OTHER' })
-    }
+router.post('/register-token', validate(registerTokenSchema), async (req, res) => {
+  try {
+    const { expoPushToken, deviceType, mode, timezoneOffsetMinutes: bodyOffset } = req.validated.body
+    const { actor: dbUser, subject, role } = req.identity
 
-    const dbUser = await resolveDbUser(req.user?.clerkId, req.user?.email)
-    if (!dbUser) {
-      return res.status(404).json({ error: 'User record not found' })
+    // The token mode follows the resolved identity; a client-sent mode must agree with it
+    const normalizedMode = mode || role
+    if (normalizedMode !== role) {
+      return sendValidationError(res, [{ field: 'mode', message: `${normalizedMode} does not match this ${role} account` }])
     }
 
-    let resolvedViewedUserId = null
-    if (normalizedMode === 'OTHER') {
-      resolvedViewedUserId = viewedUserId || dbUser.viewedUserId || null
-      if (!resolvedViewedUserId) {
-        return res.status(400).json({ error: 'viewedUserId is required for OTHER mode' })
-      }
-    }
+    const resolvedViewedUserId = role === 'OTHER' ? subject.id : null
 
-    const timezoneOffsetMinutes = parseTimezoneOffset(
-      typeof req.body?.timezoneOffsetMinutes === 'number' ? req.body.timezoneOffsetMinutes : null,
-      req.headers['x-timezone-offset']
-    )
+    // The device's own offset, not the account timezone: it is the fallback for users without one
+    const timezoneOffsetMinutes = bodyOffset !== undefined
+      ? bodyOffset
+      : parseTimezoneOffsetHeader(req.headers['x-timezone-offset']) ?? 0
 
     const pushToken = await prisma.pushToken.upsert({
       where: { expoPushToken },
@@ -165,16 +139,14 @@ router.post('/register-token', async (req, res) => {
   }
 })
 
-router.delete('/register-token', async (req, res) => {
+router.delete('/register-token', validate(unregisterTokenSchema), async (req, res) => {
   try {
-    const { expoPushToken } = req.body || {}
-    if (!expoPushToken) {
-      return res.status(400).json({ error: 'expoPushToken is required' })
-    }
+    const { expoPushToken } = req.validated.body
 
     await prisma.pushToken.deleteMany({
       where: {
         expoPushToken,
+        userId: req.identity.actor.id,
       },
     })
 
@@ -185,5 +157,142 @@ router.delete('/register-token', async (req, res) => {
   }
 })
 
+/**
+ * GET /api/notifications/preferences
+ * Notification preferences for the signed-in account's own devices
+ * (a viewer's preferences cover the notifications they receive as a viewer)
+ */
+router.get('/preferences', async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      preferences: formatPreferences(req.identity.actor.settings),
+    })
+  } catch (error) {
+    console.error('[Notifications] Failed to get preferences:', error)
+    return res.status(500).json({ error: 'Failed to get preferences', details: error.message })
+  }
+})
+
+/**
+ * PATCH /api/notifications/preferences
+ * Partial update, e.g. { "categories": { "SYMPTOM_PROMPT": false }, "dailyCap": 2,
+ * "quietHours": { "start": "22:00", "end": "07:00" }, "preferredDeliveryTime": "09:00" }
+ */
+router.patch('/preferences', validate(preferencesSchema), async (req, res) => {
+  try {
+    const { actor } = req.identity
+    const data = toSettingsUpdate(req.validated.body, actor.settings)
+
+    const settings = await prisma.userSettings.upsert({
+      where: { userId: actor.id },
+      update: data,
+      create: { userId: actor.id, ...data },
+    })
+
+    return res.json({
+      success: true,
+      preferences: formatPreferences(settings),
+    })
+  } catch (error) {
+    console.error('[Notifications] Failed to update preferences:', error)
+    return res.status(500).json({ error: 'Failed to update preferences', details: error.message })
+  }
+})
+
+/**
+ * GET /api/notifications/inbox
+ * Notifications and reminders received by the signed-in account, newest first.
+ * Query: cursor (nextCursor of the previous page), limit (default 20, max 50),
+ * category, unread=true for unread items only
+ */
+router.get('/inbox', validate(inboxSchema), async (req, res) => {
+  try {
+    const { cursor: rawCursor, category, limit, unread } = req.validated.query
+
+    const cursor = rawCursor ? decodeCursor(rawCursor) : null
+    if (rawCursor && !cursor) {
+      return sendValidationError(res, [{ field: 'cursor', message: 'is not a cursor returned by this endpoint' }])
+    }
+
+    const page = await listInbox(req.identity, {
+      cursor,
+      limit,
+      category: category || null,
+      unreadOnly: unread,
+    })
+
+    return res.json({
+      success: true,
+      items: page.items,
+      unreadCount: page.unreadCount,
+      pagination: {
+        limit,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+      },
+    })
+  } catch (error) {
+    console.error('[Notifications] Failed to get inbox:', error)
+    return res.status(500).json({ error: 'Failed to get inbox', details: error.message })
+  }
+})
+
+/**
+ * POST /api/notifications/inbox/read-all
+ * Mark every unread item read, or only one category with { "category": "PHASE_UPDATE" }
+ */
+router.post('/inbox/read-all', validate(readAllSchema), async (req, res) => {
+  try {
+    const updated = await markAllRead(req.identity, req.validated.body.category || null)
+    return res.json({ success: true, updated })
+  } catch (error) {
+    console.error('[Notifications] Failed to mark inbox read:', error)
+    return res.status(500).json({ error: 'Failed to mark inbox read', details: error.message })
+  }
+})
+
+/**
+ * PATCH /api/notifications/inbox/:source/:id
+ * Mark one item read or unread: { "read": true }. source is notification or reminder.
+ */
+router.patch('/inbox/:source/:id', validate(readItemSchema), async (req, res) => {
+  try {
+    const { source, id } = req.params
+    if (!INBOX_SOURCES.includes(source)) {
+      return res.status(404).json({ error: 'Inbox item not found' })
+    }
+
+    const item = await setItemRead(req.identity, source, id, req.validated.body.read)
+    if (!item) {
+      return res.status(404).json({ error: 'Inbox item not found' })
+    }
+
+    return res.json({ success: true, item })
+  } catch (error) {
+    console.error('[Notifications] Failed to update inbox item:', error)
+    return res.status(500).json({ error: 'Failed to update inbox item', details: error.message })
+  }
+})
+
+/**
+ * DELETE /api/notifications/inbox/:source/:id
+ * Remove one item from the inbox
+ */
+router.delete('/inbox/:source/:id', async (req, res) => {
+  try {
+    const { source, id } = req.params
+    const deleted = INBOX_SOURCES.includes(source) && await deleteItem(req.identity, source, id)
+    if (!deleted) {
+      return res.status(404).json({ error: 'Inbox item not found' })
+    }
+
+    return res.json({ success: true })
+  } catch (error) {
+    console.error('[Notifications] Failed to delete inbox item:', error)
+    return res.status(500).json({ error: 'Failed to delete inbox item', details: error.message })
+  }
+})
+
 export default router
 
@@ -1,175 +1,80 @@
 import express from 'express'
-import { clerk } from '../lib/clerk.js'
 import prisma from '../lib/prisma.js'
-import jwt from 'jsonwebtoken'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { requireIdentity } from '../lib/identity.js'
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js'
+import { dateOrder, fields, sendValidationError, validate } from '../lib/validation.js'
+import { FLOW_LEVELS, PERIOD_COLORS } from '../lib/trackingOptions.js'
+import { findConflictingPeriods, mergePeriods, sendPeriodConflict } from '../lib/periodConflicts.js'
+import {
+  estimateEndDate,
+  formatPeriod,
+  formatPeriodDay,
+  getDerivedEndDate,
+  getLastLoggableDate,
+  getUsualPeriodLength,
+  refreshDerivedEndDate,
+} from '../lib/periodDays.js'
+import { formatCalendarDate } from '../utils/cycleInfo.js'
 
 const router = express.Router()
 
-/**
- * Middleware to verify Clerk JWT token (reused from user.js)
- */
-async function verifyClerkAuth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' })
-    }
-
-    const token = authHeader.substring(7)
-
-    if (!token) {
-      return res.status(401).json({ error: 'Missing token' })
-    }
-
-    // Try to decode JWT token to get user ID
-    try {
-      let decoded = jwt.decode(token, { complete: true })
-      let userId = null
-      
-      if (decoded && decoded.payload && decoded.payload.sub) {
-        userId = decoded.payload.sub
-      } else {
-        decoded = jwt.decode(token)
-        if (decoded && decoded.sub) {
-          userId = decoded.sub
-        }
-      }
-      
-      if (userId) {
-        const clerkUser = await clerk.users.getUser(userId)
-        req.user = {
-          id: clerkUser.id,
-          email: clerkUser.emailAddresses[0]?.emailAddress,
-          firstName: clerkUser.firstName,
-          lastName: clerkUser.lastName,
-          clerkId: clerkUser.id,
-        }
-        return next()
-      }
-    } catch (tokenError) {
-      console.log('[Periods Auth] Token decode failed, trying alternative method')
-    }
-
-    // Fallback: Try to get user from request body or query params
-    const { clerkId, email } = { ...req.body, ...req.query }
-
-    if (clerkId) {
-      try {
-        const clerkUser = await clerk.users.getUser(clerkId)
-        req.user = {
-          id: clerkUser.id,
-          email: clerkUser.emailAddresses[0]?.emailAddress,
-          firstName: clerkUser.firstName,
-          lastName: clerkUser.lastName,
-          clerkId: clerkUser.id,
-        }
-        return next()
-      } catch (error) {
-        console.error('[Periods Auth] Error getting user by clerkId:', error)
-      }
-    }
+// All routes require authentication
+router.use(verifyClerkAuth)
+router.use(requireIdentity())
+
+const createSchema = {
+  body: {
+    startDate: fields.calendarDate({ required: true }),
+    endDate: fields.calendarDate({ nullable: true }),
+    flowLevel: fields.oneOf(FLOW_LEVELS, { nullable: true, normalize: true }),
+    merge: fields.boolean({ default: false }),
+  },
+  checks: [dateOrder('body')],
+}
 
-    if (email) {
-      try {
-        const users = await clerk.users.getUserList({ limit: 500 })
-        const userArray = Array.isArray(users) ? users : (users.data || [])
-        for (const user of userArray.slice(0, 100)) {
-          try {
-            const fullUser = await clerk.users.getUser(user.id)
-            if (fullUser.emailAddresses?.some(e => e.emailAddress === email)) {
-              req.user = {
-                id: fullUser.id,
-                email: fullUser.emailAddresses[0]?.emailAddress,
-                firstName: fullUser.firstName,
-                lastName: fullUser.lastName,
-                clerkId: fullUser.id,
-              }
-              return next()
-            }
-          } catch (userError) {
-            continue
-          }
-        }
-      } catch (error) {
-        console.error('[Periods Auth] Error finding user by email:', error)
-      }
-    }
+const updateSchema = {
+  body: {
+    startDate: fields.calendarDate(),
+    endDate: fields.calendarDate({ nullable: true }),
+    flowLevel: fields.oneOf(FLOW_LEVELS, { nullable: true, normalize: true }),
+    merge: fields.boolean({ default: false }),
+  },
+  checks: [dateOrder('body')],
+}
 
-    return res.status(401).json({ 
-      error: 'Authentication failed', 
-      details: 'Could not verify user identity. Please ensure you are logged in.',
-    })
-  } catch (error) {
-    console.error('[Periods Auth] Error verifying Clerk token:', error)
-    return res.status(401).json({ error: 'Authentication failed', details: error.message })
-  }
+const dayParams = {
+  date: fields.calendarDate({ required: true }),
 }
 
-// All routes require authentication
-router.use(verifyClerkAuth)
+// PUT replaces the whole day, so fields left out are cleared
+const daySchema = {
+  params: dayParams,
+  body: {
+    flowLevel: fields.oneOf(FLOW_LEVELS, { nullable: true, normalize: true }),
+    spotting: fields.boolean({ default: false }),
+    clots: fields.boolean({ nullable: true }),
+    color: fields.oneOf(PERIOD_COLORS, { nullable: true, normalize: true }),
+  },
+  checks: [
+    ({ body }) => (body.flowLevel || body.spotting
+      ? null
+      : { field: 'flowLevel', message: 'is required unless spotting is true' }),
+  ],
+}
 
-/**
- * Helper function to get user's database ID
- */
-async function getDbUserId(req) {
-  console.log('[Periods] getDbUserId - Looking for user:', {
-    clerkId: req.user?.clerkId,
-    email: req.user?.email,
+function findOwnPeriod(req, id) {
+  return prisma.period.findFirst({
+    where: { id, userId: req.identity.subject.id },
   })
+}
 
-  // IMPORTANT: Check for OTHER users first (viewers take precedence)
-  // If a user has logged in "for someone else", they should see that data, not their own
-  let dbUser = await prisma.user.findFirst({
-    where: {
-      clerkId: req.user.clerkId,
-      userType: 'OTHER', // Check for OTHER users first
-    },
+function sendMerged(res, { period, mergedIds }) {
+  return res.json({
+    success: true,
+    period: formatPeriod(period),
+    mergedPeriodIds: mergedIds,
   })
-
-  // If OTHER user found, return the viewedUserId (the SELF user's ID they're viewing)
-  if (dbUser && dbUser.userType === 'OTHER' && dbUser.viewedUserId) {
-    console.log('[Periods] getDbUserId - Found OTHER user, using viewedUserId:', dbUser.viewedUserId)
-    return dbUser.viewedUserId
-  }
-
-  // If no OTHER user found, check for SELF user
-  if (!dbUser) {
-    dbUser = await prisma.user.findFirst({
-      where: {
-        OR: [
-          { clerkId: req.user.clerkId },
-          { email: req.user.email },
-        ],
-      },
-    })
-  }
-
-  console.log('[Periods] getDbUserId - Found user:', dbUser ? { id: dbUser.id, email: dbUser.email, userType: dbUser.userType } : 'Not found')
-
-  if (!dbUser) {
-    console.log('[Periods] getDbUserId - Creating new user...')
-    const userName = req.user.firstName || req.user.lastName
-      ? `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim()
-      : null
-
-    try {
-      dbUser = await prisma.user.create({
-        data: {
-          email: req.user.email,
-          clerkId: req.user.clerkId,
-          name: userName,
-          userType: 'SELF',
-        },
-      })
-      console.log('[Periods] getDbUserId - User created:', { id: dbUser.id, email: dbUser.email })
-    } catch (createError) {
-      console.error('[Periods] getDbUserId - Error creating user:', createError)
-      throw createError
-    }
-  }
-
-  return dbUser.id
 }
 
 /**
@@ -178,7 +83,7 @@ async function getDbUserId(req) {
  */
 router.get('/', async (req, res) => {
   try {
-    const dbUserId = await getDbUserId(req)
+    const dbUserId = req.identity.subject.id
 
     const periods = await prisma.period.findMany({
       where: { userId: dbUserId },
@@ -187,14 +92,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      periods: periods.map(p => ({
-        id: p.id,
-        startDate: p.startDate.toISOString(),
-        endDate: p.endDate?.toISOString() || null,
-        flowLevel: p.flowLevel,
-        createdAt: p.createdAt.toISOString(),
-        updatedAt: p.updatedAt.toISOString(),
-      })),
+      periods: periods.map(formatPeriod),
     })
   } catch (error) {
     console.error('[Periods] Get error:', error)
@@ -204,59 +102,65 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /api/periods
- * Create a new period
+ * Create a new period. Answers 409 PERIOD_CONFLICT with the conflicting periods when it
+ * overlaps or nearly duplicates one; with { merge: true } they are combined instead.
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.LOG_PERIODS), validate(createSchema), async (req, res) => {
   try {
     console.log('[Periods] POST /api/periods - Request received')
     console.log('[Periods] Request body:', req.body)
     console.log('[Periods] User from auth:', req.user)
 
-    const { startDate, endDate, flowLevel } = req.body
-
-    if (!startDate) {
-      console.log('[Periods] Error: startDate is required')
-      return res.status(400).json({ error: 'startDate is required' })
-    }
+    const { startDate, endDate, flowLevel, merge } = req.validated.body
 
-    console.log('[Periods] Getting database user ID...')
-    const dbUserId = await getDbUserId(req)
+    const dbUserId = req.identity.subject.id
     console.log('[Periods] Database user ID:', dbUserId)
 
-    if (!dbUserId) {
-      console.error('[Periods] Error: Could not get database user ID')
-      return res.status(500).json({ error: 'Could not identify user in database' })
-    }
+    const userSettings = await prisma.userSettings.findUnique({
+      where: { userId: dbUserId },
+    })
 
-    // Get user settings to calculate endDate if not provided
-    let calculatedEndDate = endDate ? new Date(endDate) : null
+    // Use the settings to calculate endDate if not provided
+    let calculatedEndDate = endDate
     if (!calculatedEndDate) {
-      const userSettings = await prisma.userSettings.findUnique({
-        where: { userId: dbUserId },
-      })
-      const periodLength = userSettings?.periodDuration || userSettings?.averagePeriodLength || 5
-      calculatedEndDate = new Date(startDate)
-      calculatedEndDate.setDate(calculatedEndDate.getDate() + periodLength - 1)
-      calculatedEndDate.setHours(23, 59, 59, 999)
+      calculatedEndDate = estimateEndDate(startDate, userSettings)
       console.log('[Periods] Calculated endDate from settings:', {
-        periodLength,
-        startDate: new Date(startDate).toISOString(),
-        endDate: calculatedEndDate.toISOString(),
+        periodLength: getUsualPeriodLength(userSettings),
+        startDate: formatCalendarDate(startDate),
+        endDate: formatCalendarDate(calculatedEndDate),
       })
     }
 
+    const candidate = {
+      startDate,
+      endDate: calculatedEndDate,
+      endDateDerived: !endDate,
+      flowLevel: flowLevel || null,
+    }
+    const conflicts = await findConflictingPeriods(dbUserId, candidate, { settings: userSettings })
+    if (conflicts.length > 0) {
+      if (!merge) {
+        console.log('[Periods] Conflicts with existing periods:', conflicts.map(conflict => conflict.id))
+        return sendPeriodConflict(res, conflicts)
+      }
+      const result = await mergePeriods(candidate, conflicts, userSettings)
+      console.log('[Periods] Merged into period:', result.period.id, 'removed:', result.mergedIds)
+      return sendMerged(res, result)
+    }
+
     console.log('[Periods] Creating period with data:', {
       userId: dbUserId,
-      startDate: new Date(startDate).toISOString(),
-      endDate: calculatedEndDate.toISOString(),
+      startDate: formatCalendarDate(startDate),
+      endDate: formatCalendarDate(calculatedEndDate),
       flowLevel: flowLevel || null,
     })
 
     const period = await prisma.period.create({
       data: {
         userId: dbUserId,
-        startDate: new Date(startDate),
+        startDate,
         endDate: calculatedEndDate,
+        endDateDerived: !endDate,
         flowLevel: flowLevel || null,
       },
     })
@@ -264,8 +168,8 @@ router.post('/', async (req, res) => {
     console.log('[Periods] Period created successfully:', {
       id: period.id,
       userId: period.userId,
-      startDate: period.startDate.toISOString(),
-      endDate: period.endDate?.toISOString() || null,
+      startDate: formatCalendarDate(period.startDate),
+      endDate: formatCalendarDate(period.endDate),
     })
 
     // Verify the period was actually saved
@@ -276,14 +180,7 @@ router.post('/', async (req, res) => {
 
     res.json({
       success: true,
-      period: {
-        id: period.id,
-        startDate: period.startDate.toISOString(),
-        endDate: period.endDate?.toISOString() || null,
-        flowLevel: period.flowLevel,
-        createdAt: period.createdAt.toISOString(),
-        updatedAt: period.updatedAt.toISOString(),
-      },
+      period: formatPeriod(period),
     })
   } catch (error) {
     console.error('[Periods] Create error:', error)
@@ -303,14 +200,14 @@ router.post('/', async (req, res) => {
 
 /**
  * PATCH /api/periods/:id
- * Update a period
+ * Update a period. Conflicts are handled as in POST; a merge keeps this period's id.
  */
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', requirePermission(PERMISSIONS.LOG_PERIODS), validate(updateSchema), async (req, res) => {
   try {
     const { id } = req.params
-    const { startDate, endDate, flowLevel } = req.body
+    const { startDate, endDate, flowLevel, merge } = req.validated.body
 
-    const dbUserId = await getDbUserId(req)
+    const dbUserId = req.identity.subject.id
 
     // Verify period belongs to user
     const existingPeriod = await prisma.period.findFirst({
@@ -324,10 +221,52 @@ router.patch('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Period not found' })
     }
 
+    const settings = req.identity.subject.settings
     const updateData = {}
-    if (startDate !== undefined) updateData.startDate = new Date(startDate)
-    if (endDate !== undefined) updateData.endDate = endDate ? new Date(endDate) : null
+    if (startDate !== undefined) updateData.startDate = startDate
     if (flowLevel !== undefined) updateData.flowLevel = flowLevel
+    // null hands the end back to the logged flow days
+    if (endDate !== undefined) {
+      updateData.endDate = endDate
+      updateData.endDateDerived = endDate === null
+    }
+
+    const candidate = { ...existingPeriod, ...updateData }
+    if (candidate.endDateDerived) {
+      candidate.endDate = await getDerivedEndDate(prisma, candidate, settings)
+      updateData.endDate = candidate.endDate
+    }
+
+    // Only one side may have changed, so check the order against the stored period
+    if (!candidate.endDateDerived && candidate.endDate < candidate.startDate) {
+      return sendValidationError(res, [{
+        field: endDate ? 'endDate' : 'startDate',
+        message: endDate ? 'cannot be before startDate' : 'cannot be after the period\'s endDate',
+      }])
+    }
+
+    const daysOutside = await prisma.periodDay.count({
+      where: {
+        periodId: id,
+        OR: [
+          { date: { lt: candidate.startDate } },
+          ...(candidate.endDateDerived ? [] : [{ date: { gt: candidate.endDate } }]),
+        ],
+      },
+    })
+    if (daysOutside > 0) {
+      return sendValidationError(res, [{
+        field: startDate !== undefined ? 'startDate' : 'endDate',
+        message: `would leave ${daysOutside} logged day(s) outside the period; delete them first`,
+      }])
+    }
+
+    const conflicts = await findConflictingPeriods(dbUserId, candidate, { settings, excludeId: id })
+    if (conflicts.length > 0) {
+      return merge
+        ? sendMerged(res, await mergePeriods(candidate, conflicts, settings))
+        : sendPeriodConflict(res, conflicts)
+    }
 
     const period = await prisma.period.update({
       where: { id },
@@ -336,14 +275,7 @@ router.patch('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      period: {
-        id: period.id,
-        startDate: period.startDate.toISOString(),
-        endDate: period.endDate?.toISOString() || null,
-        flowLevel: period.flowLevel,
-        createdAt: period.createdAt.toISOString(),
-        updatedAt: period.updatedAt.toISOString(),
-      },
+      period: formatPeriod(period),
     })
   } catch (error) {
     console.error('[Periods] Update error:', error)
@@ -351,14 +283,133 @@ router.patch('/:id', async (req, res) => {
   }
 })
 
+/**
+ * GET /api/periods/:id/days
+ * Logged days of a period, oldest first
+ */
+router.get('/:id/days', async (req, res) => {
+  try {
+    const period = await findOwnPeriod(req, req.params.id)
+    if (!period) {
+      return res.status(404).json({ error: 'Period not found' })
+    }
+
+    const days = await prisma.periodDay.findMany({
+      where: { periodId: period.id },
+      orderBy: { date: 'asc' },
+    })
+
+    res.json({
+      success: true,
+      period: formatPeriod(period),
+      days: days.map(formatPeriodDay),
+    })
+  } catch (error) {
+    console.error('[Periods] Get days error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * PUT /api/periods/:id/days/:date
+ * Log or replace one day: { flowLevel, spotting, clots, color }. The day must fall within
+ * the period (up to the longest period length while its end is derived). Answers with the
+ * day and the period, whose derived end may have moved.
+ */
+router.put('/:id/days/:date', requirePermission(PERMISSIONS.LOG_PERIODS), validate(daySchema), async (req, res) => {
+  try {
+    const { date } = req.validated.params
+    const { flowLevel, spotting, clots, color } = req.validated.body
+
+    const period = await findOwnPeriod(req, req.params.id)
+    if (!period) {
+      return res.status(404).json({ error: 'Period not found' })
+    }
+
+    const lastDate = getLastLoggableDate(period)
+    if (date < period.startDate || date > lastDate) {
+      return sendValidationError(res, [{
+        field: 'date',
+        message: `must be between ${formatCalendarDate(period.startDate)} and ${formatCalendarDate(lastDate)}`,
+      }])
+    }
+
+    // A later flow day pushes a derived end out, which must not run into the next period
+    const settings = req.identity.subject.settings
+    if (period.endDateDerived && flowLevel && date > period.endDate) {
+      const conflicts = await findConflictingPeriods(period.userId, { ...period, endDate: date }, {
+        settings,
+        excludeId: period.id,
+      })
+      if (conflicts.length > 0) {
+        return sendPeriodConflict(res, conflicts)
+      }
+    }
+
+    const data = { flowLevel: flowLevel ?? null, spotting, clots: clots ?? null, color: color ?? null }
+    const result = await prisma.$transaction(async (tx) => {
+      const day = await tx.periodDay.upsert({
+        where: { periodId_date: { periodId: period.id, date } },
+        update: data,
+        create: { periodId: period.id, date, ...data },
+      })
+      return { day, period: await refreshDerivedEndDate(tx, period, settings) }
+    })
+
+    res.json({
+      success: true,
+      day: formatPeriodDay(result.day),
+      period: formatPeriod(result.period),
+    })
+  } catch (error) {
+    console.error('[Periods] Log day error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * DELETE /api/periods/:id/days/:date
+ * Remove one logged day
+ */
+router.delete('/:id/days/:date', requirePermission(PERMISSIONS.LOG_PERIODS), validate({ params: dayParams }), async (req, res) => {
+  try {
+    const period = await findOwnPeriod(req, req.params.id)
+    if (!period) {
+      return res.status(404).json({ error: 'Period not found' })
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.periodDay.deleteMany({
+        where: { periodId: period.id, date: req.validated.params.date },
+      })
+      return count > 0
+        ? { period: await refreshDerivedEndDate(tx, period, req.identity.subject.settings) }
+        : null
+    })
+
+    if (!result) {
+      return res.status(404).json({ error: 'Period day not found' })
+    }
+
+    res.json({
+      success: true,
+      message: 'Period day deleted successfully',
+      period: formatPeriod(result.period),
+    })
+  } catch (error) {
+    console.error('[Periods] Delete day error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
 /**
  * DELETE /api/periods/:id
  * Delete a period
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.LOG_PERIODS), async (req, res) => {
   try {
     const { id } = req.params
-    const dbUserId = await getDbUserId(req)
+    const dbUserId = req.identity.subject.id
 
     // Verify period belongs to user
     const existingPeriod = await prisma.period.findFirst({
@@ -1,130 +1,100 @@
 import express from 'express'
-import { clerk } from '../lib/clerk.js'
 import prisma from '../lib/prisma.js'
-import jwt from 'jsonwebtoken'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { requireIdentity } from '../lib/identity.js'
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js'
+import { dateOrder, dateRangeQuery, fields, uniqueItems, validate } from '../lib/validation.js'
+import { SEVERITY_RANGE, SYMPTOM_TYPES } from '../lib/trackingOptions.js'
+import { calendarRangeFilter, formatCalendarDate } from '../utils/cycleInfo.js'
 
 const router = express.Router()
 
-/**
- * Middleware to verify Clerk JWT token (same as periods.js)
- */
-async function verifyClerkAuth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization
+const symptomType = fields.oneOf(SYMPTOM_TYPES, { required: true, normalize: true })
+const severity = fields.integer({ min: SEVERITY_RANGE.min, max: SEVERITY_RANGE.max, default: SEVERITY_RANGE.default })
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' })
-    }
-
-    const token = authHeader.substring(7)
+const listSchema = {
+  query: dateRangeQuery,
+  checks: [dateOrder('query')],
+}
 
-    if (!token) {
-      return res.status(401).json({ error: 'Missing token' })
-    }
+const createSchema = {
+  body: {
+    date: fields.calendarDate({ required: true }),
+    type: symptomType,
+    severity,
+  },
+}
 
-    try {
-      let decoded = jwt.decode(token, { complete: true })
-      let userId = null
-      
-      if (decoded && decoded.payload && decoded.payload.sub) {
-        userId = decoded.payload.sub
-      } else {
-        decoded = jwt.decode(token)
-        if (decoded && decoded.sub) {
-          userId = decoded.sub
-        }
-      }
-      
-      if (userId) {
-        const clerkUser = await clerk.users.getUser(userId)
-        req.user = {
-          id: clerkUser.id,
-          email: clerkUser.emailAddresses[0]?.emailAddress,
-          clerkId: clerkUser.id,
-        }
-        return next()
-      }
-    } catch (tokenError) {
-      // Fallback
-    }
+const updateSchema = {
+  body: {
+    date: fields.calendarDate(),
+    type: fields.oneOf(SYMPTOM_TYPES, { normalize: true }),
+    severity: fields.integer({ min: SEVERITY_RANGE.min, max: SEVERITY_RANGE.max }),
+  },
+}
 
-    const { clerkId, email } = { ...req.body, ...req.query }
-
-    if (clerkId) {
-      try {
-        const clerkUser = await clerk.users.getUser(clerkId)
-        req.user = {
-          id: clerkUser.id,
-          email: clerkUser.emailAddresses[0]?.emailAddress,
-          clerkId: clerkUser.id,
-        }
-        return next()
-      } catch (error) {
-        // Continue
-      }
-    }
+const bulkCreateSchema = {
+  body: {
+    date: fields.calendarDate({ required: true }),
+    symptoms: fields.array(fields.object({ type: symptomType, severity }), {
+      minLength: 1,
+      maxLength: SYMPTOM_TYPES.length,
+    }),
+  },
+  checks: [uniqueItems('body', 'symptoms', 'type')],
+}
 
-    return res.status(401).json({ error: 'Authentication failed' })
-  } catch (error) {
-    return res.status(401).json({ error: 'Authentication failed', details: error.message })
-  }
+const bulkDeleteSchema = {
+  query: {
+    date: fields.calendarDate({ required: true }),
+  },
 }
 
 router.use(verifyClerkAuth)
+router.use(requireIdentity())
 
-async function getDbUserId(req) {
-  // IMPORTANT: Check for OTHER users first (viewers take precedence)
-  let dbUser = await prisma.user.findFirst({
-    where: {
-      clerkId: req.user.clerkId,
-      userType: 'OTHER',
-    },
-  })
-
-  // If OTHER user found, return the viewedUserId (the SELF user's ID they're viewing)
-  if (dbUser && dbUser.userType === 'OTHER' && dbUser.viewedUserId) {
-    return dbUser.viewedUserId
-  }
-
-  // If no OTHER user found, check for SELF user
-  if (!dbUser) {
-    dbUser = await prisma.user.findFirst({
-      where: {
-        OR: [
-          { clerkId: req.user.clerkId },
-          { email: req.user.email },
-        ],
-      },
-    })
+function formatSymptom(symptom) {
+  return {
+    id: symptom.id,
+    date: formatCalendarDate(symptom.date),
+    type: symptom.type,
+    severity: symptom.severity,
+    createdAt: symptom.createdAt.toISOString(),
+    updatedAt: symptom.updatedAt.toISOString(),
   }
+}
 
-  if (!dbUser) {
-    dbUser = await prisma.user.create({
-      data: {
-        email: req.user.email,
-        clerkId: req.user.clerkId,
-        userType: 'SELF',
-      },
-    })
-  }
+// A day holds one entry per symptom type; logging it again updates the severity
+function upsertSymptom(db, userId, { date, type, severity }) {
+  return db.symptom.upsert({
+    where: { userId_date_type: { userId, date, type } },
+    update: { severity },
+    create: { userId, date, type, severity },
+  })
+}
 
-  return dbUser.id
+// Two requests logging the same type for the same day at once: the unique index rejects the
+// second one (P2002) instead of letting it add a duplicate
+function sendDuplicateEntry(res) {
+  return res.status(409).json({
+    error: 'DUPLICATE_ENTRY',
+    message: 'This symptom was logged for that day by another request at the same time. Try again.',
+  })
 }
 
 /**
  * GET /api/symptoms
  * Get symptoms for a date range or all symptoms
  */
-router.get('/', async (req, res) => {
+router.get('/', validate(listSchema), async (req, res) => {
   try {
-    const { startDate, endDate } = req.query
-    const dbUserId = await getDbUserId(req)
+    const { startDate, endDate } = req.validated.query
+    const dbUserId = req.identity.subject.id
 
     const where = { userId: dbUserId }
-    if (startDate || endDate) {
-      where.date = {}
-      if (startDate) where.date.gte = new Date(startDate)
-      if (endDate) where.date.lte = new Date(endDate)
+    const dateFilter = calendarRangeFilter(startDate, endDate)
+    if (dateFilter) {
+      where.date = dateFilter
     }
 
     const symptoms = await prisma.symptom.findMany({
@@ -134,13 +104,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      symptoms: symptoms.map(s => ({
-        id: s.id,
-        date: s.date.toISOString(),
-        type: s.type,
-        severity: s.severity,
-        createdAt: s.createdAt.toISOString(),
-      })),
+      symptoms: symptoms.map(formatSymptom),
     })
   } catch (error) {
     console.error('[Symptoms] Get error:', error)
@@ -150,39 +114,122 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /api/symptoms
- * Create a new symptom
+ * Log a symptom; a symptom of the same type already logged that day gets the new severity
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.LOG_SYMPTOMS), validate(createSchema), async (req, res) => {
   try {
-    const { date, type, severity } = req.body
+    const symptom = await upsertSymptom(prisma, req.identity.subject.id, req.validated.body)
 
-    if (!date || !type) {
-      return res.status(400).json({ error: 'date and type are required' })
+    res.json({
+      success: true,
+      symptom: formatSymptom(symptom),
+    })
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return sendDuplicateEntry(res)
     }
+    console.error('[Symptoms] Create error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * POST /api/symptoms/bulk
+ * Log several symptoms for one day: { date, symptoms: [{ type, severity }] }.
+ * Symptoms already logged that day are updated; others on the day are left alone.
+ */
+router.post('/bulk', requirePermission(PERMISSIONS.LOG_SYMPTOMS), validate(bulkCreateSchema), async (req, res) => {
+  try {
+    const { date, symptoms } = req.validated.body
+    const dbUserId = req.identity.subject.id
 
-    const dbUserId = await getDbUserId(req)
+    const saved = await prisma.$transaction(
+      symptoms.map(({ type, severity }) => upsertSymptom(prisma, dbUserId, { date, type, severity }))
+    )
 
-    const symptom = await prisma.symptom.create({
-      data: {
+    res.json({
+      success: true,
+      symptoms: saved.map(formatSymptom),
+    })
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return sendDuplicateEntry(res)
+    }
+    console.error('[Symptoms] Bulk create error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * DELETE /api/symptoms?date=YYYY-MM-DD
+ * Delete every symptom logged on one day
+ */
+router.delete('/', requirePermission(PERMISSIONS.LOG_SYMPTOMS), validate(bulkDeleteSchema), async (req, res) => {
+  try {
+    const { count } = await prisma.symptom.deleteMany({
+      where: { userId: req.identity.subject.id, date: req.validated.query.date },
+    })
+
+    res.json({ success: true, deleted: count })
+  } catch (error) {
+    console.error('[Symptoms] Bulk delete error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * PATCH /api/symptoms/:id
+ * Update a symptom's date, type or severity
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.LOG_SYMPTOMS), validate(updateSchema), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { date, type, severity } = req.validated.body
+    const dbUserId = req.identity.subject.id
+
+    const existing = await prisma.symptom.findFirst({
+      where: { id, userId: dbUserId },
+    })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Symptom not found' })
+    }
+
+    const duplicate = (date || type) && await prisma.symptom.findFirst({
+      where: {
+        id: { not: id },
         userId: dbUserId,
-        date: new Date(date),
-        type,
-        severity: severity || 3,
+        date: date ?? existing.date,
+        type: type ?? existing.type,
+      },
+    })
+
+    if (duplicate) {
+      return res.status(409).json({
+        error: 'DUPLICATE_ENTRY',
+        message: 'This symptom is already logged for that day. Edit that entry instead.',
+        symptom: formatSymptom(duplicate),
+      })
+    }
+
+    const symptom = await prisma.symptom.update({
+      where: { id },
+      data: {
+        ...(date && { date }),
+        ...(type && { type }),
+        ...(severity !== undefined && { severity }),
       },
     })
 
     res.json({
       success: true,
-      symptom: {
-        id: symptom.id,
-        date: symptom.date.toISOString(),
-        type: symptom.type,
-        severity: symptom.severity,
-        createdAt: symptom.createdAt.toISOString(),
-      },
+      symptom: formatSymptom(symptom),
     })
   } catch (error) {
-    console.error('[Symptoms] Create error:', error)
+    if (error.code === 'P2002') {
+      return sendDuplicateEntry(res)
+    }
+    console.error('[Symptoms] Update error:', error)
     res.status(500).json({ error: 'Internal server error', details: error.message })
   }
 })
@@ -191,10 +238,10 @@ router.post('/', async (req, res) => {
  * DELETE /api/symptoms/:id
  * Delete a symptom
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.LOG_SYMPTOMS), async (req, res) => {
   try {
     const { id } = req.params
-    const dbUserId = await getDbUserId(req)
+    const dbUserId = req.identity.subject.id
 
     const existing = await prisma.symptom.findFirst({
       where: { id, userId: dbUserId },
@@ -214,4 +261,3 @@ router.delete('/:id', async (req, res) => {
 })
 
 export default router
-
@@ -0,0 +1,300 @@
+import express from 'express'
+import prisma from '../lib/prisma.js'
+import { verifyClerkAuth } from '../lib/clerkAuth.js'
+import { isViewerAccessExpired, requireIdentity } from '../lib/identity.js'
+import {
+  GRANTABLE_PERMISSIONS,
+  PERMISSIONS,
+  getPermissions,
+  requirePermission,
+} from '../lib/permissions.js'
+import { fields, validate } from '../lib/validation.js'
+import {
+  DEFAULT_INVITE_HOURS,
+  MAX_INVITE_HOURS,
+  createInvite,
+  formatInvite,
+} from '../lib/viewerInvites.js'
+
+const router = express.Router()
+
+const futureDate = field => ({ body }) => (body[field] && body[field] <= new Date()
+  ? { field, message: 'must be in the future' }
+  : null)
+
+const permissionsSchema = {
+  body: {
+    permissions: fields.array(fields.oneOf(GRANTABLE_PERMISSIONS), { required: true }),
+  },
+}
+
+const viewerSchema = {
+  body: {
+    label: fields.string({ maxLength: 100, nullable: true }),
+    accessExpiresAt: fields.timestamp({ nullable: true }),
+  },
+  checks: [futureDate('accessExpiresAt')],
+}
+
+const inviteSchema = {
+  body: {
+    permissions: fields.array(fields.oneOf(GRANTABLE_PERMISSIONS), { default: [] }),
+    label: fields.string({ maxLength: 100, nullable: true }),
+    accessExpiresAt: fields.timestamp({ nullable: true }),
+    expiresInHours: fields.integer({ min: 1, max: MAX_INVITE_HOURS, default: DEFAULT_INVITE_HOURS }),
+  },
+  checks: [futureDate('accessExpiresAt')],
+}
+
+// Only the SELF owner manages who can see their data
+router.use(verifyClerkAuth)
+router.use(requireIdentity())
+router.use(requirePermission(PERMISSIONS.MANAGE_ACCOUNT))
+
+function formatViewer(viewer) {
+  return {
+    id: viewer.id,
+    email: viewer.email,
+    name: viewer.name,
+    label: viewer.viewerLabel,
+    grants: viewer.viewerGrants,
+    permissions: getPermissions('OTHER', viewer.viewerGrants),
+    accessExpiresAt: viewer.viewerAccessExpiresAt,
+    accessExpired: isViewerAccessExpired(viewer),
+    lastAccessAt: viewer.viewerLastAccessAt,
+    createdAt: viewer.createdAt,
+    updatedAt: viewer.updatedAt,
+  }
+}
+
+async function findOwnViewer(req, viewerId) {
+  return prisma.user.findFirst({
+    where: {
+      id: viewerId,
+      userType: 'OTHER',
+      viewedUserId: req.identity.subject.id,
+    },
+  })
+}
+
+/**
+ * GET /api/viewers
+ * List OTHER users viewing the authenticated SELF user, with their permissions,
+ * access expiry and last access
+ */
+router.get('/', async (req, res) => {
+  try {
+    const viewers = await prisma.user.findMany({
+      where: {
+        userType: 'OTHER',
+        viewedUserId: req.identity.subject.id,
+      },
+      orderBy: { createdAt: 'desc' },
+    })
+
+    res.json({
+      success: true,
+      grantablePermissions: GRANTABLE_PERMISSIONS,
+      viewers: viewers.map(formatViewer),
+    })
+  } catch (error) {
+    console.error('[Viewers] List error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * GET /api/viewers/invites
+ * Invites created by the SELF user, newest first, with their status
+ */
+router.get('/invites', async (req, res) => {
+  try {
+    const invites = await prisma.viewerInvite.findMany({
+      where: { userId: req.identity.subject.id },
+      orderBy: { createdAt: 'desc' },
+    })
+
+    res.json({
+      success: true,
+      invites: invites.map(formatInvite),
+    })
+  } catch (error) {
+    console.error('[Viewers] List invites error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * POST /api/viewers/invites
+ * Create a single-use invite to share: { permissions?, label?, accessExpiresAt?, expiresInHours? }.
+ * The viewer who redeems it gets these permissions, label and access expiry.
+ */
+router.post('/invites', validate(inviteSchema), async (req, res) => {
+  try {
+    const { permissions, label, accessExpiresAt, expiresInHours } = req.validated.body
+
+    const invite = await createInvite(req.identity.subject, {
+      grants: permissions,
+      label,
+      accessExpiresAt,
+      expiresInHours,
+    })
+
+    console.log('[Viewers] Invite created:', { userId: req.identity.subject.id, inviteId: invite.id })
+
+    res.status(201).json({
+      success: true,
+      invite: formatInvite(invite),
+    })
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.code, message: error.message })
+    }
+    console.error('[Viewers] Create invite error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * DELETE /api/viewers/invites/:id
+ * Cancel an invite. A viewer who already redeemed it keeps their access.
+ */
+router.delete('/invites/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.viewerInvite.deleteMany({
+      where: { id: req.params.id, userId: req.identity.subject.id },
+    })
+    if (count === 0) {
+      return res.status(404).json({ error: 'Invite not found' })
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite cancelled',
+    })
+  } catch (error) {
+    console.error('[Viewers] Cancel invite error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * DELETE /api/viewers
+ * Revoke every viewer's access and cancel invites not yet redeemed
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const userId = req.identity.subject.id
+    const [viewers, invites] = await prisma.$transaction([
+      prisma.user.deleteMany({
+        where: { userType: 'OTHER', viewedUserId: userId },
+      }),
+      prisma.viewerInvite.deleteMany({
+        where: { userId, redeemedAt: null },
+      }),
+    ])
+
+    console.log('[Viewers] Revoked all viewers:', { userId, viewers: viewers.count, invites: invites.count })
+
+    res.json({
+      success: true,
+      message: 'All viewers revoked',
+      revoked: viewers.count,
+      invitesCancelled: invites.count,
+    })
+  } catch (error) {
+    console.error('[Viewers] Revoke all error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * PATCH /api/viewers/:id
+ * Rename a viewer or set when their access ends: { label?, accessExpiresAt? }.
+ * null clears either; a viewer whose access expired gets it back with a later date.
+ */
+router.patch('/:id', validate(viewerSchema), async (req, res) => {
+  try {
+    const { label, accessExpiresAt } = req.validated.body
+
+    const viewer = await findOwnViewer(req, req.params.id)
+    if (!viewer) {
+      return res.status(404).json({ error: 'Viewer not found' })
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: viewer.id },
+      data: {
+        ...(label !== undefined && { viewerLabel: label }),
+        ...(accessExpiresAt !== undefined && { viewerAccessExpiresAt: accessExpiresAt }),
+      },
+    })
+
+    res.json({
+      success: true,
+      viewer: formatViewer(updated),
+    })
+  } catch (error) {
+    console.error('[Viewers] Update error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * DELETE /api/viewers/:id
+ * Revoke one viewer's access. Their account and devices are removed; viewing again
+ * needs a new invite from the SELF user.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const viewer = await findOwnViewer(req, req.params.id)
+    if (!viewer) {
+      return res.status(404).json({ error: 'Viewer not found' })
+    }
+
+    await prisma.user.delete({
+      where: { id: viewer.id },
+    })
+
+    console.log('[Viewers] Revoked viewer:', { userId: req.identity.subject.id, viewerId: viewer.id })
+
+    res.json({
+      success: true,
+      message: 'Viewer revoked',
+    })
+  } catch (error) {
+    console.error('[Viewers] Revoke error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+/**
+ * PUT /api/viewers/:id/permissions
+ * Replace the grants of one viewer, e.g. { "permissions": ["symptoms:write"] }.
+ * An empty list makes the viewer read-only again.
+ */
+router.put('/:id/permissions', validate(permissionsSchema), async (req, res) => {
+  try {
+    const grants = [...new Set(req.validated.body.permissions)]
+
+    const viewer = await findOwnViewer(req, req.params.id)
+    if (!viewer) {
+      return res.status(404).json({ error: 'Viewer not found' })
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: viewer.id },
+      data: { viewerGrants: grants },
+    })
+
+    res.json({
+      success: true,
+      viewer: formatViewer(updated),
+    })
+  } catch (error) {
+    console.error('[Viewers] Update permissions error:', error)
+    res.status(500).json({ error: 'Internal server error', details: error.message })
+  }
+})
+
+export default router
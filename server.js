@@ -7,10 +7,16 @@ import loginForOtherRoutes from './routes/login-for-other.js'
 import periodsRoutes from './routes/periods.js'
 import symptomsRoutes from './routes/symptoms.js'
 import moodsRoutes from './routes/moods.js'
+import notesRoutes from './routes/notes.js'
+import daysRoutes from './routes/days.js'
+import exportRoutes from './routes/export.js'
+import importRoutes, { IMPORT_BODY_LIMIT } from './routes/import.js'
 import chatRoutes from './routes/chat.js'
 import reminderRoutes from './routes/reminders.js'
 import predictionsRoutes from './routes/predictions.js'
 import notificationRoutes from './routes/notifications.js'
+import viewerRoutes from './routes/viewers.js'
+import inviteRoutes from './routes/invites.js'
 
 // Verify chat route is loaded
 if (!chatRoutes) {
@@ -27,6 +33,8 @@ const PORT = process.env.PORT || 3001
 
 // Middleware
 app.use(cors())
+// Registered first so the smaller default limit below does not apply to imports
+app.use('/api/import', express.json({ limit: IMPORT_BODY_LIMIT }))
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
 
@@ -54,7 +62,11 @@ app.get('/', (req, res) => {
       },
       user: {
         get: 'GET /api/user',
+        create: 'POST /api/user',
         update: 'PATCH /api/user',
+        delete: 'DELETE /api/user',
+        cancelDeletion: 'POST /api/user/cancel-deletion',
+        erasureReceipt: 'GET /api/user/erasure-receipts/:id',
       },
       loginForOther: {
         verifyCredentials: 'POST /api/login-for-other/verify-credentials',
@@ -63,17 +75,52 @@ app.get('/', (req, res) => {
         verifyOtp: 'POST /api/login-for-other/verify-otp',
         completeLogin: 'POST /api/login-for-other/complete-login',
       },
+      notes: {
+        list: 'GET /api/notes?startDate=&endDate=&q=&limit=&offset=',
+        get: 'GET /api/notes/:id',
+        create: 'POST /api/notes',
+        update: 'PATCH /api/notes/:id',
+        delete: 'DELETE /api/notes/:id',
+      },
+      days: {
+        list: 'GET /api/days?from=&to=',
+        get: 'GET /api/days/:date',
+        save: 'PUT /api/days/:date',
+      },
+      export: {
+        export: 'GET /api/export?format=json|csv|pdf&cycles=',
+        import: 'POST /api/import',
+      },
       chat: {
         chat: 'POST /api/chat',
       },
       reminders: {
         generate: 'POST /api/reminders/generate',
         status: 'GET /api/reminders/status',
-        test: 'GET /api/reminders/test?email=your-email@example.com',
       },
       notifications: {
         register: 'POST /api/notifications/register-token',
         unregister: 'DELETE /api/notifications/register-token',
+        getPreferences: 'GET /api/notifications/preferences',
+        updatePreferences: 'PATCH /api/notifications/preferences',
+        inbox: 'GET /api/notifications/inbox',
+        markRead: 'PATCH /api/notifications/inbox/:source/:id',
+        markAllRead: 'POST /api/notifications/inbox/read-all',
+        deleteInboxItem: 'DELETE /api/notifications/inbox/:source/:id',
+      },
+      viewers: {
+        list: 'GET /api/viewers',
+        update: 'PATCH /api/viewers/:id',
+        permissions: 'PUT /api/viewers/:id/permissions',
+        revoke: 'DELETE /api/viewers/:id',
+        revokeAll: 'DELETE /api/viewers',
+        listInvites: 'GET /api/viewers/invites',
+        createInvite: 'POST /api/viewers/invites',
+        cancelInvite: 'DELETE /api/viewers/invites/:id',
+      },
+      invites: {
+        preview: 'GET /api/invites/:code',
+        redeem: 'POST /api/invites/redeem',
       },
     },
   })
@@ -91,10 +138,16 @@ app.use('/api/login-for-other', loginForOtherRoutes)
 app.use('/api/periods', periodsRoutes)
 app.use('/api/symptoms', symptomsRoutes)
 app.use('/api/moods', moodsRoutes)
+app.use('/api/notes', notesRoutes)
+app.use('/api/days', daysRoutes)
+app.use('/api/export', exportRoutes)
+app.use('/api/import', importRoutes)
 app.use('/api/chat', chatRoutes)
 app.use('/api/reminders', reminderRoutes)
 app.use('/api/notifications', notificationRoutes)
 app.use('/api/predictions', predictionsRoutes)
+app.use('/api/viewers', viewerRoutes)
+app.use('/api/invites', inviteRoutes)
 
 // Log that chat route is registered
 console.log('[Server] Chat route registered at /api/chat')
@@ -126,7 +179,9 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
     console.log(`   POST   /api/auth/logout`)
     console.log(`   GET    /api/auth/me`)
     console.log(`   GET    /api/user`)
+    console.log(`   POST   /api/user`)
     console.log(`   PATCH  /api/user`)
+    console.log(`   DELETE /api/user`)
     console.log(`   POST   /api/login-for-other/verify-credentials`)
     console.log(`   POST   /api/login-for-other/check-email`)
     console.log(`   POST   /api/login-for-other/send-otp`)
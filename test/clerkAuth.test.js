@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import jwt from 'jsonwebtoken'
+import { getBearerToken, verifyClerkAuth, verifyClerkToken } from '../lib/clerkAuth.js'
+
+// Local-key mode (CLERK_JWT_KEY): tokens are checked against this key pair without any network call
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+const publicPem = publicKey.export({ type: 'spki', format: 'pem' })
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+
+const nowSeconds = () => Math.floor(Date.now() / 1000)
+const sign = (claims = {}, key = privateKey) => jwt.sign(
+  { sub: 'user_123', email: 'sam@example.com', azp: 'https://app.example.com', exp: nowSeconds() + 300, ...claims },
+  key,
+  { algorithm: 'RS256' },
+)
+
+// Just enough of an Express request and response for the middleware
+const request = (authorization) => ({ headers: authorization ? { authorization } : {} })
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(body) {
+      this.body = body
+      return this
+    },
+  }
+}
+
+async function runMiddleware(authorization) {
+  const req = request(authorization)
+  const res = response()
+  let nextCalled = false
+  await verifyClerkAuth(req, res, () => {
+    nextCalled = true
+  })
+  return { req, res, nextCalled }
+}
+
+const savedEnv = {}
+beforeEach(() => {
+  for (const name of ['CLERK_JWT_KEY', 'CLERK_AUTHORIZED_PARTIES']) savedEnv[name] = process.env[name]
+  process.env.CLERK_JWT_KEY = publicPem
+  delete process.env.CLERK_AUTHORIZED_PARTIES
+})
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name]
+    else process.env[name] = value
+  }
+})
+
+test('accepts a token signed with the local key', async () => {
+  const claims = await verifyClerkToken(sign())
+  assert.equal(claims.sub, 'user_123')
+})
+
+test('reads a key stored on one line with literal \\n separators', async () => {
+  process.env.CLERK_JWT_KEY = publicPem.trim().replace(/\n/g, '\\n')
+  const claims = await verifyClerkToken(sign())
+  assert.equal(claims.sub, 'user_123')
+})
+
+test('rejects an expired token', async () => {
+  const token = sign({ exp: nowSeconds() - 60 })
+  await assert.rejects(verifyClerkToken(token), { name: 'TokenExpiredError' })
+})
+
+test('tolerates a few seconds of clock skew', async () => {
+  const token = sign({ exp: nowSeconds() - 2 })
+  const claims = await verifyClerkToken(token)
+  assert.equal(claims.sub, 'user_123')
+})
+
+test('rejects a token issued for another party', async () => {
+  process.env.CLERK_AUTHORIZED_PARTIES = 'https://app.example.com, http://localhost:8081'
+
+  await assert.rejects(
+    verifyClerkToken(sign({ azp: 'https://evil.example.com' })),
+    /unauthorized party: https:\/\/evil\.example\.com/,
+  )
+  const claims = await verifyClerkToken(sign({ azp: 'http://localhost:8081' }))
+  assert.equal(claims.azp, 'http://localhost:8081')
+})
+
+test('rejects tokens signed with another key or algorithm', async () => {
+  await assert.rejects(verifyClerkToken(sign({}, otherKey)), { name: 'JsonWebTokenError' })
+
+  // The public key must not double as an HMAC secret
+  const hmac = jwt.sign({ sub: 'user_123' }, publicPem, { algorithm: 'HS256' })
+  await assert.rejects(verifyClerkToken(hmac))
+})
+
+test('rejects malformed tokens and tokens without a subject', async () => {
+  await assert.rejects(verifyClerkToken('not-a-jwt'), /Malformed token/)
+  await assert.rejects(verifyClerkToken(sign({ sub: undefined })), /missing the sub claim/)
+})
+
+test('middleware answers 401 without a bearer header', async () => {
+  for (const authorization of [undefined, 'Basic dXNlcjpwYXNz', 'Bearer ']) {
+    const { res, nextCalled } = await runMiddleware(authorization)
+    assert.equal(res.statusCode, 401, String(authorization))
+    assert.deepEqual(res.body, { error: 'Missing or invalid authorization header' })
+    assert.equal(nextCalled, false)
+  }
+})
+
+test('middleware answers 401 for an expired token', async () => {
+  const token = sign({ exp: nowSeconds() - 60 })
+  const { res, nextCalled } = await runMiddleware(`Bearer ${token}`)
+  assert.equal(res.statusCode, 401)
+  assert.deepEqual(res.body, { error: 'Invalid or expired token' })
+  assert.equal(nextCalled, false)
+})
+
+test('middleware attaches the user from the token claims', async () => {
+  const { req, nextCalled } = await runMiddleware(`Bearer ${sign({ sid: 'sess_1', first_name: 'Sam' })}`)
+  assert.equal(nextCalled, true)
+  assert.deepEqual(req.user, {
+    id: 'user_123',
+    clerkId: 'user_123',
+    email: 'sam@example.com',
+    firstName: 'Sam',
+    lastName: null,
+  })
+  assert.equal(req.auth.sessionId, 'sess_1')
+})
+
+test('getBearerToken trims the token', () => {
+  assert.equal(getBearerToken(request('Bearer  abc ')), 'abc')
+  assert.equal(getBearerToken(request('bearer abc')), null)
+})
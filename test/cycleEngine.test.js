@@ -0,0 +1,168 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getCycleState } from '../utils/cycleEngine.js'
+import { fromLocalDayNumber, getLocalDayNumber, getLocalDayRange, getCalendarDayNumber } from '../utils/cycleInfo.js'
+
+const HOUR_MS = 60 * 60 * 1000
+const day = (value) => getCalendarDayNumber(value)
+// Periods as Prisma reads them: DATE columns come back as Dates at UTC midnight
+const period = (startDate, endDate = null) => ({
+  startDate: new Date(startDate),
+  endDate: endDate && new Date(endDate),
+})
+const settings = { averageCycleLength: 28, periodDuration: 5 }
+const stateOn = (periods, date, options = {}) =>
+  getCycleState(periods, settings, { date: new Date(`${date}T12:00:00Z`), ...options })
+
+test('phases of a 28-day cycle', () => {
+  const periods = [period('2026-03-01')]
+  const phases = {
+    '2026-03-01': 'Menstrual',
+    '2026-03-05': 'Menstrual',
+    '2026-03-06': 'Follicular',
+    '2026-03-12': 'Follicular',
+    '2026-03-13': 'Ovulation',
+    '2026-03-14': 'Ovulation',
+    '2026-03-15': 'Ovulation',
+    '2026-03-16': 'Luteal',
+    '2026-03-28': 'Luteal',
+  }
+  for (const [date, phase] of Object.entries(phases)) {
+    assert.equal(stateOn(periods, date).phase, phase, date)
+  }
+
+  const state = stateOn(periods, '2026-03-14')
+  assert.equal(state.cycleDay, 14)
+  assert.equal(state.ovulationDayNumber, day('2026-03-14'))
+  assert.equal(state.nextPeriodDayNumber, day('2026-03-29'))
+  assert.equal(state.phaseDescription, 'Day 14 of 28-day cycle (Ovulation Phase)')
+})
+
+test('a logged end date ends the menstrual phase', () => {
+  const periods = [period('2026-03-01', '2026-03-03')]
+  assert.equal(stateOn(periods, '2026-03-03').phase, 'Menstrual')
+  assert.equal(stateOn(periods, '2026-03-04').phase, 'Follicular')
+  assert.equal(stateOn(periods, '2026-03-03').phaseDescription, 'Day 3 of period')
+})
+
+test('no state without periods or before the first one', () => {
+  assert.equal(getCycleState([], settings), null)
+  assert.equal(getCycleState(null, settings), null)
+  assert.equal(stateOn([period('2026-03-01')], '2026-02-28'), null)
+})
+
+test('fertile window runs from five days before ovulation to the day after', () => {
+  const periods = [period('2026-03-01')]
+  assert.equal(stateOn(periods, '2026-03-08').isFertile, false)
+  assert.equal(stateOn(periods, '2026-03-09').isFertile, true)
+  assert.equal(stateOn(periods, '2026-03-15').isFertile, true)
+  assert.equal(stateOn(periods, '2026-03-16').isFertile, false)
+
+  const state = stateOn(periods, '2026-03-09')
+  assert.equal(state.fertileWindowStartDayNumber, day('2026-03-09'))
+  assert.equal(state.fertileWindowEndDayNumber, day('2026-03-15'))
+})
+
+test('fertile window never starts before the period', () => {
+  const state = getCycleState([period('2026-03-01')], { averageCycleLength: 16, periodDuration: 1 }, {
+    date: new Date('2026-03-01T12:00:00Z'),
+  })
+  assert.equal(state.ovulationDayNumber, day('2026-03-02'))
+  assert.equal(state.fertileWindowStartDayNumber, day('2026-03-01'))
+  assert.equal(state.isFertile, true)
+})
+
+test('late once the projected next period has passed', () => {
+  const periods = [period('2026-03-01')]
+
+  const due = stateOn(periods, '2026-03-28')
+  assert.equal(due.isLate, false)
+  assert.equal(due.daysUntilNextPeriod, 1)
+
+  const oneDay = stateOn(periods, '2026-03-29')
+  assert.equal(oneDay.isLate, true)
+  assert.equal(oneDay.daysLate, 1)
+  assert.equal(oneDay.cycleDay, 29)
+  assert.equal(oneDay.phaseDescription, 'Day 29 of 28-day cycle (period 1 day late)')
+
+  const threeDays = stateOn(periods, '2026-03-31')
+  assert.equal(threeDays.daysLate, 3)
+  assert.equal(threeDays.daysUntilNextPeriod, -2)
+  assert.match(threeDays.phaseDescription, /period 3 days late/)
+})
+
+test('irregular history uses each logged cycle length', () => {
+  // 35 days, then 24 days; logged out of order with a duplicate start
+  const periods = [
+    period('2026-03-01'),
+    period('2026-01-01'),
+    period('2026-02-05'),
+    period('2026-02-05'),
+  ]
+
+  const long = stateOn(periods, '2026-01-20')
+  assert.equal(long.cycleLength, 35)
+  assert.equal(long.nextPeriodIsLogged, true)
+  assert.equal(long.nextPeriodDayNumber, day('2026-02-05'))
+  assert.equal(long.ovulationDayNumber, day('2026-01-21'))
+
+  // A longer than average cycle that was logged is not late
+  const lastDay = stateOn(periods, '2026-02-04')
+  assert.equal(lastDay.cycleDay, 35)
+  assert.equal(lastDay.isLate, false)
+  assert.equal(lastDay.phase, 'Luteal')
+
+  const short = stateOn(periods, '2026-02-10')
+  assert.equal(short.cycleLength, 24)
+  assert.equal(short.ovulationDayNumber, day('2026-02-14'))
+  assert.equal(short.phaseDescription, 'Day 6 of 24-day cycle (Follicular Phase)')
+
+  // The latest period has no successor yet, so the average is projected
+  const current = stateOn(periods, '2026-03-10')
+  assert.equal(current.nextPeriodIsLogged, false)
+  assert.equal(current.cycleLength, 28)
+  assert.equal(current.periodStartDayNumber, day('2026-03-01'))
+})
+
+test('local day follows the timezone, DST included', () => {
+  const periods = [period('2026-03-01')]
+  // 23:30 on March 8 in New York (EDT), already March 9 in UTC
+  const date = new Date('2026-03-09T03:30:00Z')
+
+  const utc = getCycleState(periods, settings, { date })
+  assert.equal(utc.cycleDay, 9)
+
+  const newYork = getCycleState(periods, settings, { date, timezone: 'America/New_York' })
+  assert.equal(newYork.cycleDay, 8)
+  assert.equal(newYork.timezoneOffsetMinutes, -240)
+  assert.equal(newYork.periodStartDate.toISOString(), '2026-03-01T05:00:00.000Z')
+
+  const ist = getCycleState(periods, settings, { date: new Date('2026-03-08T19:00:00Z'), timezoneOffsetMinutes: 330 })
+  assert.equal(ist.cycleDay, 9)
+})
+
+test('local day numbers across the spring-forward switch', () => {
+  const zone = 'America/New_York'
+  assert.equal(getLocalDayNumber(new Date('2026-03-08T04:30:00Z'), zone), day('2026-03-07'))
+  assert.equal(getLocalDayNumber(new Date('2026-03-08T05:30:00Z'), zone), day('2026-03-08'))
+
+  assert.equal(fromLocalDayNumber(day('2026-03-08'), zone).toISOString(), '2026-03-08T05:00:00.000Z')
+  assert.equal(fromLocalDayNumber(day('2026-03-09'), zone).toISOString(), '2026-03-09T04:00:00.000Z')
+
+  const range = getLocalDayRange(new Date('2026-03-08T15:00:00Z'), zone)
+  assert.equal(range.lt - range.gte, 23 * HOUR_MS)
+})
+
+test('local day range across the fall-back switch', () => {
+  const zone = 'America/New_York'
+  const range = getLocalDayRange(new Date('2026-11-01T15:00:00Z'), zone)
+  assert.equal(range.gte.toISOString(), '2026-11-01T04:00:00.000Z')
+  assert.equal(range.lt.toISOString(), '2026-11-02T05:00:00.000Z')
+  assert.equal(range.lt - range.gte, 25 * HOUR_MS)
+})
+
+test('fixed offsets have no DST', () => {
+  const range = getLocalDayRange(new Date('2026-03-08T15:00:00Z'), 330)
+  assert.equal(range.gte.toISOString(), '2026-03-07T18:30:00.000Z')
+  assert.equal(range.lt - range.gte, 24 * HOUR_MS)
+})
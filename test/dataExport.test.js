@@ -0,0 +1,49 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toCsvFiles } from '../lib/dataExport.js'
+
+const exportData = (overrides = {}) => ({
+  periods: [],
+  symptoms: [],
+  moods: [],
+  notes: [],
+  settings: {},
+  ...overrides,
+})
+
+const note = (content) => ({
+  id: 'note_1',
+  date: '2026-03-01',
+  content,
+  createdAt: '2026-03-01T08:00:00.000Z',
+  updatedAt: '2026-03-01T08:00:00.000Z',
+})
+
+const dataRow = (csv) => csv.split('\r\n')[1]
+
+test('text that a spreadsheet would run as a formula is prefixed with a quote', () => {
+  const cases = [
+    ['=HYPERLINK("http://evil.example.com","x")', `"'=HYPERLINK(""http://evil.example.com"",""x"")"`],
+    ['+1 cramps', "'+1 cramps"],
+    ['-2 days late', "'-2 days late"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\t=1+1', "'\t=1+1"],
+    ['\r=1+1', `"'\r=1+1"`],
+  ]
+  for (const [content, expected] of cases) {
+    const csv = toCsvFiles(exportData({ notes: [note(content)] }))['notes.csv']
+    assert.equal(dataRow(csv), `note_1,2026-03-01,${expected},2026-03-01T08:00:00.000Z,2026-03-01T08:00:00.000Z`)
+  }
+})
+
+test('plain text and numbers are written as they are', () => {
+  const files = toCsvFiles(exportData({
+    notes: [note('Felt fine, a bit tired')],
+    settings: { timezoneOffset: -300, reminderDaysBefore: 2 },
+  }))
+  assert.equal(
+    dataRow(files['notes.csv']),
+    'note_1,2026-03-01,"Felt fine, a bit tired",2026-03-01T08:00:00.000Z,2026-03-01T08:00:00.000Z'
+  )
+  assert.equal(files['settings.csv'], 'setting,value\r\ntimezoneOffset,-300\r\nreminderDaysBefore,2\r\n')
+})
@@ -0,0 +1,111 @@
+import { after, before, beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { gunzipSync } from 'node:zlib'
+
+// A SELF user in New York, three days before the predicted period, with one viewer
+const user = {
+  id: 'user-1',
+  name: 'Sam',
+  settings: {
+    timezone: 'America/New_York',
+    reminderEnabled: true,
+    reminderDaysBefore: 3,
+    viewerNotificationsEnabled: true,
+    averageCycleLength: 28,
+    periodDuration: 5,
+  },
+  periods: ['2026-01-01', '2025-12-04'].map(day => ({ startDate: new Date(`${day}T00:00:00Z`), endDate: null })),
+  pushTokens: [{ expoPushToken: 'ExponentPushToken[self]', mode: 'SELF', timezoneOffsetMinutes: -300 }],
+  viewers: [],
+}
+const viewer = (timezoneOffsetMinutes) => ({
+  id: 'viewer-1',
+  settings: null,
+  pushTokens: [{ expoPushToken: 'ExponentPushToken[viewer]', mode: 'OTHER', timezoneOffsetMinutes }],
+})
+
+// lib/prisma.js reuses globalThis.prisma outside production; this stands in for the tables used
+const db = { users: [], logs: [] }
+globalThis.prisma = {
+  user: {
+    findMany: async () => db.users,
+  },
+  notificationLog: {
+    groupBy: async () => [],
+    count: async () => 0,
+    create: async ({ data }) => {
+      const log = { id: `log-${db.logs.length + 1}`, sentAt: new Date(), ...data }
+      db.logs.push(log)
+      return log
+    },
+  },
+  symptom: { count: async () => 0 },
+  mood: { count: async () => 0 },
+  $disconnect: async () => {},
+}
+
+// Local stand-in for the Expo push API, accepting every message
+const pushed = []
+const server = http.createServer((req, res) => {
+  const chunks = []
+  req.on('data', chunk => chunks.push(chunk))
+  req.on('end', () => {
+    let raw = Buffer.concat(chunks)
+    if (req.headers['content-encoding'] === 'gzip') {
+      raw = gunzipSync(raw)
+    }
+    const messages = JSON.parse(raw.toString())
+    pushed.push(...messages)
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ data: messages.map((message, index) => ({ status: 'ok', id: `ticket-${index}` })) }))
+  })
+})
+
+let runNotificationRules
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  // expo-server-sdk reads EXPO_BASE_URL when it is first loaded
+  process.env.EXPO_BASE_URL = `http://127.0.0.1:${server.address().port}`
+  delete process.env.REMINDER_WINDOW_START
+  delete process.env.REMINDER_WINDOW_END
+  ;({ runNotificationRules } = await import('../jobs/notificationRules.js'))
+})
+
+after(() => {
+  server.closeAllConnections()
+  server.close()
+})
+
+beforeEach(() => {
+  db.logs = []
+  pushed.length = 0
+})
+
+test('a run at 02:00 local time sends nothing and defers the due notifications', async () => {
+  db.users = [{ ...user, viewers: [viewer(-300)] }]
+
+  // 07:00 UTC is 02:00 in New York in January
+  const results = await runNotificationRules(new Date('2026-01-26T07:00:00Z'))
+
+  assert.equal(pushed.length, 0)
+  assert.equal(db.logs.length, 0)
+  assert.equal(results.sent, 0)
+  assert.equal(results.viewerSent, 0)
+  assert.equal(results.deferred, 2)
+})
+
+test('each recipient is checked against their own local time', async () => {
+  // 10:00 for the user in New York, 00:00 the next day for a viewer in Tokyo
+  db.users = [{ ...user, viewers: [viewer(540)] }]
+
+  const results = await runNotificationRules(new Date('2026-01-26T15:00:00Z'))
+
+  assert.deepEqual(pushed.map(message => message.to), ['ExponentPushToken[self]'])
+  assert.equal(pushed[0].title, 'Period expected in 3 days')
+  assert.equal(results.sent, 1)
+  assert.deepEqual(results.byCategory, { PERIOD_COUNTDOWN: 1 })
+  assert.equal(results.viewerSent, 0)
+  assert.equal(results.deferred, 1)
+})
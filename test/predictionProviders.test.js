@@ -0,0 +1,166 @@
+import { afterEach, beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { getAiPredictions, validatePredictions } from '../lib/predictionProviders.js'
+
+const validPredictions = {
+  next_periods: [{ start_date: '2026-03-26', expected_duration: 5, confidence: 0.8 }],
+  ovulation: { date: '2026-03-12', confidence: 0.6 },
+}
+
+// Four regular 28-day cycles, so the statistical predictor has something to go on
+const context = {
+  userId: 'user_1',
+  periods: ['2026-02-26', '2026-01-29', '2026-01-01', '2025-12-04'].map(day => ({
+    startDate: new Date(`${day}T00:00:00Z`),
+    endDate: null,
+    flowLevel: 'medium',
+  })),
+  symptoms: [],
+  moods: [],
+  settings: { averageCycleLength: 28, periodDuration: 5 },
+  count: 2,
+  date: new Date('2026-03-05T12:00:00Z'),
+}
+
+const ENV_NAMES = ['PREDICTION_PROVIDER', 'PREDICTION_TIMEOUT_MS', 'PREDICTION_MOCK_DELAY_MS', 'N8N_WEBHOOK_URL', 'GEMINI_API_KEY']
+const savedEnv = {}
+beforeEach(() => {
+  for (const name of ENV_NAMES) {
+    savedEnv[name] = process.env[name]
+    delete process.env[name]
+  }
+  process.env.PREDICTION_PROVIDER = 'mock'
+})
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name]
+    else process.env[name] = value
+  }
+})
+
+test('validatePredictions keeps only the known fields', () => {
+  const { value, errors } = validatePredictions({
+    ...validPredictions,
+    next_periods: [{ ...validPredictions.next_periods[0], note: 'extra' }],
+    reasoning: 'dropped',
+  })
+  assert.equal(errors, undefined)
+  assert.deepEqual(value, validPredictions)
+  assert.equal(validatePredictions({ ...validPredictions, ovulation: null }).value.ovulation, null)
+})
+
+test('validatePredictions rejects output that is not an object', () => {
+  for (const predictions of [undefined, null, 'soon', [validPredictions]]) {
+    assert.deepEqual(validatePredictions(predictions), { errors: ['predictions must be an object'] })
+  }
+})
+
+test('validatePredictions rejects a missing, empty or oversized next_periods', () => {
+  const period = validPredictions.next_periods[0]
+  assert.deepEqual(validatePredictions({}).errors, ['next_periods must be a non-empty array'])
+  assert.deepEqual(validatePredictions({ next_periods: [] }).errors, ['next_periods must be a non-empty array'])
+  assert.deepEqual(
+    validatePredictions({ next_periods: Array(7).fill(period) }).errors,
+    ['next_periods must have at most 6 entries']
+  )
+})
+
+test('validatePredictions rejects malformed period entries', () => {
+  const { errors } = validatePredictions({
+    next_periods: [
+      { start_date: '2026-02-30', expected_duration: 5, confidence: 0.8 },
+      { start_date: '26/03/2026', expected_duration: 0, confidence: 1.5 },
+      { start_date: '2026-04-23', expected_duration: 4.5, confidence: '0.8' },
+      null,
+    ],
+  })
+  assert.deepEqual(errors, [
+    'next_periods[0].start_date must be a YYYY-MM-DD date',
+    'next_periods[1].start_date must be a YYYY-MM-DD date',
+    'next_periods[1].expected_duration must be an integer between 1 and 15',
+    'next_periods[1].confidence must be a number between 0 and 1',
+    'next_periods[2].expected_duration must be an integer between 1 and 15',
+    'next_periods[2].confidence must be a number between 0 and 1',
+    'next_periods[3].start_date must be a YYYY-MM-DD date',
+    'next_periods[3].expected_duration must be an integer between 1 and 15',
+    'next_periods[3].confidence must be a number between 0 and 1',
+  ])
+})
+
+test('validatePredictions rejects a malformed ovulation', () => {
+  const { errors } = validatePredictions({
+    ...validPredictions,
+    ovulation: { date: 'tomorrow', confidence: -0.1 },
+  })
+  assert.deepEqual(errors, [
+    'ovulation.date must be a YYYY-MM-DD date',
+    'ovulation.confidence must be a number between 0 and 1',
+  ])
+})
+
+test('getAiPredictions returns the mock provider output as AI predictions', async () => {
+  const result = await getAiPredictions(context)
+  assert.equal(result.provider, 'mock')
+  assert.equal(result.model, 'mock')
+  assert.equal(result.fallback, false)
+  assert.equal(result.fallbackReason, null)
+  assert.equal(result.predictions.method, 'ai')
+  assert.equal(result.predictions.next_periods.length, 2)
+  assert.equal(result.predictions.next_periods[0].start_date, '2026-03-26')
+  assert.ok(result.predictions.cycle_stats)
+})
+
+test('getAiPredictions falls back to the statistical predictor on timeout', async () => {
+  process.env.PREDICTION_TIMEOUT_MS = '20'
+  process.env.PREDICTION_MOCK_DELAY_MS = '200'
+
+  const startedAt = Date.now()
+  const result = await getAiPredictions(context)
+  assert.ok(Date.now() - startedAt < 200, 'did not wait for the provider')
+
+  assert.equal(result.provider, 'statistical')
+  assert.equal(result.model, null)
+  assert.equal(result.fallback, true)
+  assert.equal(result.fallbackReason, 'mock timed out')
+  assert.equal(result.predictions.method, 'statistical')
+  assert.equal(result.predictions.next_periods[0].start_date, '2026-03-26')
+})
+
+test('getAiPredictions falls back when the provider output is invalid', async () => {
+  // n8n stand-in answering with a prediction the validator must refuse
+  const server = http.createServer((req, res) => {
+    req.resume()
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ predictions: { next_periods: [{ start_date: 'soon' }] } }))
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  try {
+    process.env.PREDICTION_PROVIDER = 'n8n'
+    process.env.N8N_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/webhook/predictions`
+
+    const result = await getAiPredictions(context)
+    assert.equal(result.provider, 'statistical')
+    assert.equal(result.fallback, true)
+    assert.equal(result.fallbackReason, 'Invalid predictions from n8n')
+    assert.equal(result.predictions.method, 'statistical')
+  } finally {
+    server.closeAllConnections()
+    await new Promise(resolve => server.close(resolve))
+  }
+})
+
+test('getAiPredictions falls back without period history or a provider', async () => {
+  const noHistory = await getAiPredictions({ ...context, periods: [] })
+  assert.equal(noHistory.fallbackReason, 'No period history to predict from')
+  assert.deepEqual(noHistory.predictions, { next_periods: [], ovulation: null, method: 'statistical' })
+
+  delete process.env.PREDICTION_PROVIDER
+  const noProvider = await getAiPredictions(context)
+  assert.equal(noProvider.fallback, true)
+  assert.equal(noProvider.fallbackReason, 'No AI prediction provider is configured')
+})
@@ -0,0 +1,224 @@
+import { after, before, beforeEach, test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { gunzipSync } from 'node:zlib'
+
+// lib/prisma.js reuses globalThis.prisma outside production; this stands in for the tables used
+const db = { tokens: [], logs: [] }
+globalThis.prisma = {
+  pushToken: {
+    findMany: async ({ where }) => db.tokens.filter(token => token.userId === where.userId && token.mode === where.mode),
+    deleteMany: async ({ where }) => {
+      const remove = new Set(where.expoPushToken.in)
+      const before = db.tokens.length
+      db.tokens = db.tokens.filter(token => !remove.has(token.expoPushToken))
+      return { count: before - db.tokens.length }
+    },
+  },
+  userSettings: {
+    findUnique: async () => null,
+  },
+  notificationLog: {
+    count: async () => 0,
+    create: async ({ data }) => {
+      const log = { id: `log-${db.logs.length + 1}`, sentAt: new Date(), ...data }
+      db.logs.push(log)
+      return log
+    },
+    findMany: async ({ where }) => db.logs.filter(log =>
+      log.metadata?.receiptsPending === true && log.sentAt <= where.sentAt.lte),
+    update: async ({ where, data }) => Object.assign(db.logs.find(log => log.id === where.id), data),
+  },
+  $disconnect: async () => {},
+}
+
+// Local stand-in for the Expo push API: records every request and answers through `expo.respond`
+const expo = { requests: [], respond: null }
+const server = http.createServer((req, res) => {
+  const chunks = []
+  req.on('data', chunk => chunks.push(chunk))
+  req.on('end', () => {
+    let raw = Buffer.concat(chunks)
+    if (req.headers['content-encoding'] === 'gzip') {
+      raw = gunzipSync(raw)
+    }
+    const body = JSON.parse(raw.toString())
+    expo.requests.push({ path: req.url, body })
+
+    const { status = 200, json } = expo.respond(req.url, body)
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(json))
+  })
+})
+
+const token = (n) => `ExponentPushToken[device-${n}]`
+// Tickets as Expo returns them: ok with an id, or an error naming the token's problem
+const ticketsFor = (messages, errors = {}) => messages.map(message => errors[message.to]
+  ? { status: 'error', message: `${message.to} failed`, details: { error: errors[message.to] } }
+  : { status: 'ok', id: `ticket-${message.to}` })
+
+let sendPushNotification
+let processPushReceipts
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  // expo-server-sdk reads EXPO_BASE_URL when it is first loaded
+  process.env.EXPO_BASE_URL = `http://127.0.0.1:${server.address().port}`
+  ;({ sendPushNotification, processPushReceipts } = await import('../lib/pushNotifications.js'))
+})
+
+after(() => {
+  server.closeAllConnections()
+  server.close()
+})
+
+beforeEach(() => {
+  db.tokens = []
+  db.logs = []
+  expo.requests = []
+  expo.respond = (path, body) => ({ json: { data: ticketsFor(body) } })
+})
+
+const send = (options = {}) => sendPushNotification({
+  userId: 'user-1',
+  category: 'PHASE_UPDATE',
+  title: 'Follicular phase',
+  body: 'Energy usually picks up now.',
+  settings: null,
+  ...options,
+})
+
+test('sends in chunks of at most 100 messages and logs every ticket', async () => {
+  for (let n = 0; n < 150; n++) {
+    db.tokens.push({ userId: 'user-1', mode: 'SELF', expoPushToken: token(n) })
+  }
+
+  const result = await send()
+
+  assert.deepEqual(expo.requests.map(request => request.path), ['/--/api/v2/push/send', '/--/api/v2/push/send'])
+  assert.deepEqual(expo.requests.map(request => request.body.length), [100, 50])
+  assert.deepEqual(expo.requests[0].body[0].data, { category: 'PHASE_UPDATE' })
+  assert.deepEqual(result, { logId: 'log-1', sent: 150, failed: 0, skipped: null })
+
+  const [log] = db.logs
+  assert.equal(log.metadata.tickets.length, 150)
+  assert.equal(log.metadata.tickets[0].ticketId, `ticket-${token(0)}`)
+  assert.equal(log.metadata.receiptsPending, true)
+})
+
+test('drops malformed and DeviceNotRegistered tokens, keeps others that failed', async () => {
+  db.tokens.push(
+    { userId: 'user-1', mode: 'SELF', expoPushToken: token(1) },
+    { userId: 'user-1', mode: 'SELF', expoPushToken: token(2) },
+    { userId: 'user-1', mode: 'SELF', expoPushToken: token(3) },
+    { userId: 'user-1', mode: 'SELF', expoPushToken: 'not-an-expo-token' },
+  )
+  expo.respond = (path, body) => ({
+    json: { data: ticketsFor(body, { [token(2)]: 'DeviceNotRegistered', [token(3)]: 'MessageRateExceeded' }) },
+  })
+
+  const result = await send()
+
+  assert.deepEqual(expo.requests[0].body.map(message => message.to), [token(1), token(2), token(3)])
+  assert.equal(result.sent, 1)
+  assert.equal(result.failed, 2)
+  assert.deepEqual(db.tokens.map(entry => entry.expoPushToken), [token(1), token(3)])
+
+  const errors = db.logs[0].metadata.tickets.map(ticket => ticket.error)
+  assert.deepEqual(errors, [null, 'DeviceNotRegistered', 'MessageRateExceeded'])
+})
+
+test('a chunk Expo rejects counts as failed without throwing', async () => {
+  db.tokens.push({ userId: 'user-1', mode: 'SELF', expoPushToken: token(1) })
+  expo.respond = () => ({ status: 500, json: { errors: [{ code: 'INTERNAL_SERVER_ERROR', message: 'down' }] } })
+
+  const result = await send()
+
+  assert.equal(result.sent, 0)
+  assert.equal(result.failed, 1)
+  assert.equal(db.logs[0].metadata.receiptsPending, false)
+  assert.equal(db.tokens.length, 1)
+})
+
+test('nothing is sent when the user has no devices', async () => {
+  const result = await send()
+  assert.deepEqual(result, { logId: null, sent: 0, failed: 0, skipped: null })
+  assert.equal(expo.requests.length, 0)
+})
+
+test('preferences are checked at the time the caller passes in', async () => {
+  db.tokens.push({ userId: 'user-1', mode: 'SELF', expoPushToken: token(1) })
+  const settings = { timezone: 'UTC', quietHoursStart: 22 * 60, quietHoursEnd: 7 * 60, dailyNotificationCap: null }
+
+  const atNight = await send({ settings, now: new Date('2026-03-10T23:00:00Z') })
+  assert.deepEqual(atNight, { logId: null, sent: 0, failed: 0, skipped: 'quiet_hours' })
+  assert.equal(expo.requests.length, 0)
+
+  const atNoon = await send({ settings, now: new Date('2026-03-10T12:00:00Z') })
+  assert.equal(atNoon.sent, 1)
+  assert.equal(atNoon.skipped, null)
+})
+
+test('receipts settle tickets and remove unregistered devices', async () => {
+  const now = new Date('2026-03-10T12:00:00Z')
+  db.tokens.push(
+    { userId: 'user-1', mode: 'SELF', expoPushToken: token(1) },
+    { userId: 'user-1', mode: 'SELF', expoPushToken: token(2) },
+    { userId: 'user-1', mode: 'SELF', expoPushToken: token(3) },
+  )
+  db.logs.push({
+    id: 'log-1',
+    sentAt: new Date('2026-03-10T11:00:00Z'),
+    metadata: {
+      title: 'Reminder',
+      tickets: [
+        { token: token(1), status: 'ok', ticketId: 'ticket-1', error: null },
+        { token: token(2), status: 'ok', ticketId: 'ticket-2', error: null },
+        { token: token(3), status: 'ok', ticketId: 'ticket-3', error: null },
+      ],
+      receiptsPending: true,
+    },
+  })
+  expo.respond = () => ({
+    json: {
+      data: {
+        'ticket-1': { status: 'ok' },
+        'ticket-2': { status: 'error', message: 'gone', details: { error: 'DeviceNotRegistered' } },
+      },
+    },
+  })
+
+  const results = await processPushReceipts(now)
+
+  assert.equal(expo.requests[0].path, '/--/api/v2/push/getReceipts')
+  assert.deepEqual(expo.requests[0].body.ids, ['ticket-1', 'ticket-2', 'ticket-3'])
+  assert.deepEqual(results, { logs: 1, delivered: 1, failed: 1, removedTokens: 1 })
+  assert.deepEqual(db.tokens.map(entry => entry.expoPushToken), [token(1), token(3)])
+
+  const { metadata } = db.logs[0]
+  assert.deepEqual(metadata.tickets.map(ticket => ticket.receipt), ['ok', 'error', undefined])
+  assert.equal(metadata.tickets[1].error, 'DeviceNotRegistered')
+  // ticket-3 has no receipt yet, so the log is checked again on the next run
+  assert.equal(metadata.receiptsPending, true)
+})
+
+test('receipts are not fetched for recent sends and given up on after a day', async () => {
+  const now = new Date('2026-03-10T12:00:00Z')
+  const pendingLog = (id, sentAt) => ({
+    id,
+    sentAt: new Date(sentAt),
+    metadata: {
+      tickets: [{ token: token(1), status: 'ok', ticketId: `ticket-${id}`, error: null }],
+      receiptsPending: true,
+    },
+  })
+  db.logs.push(pendingLog('recent', '2026-03-10T11:55:00Z'), pendingLog('stale', '2026-03-09T10:00:00Z'))
+  expo.respond = () => ({ json: { data: {} } })
+
+  const results = await processPushReceipts(now)
+
+  assert.equal(results.logs, 1)
+  assert.deepEqual(expo.requests[0].body.ids, ['ticket-stale'])
+  assert.equal(db.logs[0].metadata.receiptsPending, true)
+  assert.equal(db.logs[1].metadata.receiptsPending, false)
+})
@@ -0,0 +1,152 @@
+import { fromLocalDayNumber, getCalendarDayNumber, getLocalDayNumber, getOffsetAt, normalizeTimezone } from './cycleInfo.js';
+
+// The luteal phase is the stable part of the cycle, so ovulation is counted back from the next period
+export const LUTEAL_PHASE_DAYS = 14;
+export const FERTILE_DAYS_BEFORE_OVULATION = 5;
+export const FERTILE_DAYS_AFTER_OVULATION = 1;
+
+export const DEFAULT_CYCLE_LENGTH = 28;
+export const DEFAULT_PERIOD_LENGTH = 5;
+
+export function getCycleSettings(settings) {
+  const periodLength = Math.max(
+    1,
+    settings?.periodDuration ?? settings?.averagePeriodLength ?? DEFAULT_PERIOD_LENGTH
+  );
+  const cycleLength = Math.max(
+    periodLength + 1,
+    settings?.averageCycleLength ?? DEFAULT_CYCLE_LENGTH
+  );
+  return { periodLength, cycleLength };
+}
+
+/**
+ * Cycle day (1-based) of ovulation for a cycle of the given length
+ */
+export function getOvulationCycleDay(cycleLength, periodLength) {
+  return Math.max(periodLength + 1, cycleLength - LUTEAL_PHASE_DAYS);
+}
+
+function toDate(dayNumber, timezone) {
+  return dayNumber != null ? fromLocalDayNumber(dayNumber, timezone) : null;
+}
+
+/**
+ * Cycle state for one calendar day.
+ *
+ * The cycle is anchored on the latest logged period that started on or before the day.
+ * When a later period is already logged, it closes that cycle, so past days use the real
+ * cycle length; otherwise the next period is projected from the average cycle length.
+ *
+ * Period days are calendar dates; options.timezone (an IANA zone or an offset in minutes
+ * east of UTC, also read from options.timezoneOffsetMinutes) decides which day `date` is.
+ *
+ * Returns null when there are no periods or the day is before the first logged period.
+ */
+export function getCycleState(periods, settings, options = {}) {
+  const { date = new Date() } = options;
+
+  if (!periods || periods.length === 0) {
+    return null;
+  }
+
+  const timezone = normalizeTimezone(options.timezone ?? options.timezoneOffsetMinutes);
+  const dayNumber = getLocalDayNumber(date, timezone);
+  if (dayNumber === null) {
+    return null;
+  }
+
+  const starts = periods
+    .map(period => ({ period, startDayNumber: getCalendarDayNumber(period?.startDate) }))
+    .filter(entry => entry.startDayNumber !== null)
+    .sort((a, b) => a.startDayNumber - b.startDayNumber);
+
+  let anchorIndex = -1;
+  for (let i = 0; i < starts.length; i++) {
+    if (starts[i].startDayNumber <= dayNumber) {
+      anchorIndex = i;
+    }
+  }
+  if (anchorIndex === -1) {
+    return null;
+  }
+
+  const { periodLength, cycleLength: avgCycleLength } = getCycleSettings(settings);
+  const anchor = starts[anchorIndex];
+  const periodStartDayNumber = anchor.startDayNumber;
+
+  const loggedNext = starts.slice(anchorIndex + 1).find(entry => entry.startDayNumber > periodStartDayNumber);
+  const nextPeriodIsLogged = Boolean(loggedNext);
+  const nextPeriodDayNumber = nextPeriodIsLogged
+    ? loggedNext.startDayNumber
+    : periodStartDayNumber + avgCycleLength;
+  const cycleLength = nextPeriodDayNumber - periodStartDayNumber;
+
+  let periodEndDayNumber = getCalendarDayNumber(anchor.period.endDate);
+  if (periodEndDayNumber === null || periodEndDayNumber < periodStartDayNumber) {
+    periodEndDayNumber = periodStartDayNumber + periodLength - 1;
+  }
+
+  const cycleDay = dayNumber - periodStartDayNumber + 1;
+  const ovulationCycleDay = getOvulationCycleDay(cycleLength, periodLength);
+  const ovulationDayNumber = periodStartDayNumber + ovulationCycleDay - 1;
+  const fertileWindowStartDayNumber = Math.max(
+    periodStartDayNumber,
+    ovulationDayNumber - FERTILE_DAYS_BEFORE_OVULATION
+  );
+  const fertileWindowEndDayNumber = ovulationDayNumber + FERTILE_DAYS_AFTER_OVULATION;
+
+  const isOnPeriod = dayNumber <= periodEndDayNumber;
+  const isLate = !nextPeriodIsLogged && dayNumber >= nextPeriodDayNumber;
+  const daysLate = isLate ? dayNumber - nextPeriodDayNumber + 1 : 0;
+
+  let phase;
+  if (isOnPeriod) {
+    phase = 'Menstrual';
+  } else if (dayNumber < ovulationDayNumber - 1) {
+    phase = 'Follicular';
+  } else if (dayNumber <= ovulationDayNumber + 1) {
+    phase = 'Ovulation';
+  } else {
+    phase = 'Luteal';
+  }
+
+  let phaseDescription;
+  if (isOnPeriod) {
+    phaseDescription = `Day ${cycleDay} of period`;
+  } else if (isLate) {
+    phaseDescription = `Day ${cycleDay} of ${avgCycleLength}-day cycle (period ${daysLate} day${daysLate === 1 ? '' : 's'} late)`;
+  } else {
+    phaseDescription = `Day ${cycleDay} of ${cycleLength}-day cycle (${phase} Phase)`;
+  }
+
+  return {
+    cycleDay,
+    phase,
+    phaseDescription,
+    isOnPeriod,
+    isFertile: dayNumber >= fertileWindowStartDayNumber && dayNumber <= fertileWindowEndDayNumber,
+    isLate,
+    daysLate,
+    dayNumber,
+    periodStartDayNumber,
+    periodEndDayNumber,
+    periodStartDate: toDate(periodStartDayNumber, timezone),
+    periodEndDate: toDate(periodEndDayNumber, timezone),
+    ovulationDayNumber,
+    ovulationDate: toDate(ovulationDayNumber, timezone),
+    fertileWindowStartDayNumber,
+    fertileWindowEndDayNumber,
+    fertileWindowStartDate: toDate(fertileWindowStartDayNumber, timezone),
+    fertileWindowEndDate: toDate(fertileWindowEndDayNumber, timezone),
+    nextPeriodDayNumber,
+    nextPeriodDate: toDate(nextPeriodDayNumber, timezone),
+    nextPeriodIsLogged,
+    daysUntilNextPeriod: nextPeriodDayNumber - dayNumber,
+    cycleLength,
+    avgCycleLength,
+    avgPeriodLength: periodLength,
+    timezone,
+    timezoneOffsetMinutes: getOffsetAt(timezone, new Date(date)),
+  };
+}
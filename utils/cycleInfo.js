@@ -1,135 +1,175 @@
 export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+const CALENDAR_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Day and time helpers.
+ *
+ * A `timezone` argument is either an IANA zone name ("Asia/Kolkata"), converted with
+ * the zone's offset at each instant so DST changes land on the right day, or a fixed
+ * offset in minutes east of UTC (IST = 330) for clients that only sent an offset.
+ *
+ * Period, symptom, mood and note days are calendar dates (Postgres DATE). Prisma reads
+ * them as Dates at UTC midnight, so their day number needs no timezone
+ * (getCalendarDayNumber); instants such as "now" or sentAt use getLocalDayNumber.
+ */
+
+export function isValidTimeZone(timeZone) {
+  return getTimeZoneOffsetMinutes(timeZone, new Date()) !== null;
+}
+
+// Minutes east of UTC in an IANA zone at the given instant (DST included), or null for an unknown zone
+export function getTimeZoneOffsetMinutes(timeZone, date = new Date()) {
+  if (!timeZone || typeof timeZone !== 'string') return null;
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+    const localAsUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+    return Math.round((localAsUtc - (date.getTime() - date.getUTCMilliseconds())) / MS_PER_MINUTE);
+  } catch {
+    return null;
+  }
+}
 
-export function normalizeOffset(offset) {
-  if (typeof offset === 'string') {
-    const parsed = parseInt(offset, 10);
+// An IANA zone name stays as is, anything else becomes a whole-minute offset (0 when unusable)
+export function normalizeTimezone(timezone) {
+  if (typeof timezone === 'string') {
+    if (isValidTimeZone(timezone)) return timezone;
+    const parsed = parseInt(timezone, 10);
     return Number.isFinite(parsed) ? parsed : 0;
   }
-  if (typeof offset === 'number' && Number.isFinite(offset)) {
-    return offset;
+  if (typeof timezone === 'number' && Number.isFinite(timezone)) {
+    return Math.round(timezone);
   }
   return 0;
 }
 
-export function getLocalDayNumber(dateInput, timezoneOffsetMinutes = 0) {
+// Offset in minutes east of UTC that applies at `date`
+export function getOffsetAt(timezone, date) {
+  if (typeof timezone === 'string') {
+    return getTimeZoneOffsetMinutes(timezone, date) ?? 0;
+  }
+  return typeof timezone === 'number' && Number.isFinite(timezone) ? timezone : 0;
+}
+
+/**
+ * The X-Timezone-Offset header carries JavaScript's Date#getTimezoneOffset(), minutes
+ * WEST of UTC (IST = -330). Returns minutes east of UTC, or null when missing or invalid.
+ */
+export function parseTimezoneOffsetHeader(value) {
+  const raw = Array.isArray(value) ? value[0] : value;
+  if (raw === undefined || raw === null || raw === '') return null;
+  const parsed = Number(raw);
+  return Number.isInteger(parsed) && Math.abs(parsed) <= 14 * 60 ? -parsed : null;
+}
+
+/**
+ * A user's timezone, in order of preference:
+ * 1. settings.timezone (IANA zone stored on UserSettings)
+ * 2. offsetMinutes sent explicitly by the client (minutes east of UTC)
+ * 3. the X-Timezone-Offset header (see parseTimezoneOffsetHeader)
+ * 4. the offset their newest device registered with
+ * 5. UTC
+ */
+export function resolveTimezone({ settings, offsetMinutes, header, pushTokens } = {}) {
+  if (isValidTimeZone(settings?.timezone)) return settings.timezone;
+  if (Number.isInteger(offsetMinutes)) return offsetMinutes;
+  const headerOffset = parseTimezoneOffsetHeader(header);
+  if (headerOffset !== null) return headerOffset;
+  const token = pushTokens?.find((entry) => Number.isFinite(entry.timezoneOffsetMinutes));
+  return token ? token.timezoneOffsetMinutes : 0;
+}
+
+export function getLocalDayNumber(dateInput, timezone = 0) {
   if (!dateInput) return null;
   const date = dateInput instanceof Date ? dateInput : new Date(dateInput);
   if (Number.isNaN(date.getTime())) return null;
-  const offsetMs = timezoneOffsetMinutes * 60 * 1000;
+  const offsetMs = getOffsetAt(timezone, date) * MS_PER_MINUTE;
   return Math.floor((date.getTime() + offsetMs) / MS_PER_DAY);
 }
 
-export function fromLocalDayNumber(dayNumber, timezoneOffsetMinutes = 0) {
+// The instant local midnight starts the given day
+export function fromLocalDayNumber(dayNumber, timezone = 0) {
   if (!Number.isFinite(dayNumber)) return null;
-  const offsetMs = timezoneOffsetMinutes * 60 * 1000;
-  const utcMs = dayNumber * MS_PER_DAY - offsetMs;
-  return new Date(utcMs);
-}
-
-export function inferTimezoneOffsetFromPeriods(periods) {
-  if (!Array.isArray(periods)) return 0;
-  for (const period of periods) {
-    if (!period?.startDate) continue;
-    const match = String(period.startDate).match(/T(\d{2}):(\d{2})/);
-    if (!match) continue;
-    const hours = Number(match[1]);
-    const minutes = Number(match[2]);
-    if (!Number.isFinite(hours) || !Number.isFinite(minutes)) continue;
-    const totalMinutes = hours * 60 + minutes;
-    if (totalMinutes === 0) {
-      return 0;
-    }
-    if (totalMinutes <= 12 * 60) {
-      return totalMinutes;
-    }
-    return totalMinutes - 24 * 60;
-  }
-  return 0;
+  const localMidnightAsUtc = dayNumber * MS_PER_DAY;
+  // The offset at midnight can differ from the offset a few hours either side when DST
+  // switches that day; a second pass settles on the offset in force at local midnight
+  const firstGuess = localMidnightAsUtc - getOffsetAt(timezone, new Date(localMidnightAsUtc)) * MS_PER_MINUTE;
+  return new Date(localMidnightAsUtc - getOffsetAt(timezone, new Date(firstGuess)) * MS_PER_MINUTE);
 }
 
-export function calculateCycleInfo(periods, settings, options = {}) {
-  const { today = new Date(), timezoneOffsetMinutes = 0 } = options;
-
-  if (!periods || periods.length === 0) {
-    return null;
-  }
-
-  const offset = normalizeOffset(timezoneOffsetMinutes);
-
-  const sortedPeriods = [...periods].sort(
-    (a, b) => new Date(b.startDate).getTime() - new Date(a.startDate).getTime()
-  );
-
-  const lastPeriod = sortedPeriods[0];
-  if (!lastPeriod?.startDate) {
-    return null;
-  }
+// Minutes after local midnight
+export function getLocalMinutes(date, timezone = 0) {
+  const minutes = Math.floor(date.getTime() / MS_PER_MINUTE) + getOffsetAt(timezone, date);
+  return ((minutes % (24 * 60)) + 24 * 60) % (24 * 60);
+}
 
-  const averagePeriodLength = settings?.periodDuration ?? settings?.averagePeriodLength ?? 5;
-  const periodLength = Math.max(1, averagePeriodLength);
-  const avgCycleLength = Math.max(1, settings?.averageCycleLength ?? 28);
+// { gte, lt } bounds of the local day containing `date`, for Prisma date filters
+export function getLocalDayRange(date, timezone = 0) {
+  const dayNumber = getLocalDayNumber(date, timezone);
+  return {
+    gte: fromLocalDayNumber(dayNumber, timezone),
+    lt: fromLocalDayNumber(dayNumber + 1, timezone),
+  };
+}
 
-  const todayDayNumber = getLocalDayNumber(today, offset);
-  const periodStartDayNumber = getLocalDayNumber(lastPeriod.startDate, offset);
+export function formatLocalDayNumber(dayNumber) {
+  if (!Number.isFinite(dayNumber)) return null;
+  return new Date(dayNumber * MS_PER_DAY).toISOString().split('T')[0];
+}
 
-  if (todayDayNumber === null || periodStartDayNumber === null) {
-    return null;
-  }
+// Day number of a calendar date (a DATE column value or "YYYY-MM-DD")
+export function getCalendarDayNumber(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return Math.floor(date.getTime() / MS_PER_DAY);
+}
 
-  let periodEndDayNumber = getLocalDayNumber(lastPeriod.endDate, offset);
-  if (periodEndDayNumber === null) {
-    periodEndDayNumber = periodStartDayNumber + periodLength - 1;
-  }
+// The calendar date of a day number, in the form Prisma uses for DATE columns
+export function toCalendarDate(dayNumber) {
+  return Number.isFinite(dayNumber) ? new Date(dayNumber * MS_PER_DAY) : null;
+}
 
-  const nextPeriodDayNumber = periodStartDayNumber + avgCycleLength;
-
-  if (todayDayNumber >= periodStartDayNumber && todayDayNumber <= periodEndDayNumber) {
-    const daysInPeriod = todayDayNumber - periodStartDayNumber + 1;
-    return {
-      cycleDay: daysInPeriod,
-      phase: 'Menstrual',
-      phaseDescription: `Day ${daysInPeriod} of period`,
-      isOnPeriod: true,
-      nextPeriodDayNumber,
-      nextPeriodDate: fromLocalDayNumber(nextPeriodDayNumber, offset),
-      todayDayNumber,
-      periodStartDayNumber,
-      periodEndDayNumber,
-      avgCycleLength,
-    };
-  }
+// "YYYY-MM-DD" for a calendar date, or null
+export function formatCalendarDate(value) {
+  return formatLocalDayNumber(getCalendarDayNumber(value));
+}
 
-  const daysSincePeriodEnd = todayDayNumber - periodEndDayNumber;
-  if (daysSincePeriodEnd < 0) {
-    return null;
+/**
+ * Parse a calendar date from a request. "YYYY-MM-DD" is taken as is; a full timestamp
+ * (older clients) becomes the day it falls on in `timezone`. Returns null when invalid.
+ */
+export function parseCalendarDate(value, timezone = 0) {
+  if (typeof value !== 'string' && !(value instanceof Date)) return null;
+  const match = typeof value === 'string' ? value.trim().match(CALENDAR_DATE_PATTERN) : null;
+  if (match) {
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return formatCalendarDate(date) === value.trim() ? date : null;
   }
+  return toCalendarDate(getLocalDayNumber(value, timezone));
+}
 
-  const currentCycleDay = daysSincePeriodEnd + 1 + periodLength;
-  const ovulationDay = Math.max(periodLength + 1, Math.round(avgCycleLength / 2));
-
-  let phase = 'Follicular';
-  if (currentCycleDay <= periodLength) {
-    phase = 'Menstrual';
-  } else if (currentCycleDay < ovulationDay) {
-    phase = 'Follicular';
-  } else if (currentCycleDay === ovulationDay) {
-    phase = 'Ovulation';
-  } else {
-    phase = 'Luteal';
-  }
+// Today's calendar date in `timezone`
+export function getLocalCalendarDate(date = new Date(), timezone = 0) {
+  return toCalendarDate(getLocalDayNumber(date, timezone));
+}
 
+// Prisma filter for calendar days from startDate to endDate (both inclusive and optional)
+export function calendarRangeFilter(startDate, endDate) {
+  if (!startDate && !endDate) return undefined;
   return {
-    cycleDay: currentCycleDay,
-    phase,
-    phaseDescription: `Day ${currentCycleDay} of ${avgCycleLength}-day cycle (${phase} Phase)`
-      ,
-    isOnPeriod: false,
-    nextPeriodDayNumber,
-    nextPeriodDate: fromLocalDayNumber(nextPeriodDayNumber, offset),
-    todayDayNumber,
-    periodStartDayNumber,
-    periodEndDayNumber,
-    avgCycleLength,
+    ...(startDate && { gte: startDate }),
+    ...(endDate && { lte: endDate }),
   };
 }
-
@@ -0,0 +1,231 @@
+import { formatLocalDayNumber, getCalendarDayNumber, getLocalDayNumber, normalizeTimezone } from './cycleInfo.js';
+import {
+  FERTILE_DAYS_AFTER_OVULATION,
+  FERTILE_DAYS_BEFORE_OVULATION,
+  LUTEAL_PHASE_DAYS,
+  getCycleSettings,
+} from './cycleEngine.js';
+
+// Cycles shorter than this are almost always a double-logged period or spotting
+export const MIN_CYCLE_LENGTH = 15;
+export const MAX_CYCLE_LENGTH = 90;
+export const MAX_PREDICTIONS = 6;
+
+const MAX_CYCLES_USED = 12;
+// Each older cycle counts this much less than the one after it
+const RECENCY_DECAY = 0.85;
+// How far a long gap may be from a whole number of typical cycles to count as missed logs
+const MISSED_LOG_TOLERANCE = 0.2;
+// Spread assumed when there is too little history to measure one
+const DEFAULT_STD_DEV = 3;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function weightedStats(values) {
+  // values are oldest first; the newest gets weight 1
+  let weightSum = 0;
+  let total = 0;
+  values.forEach((value, index) => {
+    const weight = Math.pow(RECENCY_DECAY, values.length - 1 - index);
+    weightSum += weight;
+    total += weight * value;
+  });
+  const mean = total / weightSum;
+
+  let variance = 0;
+  values.forEach((value, index) => {
+    const weight = Math.pow(RECENCY_DECAY, values.length - 1 - index);
+    variance += weight * (value - mean) ** 2;
+  });
+
+  return { mean, stdDev: Math.sqrt(variance / weightSum) };
+}
+
+/**
+ * Derive cycle lengths from consecutive period starts.
+ *
+ * - Gaps shorter than MIN_CYCLE_LENGTH are dropped as duplicate logs.
+ * - Gaps close to a whole multiple (2x, 3x...) of the typical cycle are treated as
+ *   periods that were never logged and split into that many cycles.
+ * - Anything else far from the typical cycle is excluded as an outlier.
+ */
+export function analyzeCycleHistory(periods) {
+  const startDayNumbers = [...new Set(
+    (periods || [])
+      .map(period => getCalendarDayNumber(period?.startDate))
+      .filter(dayNumber => dayNumber !== null)
+  )].sort((a, b) => a - b);
+
+  const gaps = [];
+  for (let i = 1; i < startDayNumbers.length; i++) {
+    gaps.push({
+      startDayNumber: startDayNumbers[i - 1],
+      length: startDayNumbers[i] - startDayNumbers[i - 1],
+    });
+  }
+
+  const plausible = gaps
+    .map(gap => gap.length)
+    .filter(length => length >= MIN_CYCLE_LENGTH && length <= MAX_CYCLE_LENGTH);
+  const typical = plausible.length > 0 ? median(plausible) : null;
+  const absoluteDeviations = typical !== null ? plausible.map(length => Math.abs(length - typical)) : [];
+  const outlierThreshold = typical !== null ? Math.max(7, 3 * median(absoluteDeviations)) : null;
+
+  const cycles = [];
+  const excluded = [];
+
+  for (const gap of gaps) {
+    const startDate = formatLocalDayNumber(gap.startDayNumber);
+
+    if (gap.length < MIN_CYCLE_LENGTH) {
+      excluded.push({ start_date: startDate, length: gap.length, reason: 'too_short' });
+      continue;
+    }
+
+    if (typical === null) {
+      excluded.push({ start_date: startDate, length: gap.length, reason: 'too_long' });
+      continue;
+    }
+
+    if (Math.abs(gap.length - typical) <= outlierThreshold) {
+      cycles.push(gap.length);
+      continue;
+    }
+
+    const multiple = Math.round(gap.length / typical);
+    if (multiple >= 2 && Math.abs(gap.length - multiple * typical) <= multiple * typical * MISSED_LOG_TOLERANCE) {
+      const splitLength = gap.length / multiple;
+      for (let i = 0; i < multiple; i++) {
+        cycles.push(splitLength);
+      }
+      excluded.push({ start_date: startDate, length: gap.length, reason: 'missed_log', split_into: multiple });
+      continue;
+    }
+
+    excluded.push({
+      start_date: startDate,
+      length: gap.length,
+      reason: gap.length > typical ? 'too_long' : 'too_short',
+    });
+  }
+
+  return {
+    startDayNumbers,
+    cycles: cycles.slice(-MAX_CYCLES_USED),
+    excluded,
+  };
+}
+
+function getPeriodLengths(periods) {
+  return (periods || [])
+    .map(period => {
+      const start = getCalendarDayNumber(period?.startDate);
+      const end = getCalendarDayNumber(period?.endDate);
+      return start !== null && end !== null ? { start, length: end - start + 1 } : null;
+    })
+    .filter(entry => entry && entry.length >= 1 && entry.length <= 15)
+    .sort((a, b) => a.start - b.start)
+    .map(entry => entry.length)
+    .slice(-MAX_CYCLES_USED);
+}
+
+function getConfidence(stdDev, sampleSize, index) {
+  // Consistent cycles and more of them raise confidence; each cycle further out lowers it
+  const consistency = Math.exp(-stdDev / 4);
+  const sample = sampleSize > 0 ? sampleSize / (sampleSize + 2) : 0.25;
+  const value = consistency * sample * Math.pow(0.9, index);
+  return Math.round(Math.min(0.95, Math.max(0.05, value)) * 100) / 100;
+}
+
+/**
+ * Predict upcoming periods and the next ovulation from logged history.
+ *
+ * Falls back to the user's settings when fewer than one usable cycle is logged.
+ * Returns null when no period has been logged.
+ */
+export function predictCycles(periods, settings, options = {}) {
+  const { date = new Date(), count = 3 } = options;
+  const timezone = normalizeTimezone(options.timezone ?? options.timezoneOffsetMinutes);
+
+  const history = analyzeCycleHistory(periods);
+  if (history.startDayNumbers.length === 0) {
+    return null;
+  }
+
+  const todayDayNumber = getLocalDayNumber(date, timezone);
+  const lastStartDayNumber = history.startDayNumbers[history.startDayNumbers.length - 1];
+  const defaults = getCycleSettings(settings);
+
+  const sampleSize = history.cycles.length;
+  const cycleStats = sampleSize > 0
+    ? weightedStats(history.cycles)
+    : { mean: defaults.cycleLength, stdDev: DEFAULT_STD_DEV };
+  // A single cycle says nothing about spread
+  const stdDev = sampleSize >= 2 ? cycleStats.stdDev : DEFAULT_STD_DEV;
+  const cycleLength = Math.round(cycleStats.mean);
+
+  const periodLengths = getPeriodLengths(periods);
+  const periodLength = periodLengths.length > 0
+    ? Math.round(weightedStats(periodLengths).mean)
+    : defaults.periodLength;
+
+  // When the period is overdue, the earliest it can still start is today
+  let firstStartDayNumber = lastStartDayNumber + cycleLength;
+  const isOverdue = todayDayNumber !== null && firstStartDayNumber < todayDayNumber;
+  if (isOverdue) {
+    firstStartDayNumber = todayDayNumber;
+  }
+
+  const total = Math.min(Math.max(parseInt(count, 10) || 3, 1), MAX_PREDICTIONS);
+  const nextPeriods = [];
+  for (let i = 0; i < total; i++) {
+    const startDayNumber = firstStartDayNumber + i * cycleLength;
+    // Uncertainty accumulates with every cycle predicted ahead
+    const margin = Math.max(1, Math.ceil(stdDev * Math.sqrt(i + 1)));
+    nextPeriods.push({
+      start_date: formatLocalDayNumber(startDayNumber),
+      end_date: formatLocalDayNumber(startDayNumber + periodLength - 1),
+      range: {
+        earliest: formatLocalDayNumber(isOverdue && i === 0 ? startDayNumber : startDayNumber - margin),
+        latest: formatLocalDayNumber(startDayNumber + margin),
+      },
+      expected_duration: periodLength,
+      cycle_length: cycleLength,
+      confidence: getConfidence(stdDev, sampleSize, i),
+    });
+  }
+
+  // Next ovulation still ahead of today: in the current cycle if not yet passed, else the next one
+  let ovulationDayNumber = lastStartDayNumber + cycleLength - LUTEAL_PHASE_DAYS;
+  if (todayDayNumber !== null && ovulationDayNumber + FERTILE_DAYS_AFTER_OVULATION < todayDayNumber) {
+    ovulationDayNumber = firstStartDayNumber + cycleLength - LUTEAL_PHASE_DAYS;
+  }
+  ovulationDayNumber = Math.max(ovulationDayNumber, lastStartDayNumber + periodLength);
+
+  return {
+    next_periods: nextPeriods,
+    ovulation: {
+      date: formatLocalDayNumber(ovulationDayNumber),
+      fertile_window: {
+        start: formatLocalDayNumber(ovulationDayNumber - FERTILE_DAYS_BEFORE_OVULATION),
+        end: formatLocalDayNumber(ovulationDayNumber + FERTILE_DAYS_AFTER_OVULATION),
+      },
+      // Ovulation timing varies more than period timing, so it is trusted a little less
+      confidence: getConfidence(stdDev + 1, sampleSize, 0),
+    },
+    cycle_stats: {
+      average_cycle_length: Math.round(cycleStats.mean * 10) / 10,
+      std_dev: Math.round(stdDev * 10) / 10,
+      average_period_length: periodLength,
+      cycles_used: sampleSize,
+      excluded_cycles: history.excluded,
+      last_period_start: formatLocalDayNumber(lastStartDayNumber),
+      is_overdue: isOverdue,
+      source: sampleSize > 0 ? 'history' : 'settings',
+    },
+  };
+}